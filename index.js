@@ -8,7 +8,7 @@
 // import { getContext } from "../../extensions.js"; // This may not work for dynamic imports
 
 // Use dynamic imports only for our own modules
-let AddonManager, ContextBuilder, AIClient, ResultFormatter, EventHandler, SettingsUI;
+let AddonManager, ContextBuilder, AIClient, ResultFormatter, EventHandler, SettingsUI, StateManager, UsageTracker, MemoryManager, PromptInjector, RequestScheduler, ProviderRegistry, ResponseCache;
 
 // Get getContext function - use global SillyTavern object (more reliable for third-party extensions)
 function getGetContext() {
@@ -100,14 +100,28 @@ async function loadModules() {
             aiClientModule,
             resultFormatterModule,
             eventHandlerModule,
-            settingsUIModule
+            settingsUIModule,
+            stateManagerModule,
+            usageTrackerModule,
+            memoryManagerModule,
+            promptInjectorModule,
+            requestSchedulerModule,
+            providerRegistryModule,
+            responseCacheModule
         ] = await Promise.all([
             import("./src/addon-manager.js"),
             import("./src/context-builder.js"),
             import("./src/ai-client.js"),
             import("./src/result-formatter.js"),
             import("./src/event-handler.js"),
-            import("./src/settings-ui.js")
+            import("./src/settings-ui.js"),
+            import("./src/state-manager.js"),
+            import("./src/usage-tracker.js"),
+            import("./src/memory-manager.js"),
+            import("./src/prompt-injector.js"),
+            import("./src/request-scheduler.js"),
+            import("./src/providers/registry.js"),
+            import("./src/response-cache.js")
         ]);
 
         AddonManager = addonManagerModule.AddonManager;
@@ -116,6 +130,13 @@ async function loadModules() {
         ResultFormatter = resultFormatterModule.ResultFormatter;
         EventHandler = eventHandlerModule.EventHandler;
         SettingsUI = settingsUIModule.SettingsUI;
+        StateManager = stateManagerModule.StateManager;
+        UsageTracker = usageTrackerModule.UsageTracker;
+        MemoryManager = memoryManagerModule.MemoryManager;
+        PromptInjector = promptInjectorModule.PromptInjector;
+        RequestScheduler = requestSchedulerModule.RequestScheduler;
+        ProviderRegistry = providerRegistryModule.ProviderRegistry;
+        ResponseCache = responseCacheModule.ResponseCache;
 
         return true;
     } catch (error) {
@@ -165,23 +186,33 @@ async function loadModules() {
 
         // Initialize components
         const addonManager = new AddonManager(context);
-        const contextBuilder = new ContextBuilder(context);
-        const aiClient = new AIClient(context);
+        const stateManager = new StateManager(context);
+        const usageTracker = new UsageTracker(context, addonManager);
+        const memoryManager = new MemoryManager(context, addonManager);
+        const requestScheduler = new RequestScheduler(context, addonManager);
+        const aiClient = new AIClient(context, requestScheduler, new ProviderRegistry(), new ResponseCache(context, addonManager));
+        const contextBuilder = new ContextBuilder(context, stateManager, memoryManager, aiClient);
         const resultFormatter = new ResultFormatter(context);
+        const promptInjector = new PromptInjector(context, addonManager, contextBuilder);
         const eventHandler = new EventHandler(
             context,
             addonManager,
             contextBuilder,
             aiClient,
-            resultFormatter
+            resultFormatter,
+            stateManager,
+            usageTracker,
+            memoryManager,
+            promptInjector
         );
-        const settingsUI = new SettingsUI(context, addonManager, aiClient);
+        const settingsUI = new SettingsUI(context, addonManager, aiClient, usageTracker, contextBuilder, memoryManager);
 
         // Load saved add-ons
         await addonManager.loadAddons();
 
         // Register event listeners
         eventHandler.registerListeners();
+        promptInjector.registerListeners();
 
         // Load settings.html
         await loadSettingsHTML();
@@ -190,19 +221,36 @@ async function loadModules() {
         window.addOnsExtensionSettings = settingsUI;
         settingsUI.init();
 
+        // Scope badges and per-chat usage depend on the active chat
+        if (context.eventSource && context.event_types?.CHAT_CHANGED) {
+            context.eventSource.on(context.event_types.CHAT_CHANGED, () => {
+                settingsUI.renderAddonsList();
+                settingsUI.renderUsagePanel();
+            });
+        }
+
         // Add "Run Sidecar" to Extensions menu
         addSidecarToExtensionsMenu(eventHandler);
 
         // Restore blocks from saved metadata after DOM is ready
-        restoreBlocksOnLoad(context, resultFormatter, addonManager);
+        restoreBlocksOnLoad(context, resultFormatter, addonManager, stateManager);
 
         // Export for manual triggering
         window.addOnsExtension = {
             triggerAddons: (addonIds = null) => {
                 return eventHandler.triggerAddons(addonIds);
             },
-            retryAddon: (addonId, messageId) => {
-                return eventHandler.retryAddon(addonId, messageId);
+            retryAddon: (addonId, messageId, options) => {
+                return eventHandler.retryAddon(addonId, messageId, options);
+            },
+            revertRewrite: (addonId, messageId) => {
+                return eventHandler.revertRewrite(addonId, messageId);
+            },
+            cancelAddon: (addonId, messageId) => {
+                return eventHandler.cancelAddon(addonId, messageId);
+            },
+            cancelAll: () => {
+                return eventHandler.cancelAllSidecars();
             },
             getAddonManager: () => addonManager,
             getEventHandler: () => eventHandler,
@@ -246,7 +294,7 @@ async function loadModules() {
     /**
      * Restore blocks from saved metadata when chat loads
      */
-    function restoreBlocksOnLoad(context, resultFormatter, addonManager) {
+    function restoreBlocksOnLoad(context, resultFormatter, addonManager, stateManager) {
         // Wait for DOM to be ready and chat to be loaded
         const restoreBlocks = async () => {
             try {
@@ -302,6 +350,9 @@ async function loadModules() {
                 context.eventSource.on(swipeEvent, async (messageIndex) => {
                     console.log(`[Sidecar AI] Message swipe event detected: ${swipeEvent}`, messageIndex);
                     if (typeof messageIndex === 'number') {
+                        // Restore the state snapshot stored for the new variant
+                        const chatLog = context.chat || context.chatLog || context.currentChat || [];
+                        stateManager.restoreSnapshotForSwipe(chatLog?.[messageIndex]);
                         // Handle swipe: hide current sidecars, then restore for the new variant
                         await resultFormatter.handleSwipeVariantChange(messageIndex, addonManager);
                     } else {
@@ -408,10 +459,14 @@ async function loadModules() {
                 <div id="sidecar_run_btn" class="menu_button" style="padding: 0; height: 26px; width: 26px; min-width: 26px; display: flex; align-items: center; justify-content: center; border-radius: 3px;" title="Run Selected">
                     <i class="fa-solid fa-play" style="font-size: 0.8em;"></i>
                 </div>
+                <div id="sidecar_cancel_btn" class="menu_button" style="padding: 0; height: 26px; width: 26px; min-width: 26px; display: flex; align-items: center; justify-content: center; border-radius: 3px;" title="Stop All Sidecars">
+                    <i class="fa-solid fa-stop" style="font-size: 0.8em;"></i>
+                </div>
             `;
 
             const select = menuItem.querySelector('#sidecar_manual_select');
             const runBtn = menuItem.querySelector('#sidecar_run_btn');
+            const cancelBtn = menuItem.querySelector('#sidecar_cancel_btn');
 
             // Performance: Debounce dropdown updates
             let lastAddonUpdate = 0;
@@ -428,7 +483,7 @@ async function loadModules() {
 
                 lastAddonUpdate = now;
 
-                const manualAddons = eventHandler.addonManager.getEnabledAddons()
+                const manualAddons = eventHandler.addonManager.getActiveAddons()
                     .filter(addon => addon.triggerMode === 'manual');
 
                 const currentValue = select.value;
@@ -488,6 +543,18 @@ async function loadModules() {
                 }
             });
 
+            // Stop button handler: cancels every running and queued sidecar request
+            cancelBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const count = eventHandler.cancelAllSidecars();
+                cancelBtn.innerHTML = count > 0
+                    ? '<i class="fa-solid fa-check" style="font-size: 0.8em;"></i>'
+                    : '<i class="fa-solid fa-minus" style="font-size: 0.8em;"></i>';
+                setTimeout(() => {
+                    cancelBtn.innerHTML = '<i class="fa-solid fa-stop" style="font-size: 0.8em;"></i>';
+                }, 1500);
+            });
+
             sidecarContainer.appendChild(menuItem);
 
             // Append to extensions menu (add near the end, before translate)
@@ -3,6 +3,8 @@
  * Handles CRUD operations for add-ons
  */
 
+import { getSillyTavernContext } from './live-context.js';
+
 export class AddonManager {
     constructor(context) {
         this.context = context;
@@ -15,6 +17,28 @@ export class AddonManager {
             includeHistory: true,
             historyDepth: 1  // Minimum 1 for style consistency
         };
+        // Failure classes a fallback chain can react to (see AIClient.classifyError)
+        this.fallbackErrorTypes = ['server', 'timeout', 'contentFilter', 'contextLength', 'rateLimit'];
+        // Contract presets shipped with the extension (user presets live in extension settings)
+        this.builtinContractPresets = [
+            {
+                name: 'In-character',
+                text: [
+                    '- Stay in character. Write as the character would, in their own voice.',
+                    '- Follow the INSTRUCTION BLOCK. Do not continue the main story beyond what it asks.',
+                    '- Output ONLY the requested content (no preface, no explanation, no code fences).'
+                ].join('\n'),
+                builtin: true
+            },
+            {
+                name: 'Plain data',
+                text: [
+                    '- Follow the INSTRUCTION BLOCK exactly.',
+                    '- Output ONLY the requested data. No commentary, no roleplay, no code fences.'
+                ].join('\n'),
+                builtin: true
+            }
+        ];
     }
 
     /**
@@ -99,6 +123,48 @@ export class AddonManager {
         return this.addons.filter(addon => addon.enabled);
     }
 
+    /**
+     * Get enabled add-ons whose scope includes the active chat
+     */
+    getActiveAddons() {
+        const active = this.getActiveChatInfo();
+        return this.getEnabledAddons().filter(addon => this.isAddonInScope(addon, active));
+    }
+
+    /**
+     * Identify the active chat: character (avatar file), group and chat id
+     * Reads a fresh context because the one captured at load time goes stale on chat switches
+     */
+    getActiveChatInfo() {
+        const ctx = getSillyTavernContext(this.context);
+        const groupId = ctx?.groupId ?? null;
+        const character = groupId ? null : ctx?.characters?.[ctx?.characterId];
+        const chatId = typeof ctx?.getCurrentChatId === 'function' ? ctx.getCurrentChatId() : ctx?.chatId;
+
+        return {
+            characterKey: character?.avatar || null,
+            groupId: groupId !== null && groupId !== undefined ? String(groupId) : null,
+            chatId: chatId || null
+        };
+    }
+
+    /**
+     * Check an add-on's scope against the active chat
+     * 'global' runs everywhere, 'allow' only where a listed character/group/chat matches, 'deny' everywhere else
+     */
+    isAddonInScope(addon, active = this.getActiveChatInfo()) {
+        const scope = addon.scope || {};
+        if (!scope.mode || scope.mode === 'global') {
+            return true;
+        }
+
+        const matches = (active.characterKey && scope.characters?.includes(active.characterKey)) ||
+            (active.groupId && scope.groups?.includes(active.groupId)) ||
+            (active.chatId && scope.chats?.includes(active.chatId));
+
+        return scope.mode === 'allow' ? Boolean(matches) : !matches;
+    }
+
     /**
      * Get add-on by ID
      */
@@ -114,6 +180,7 @@ export class AddonManager {
             ...addonData,
             id: this.generateId()
         });
+        this.assertNoDependencyCycle(addon);
 
         this.addons.push(addon);
         this.saveAddons();
@@ -129,10 +196,13 @@ export class AddonManager {
             throw new Error(`Add-on with id ${id} not found`);
         }
 
-        this.addons[index] = this.normalizeAddon({
+        const updated = this.normalizeAddon({
             ...this.addons[index],
             ...updates
         });
+        this.assertNoDependencyCycle(updated);
+
+        this.addons[index] = updated;
 
         this.saveAddons();
         return this.addons[index];
@@ -148,6 +218,10 @@ export class AddonManager {
         }
 
         this.addons.splice(index, 1);
+        // Drop references from sidecars that depended on it
+        this.addons.forEach(addon => {
+            addon.dependsOn = (addon.dependsOn || []).filter(depId => depId !== id);
+        });
         this.saveAddons();
         return true;
     }
@@ -195,7 +269,9 @@ export class AddonManager {
             triggerMode: addon.triggerMode || 'auto',
             triggerConfig: {
                 triggerType: addon.triggerConfig?.triggerType || 'keyword',
-                triggers: Array.isArray(addon.triggerConfig?.triggers) ? addon.triggerConfig.triggers : []
+                triggers: Array.isArray(addon.triggerConfig?.triggers) ? addon.triggerConfig.triggers : [],
+                conditions: this.normalizeTriggerConditions(addon.triggerConfig?.conditions),
+                conditionLogic: addon.triggerConfig?.conditionLogic === 'or' ? 'or' : 'and' // How keyword match + conditions combine
             },
             requestMode: addon.requestMode || 'standalone',
             aiProvider: addon.aiProvider || 'openai',
@@ -203,24 +279,300 @@ export class AddonManager {
             apiKey: addon.apiKey || '', // API key is required - validated in form
             apiUrl: addon.apiUrl || '', // Optional custom URL
             serviceProvider: addon.serviceProvider || [], // Array of service providers for OpenRouter
+            instructTemplate: addon.instructTemplate || 'chatml', // Prompt format for local text completion backends
+            providerSettings: this.normalizeProviderSettings(addon.providerSettings), // Azure deployment, custom headers / body
             connectionProfileId: addon.connectionProfileId || '',
+            fallbacks: this.normalizeFallbacks(addon.fallbacks), // Tried in order when the model above fails
+            fallbackSettings: {
+                on: Array.isArray(addon.fallbackSettings?.on)
+                    ? addon.fallbackSettings.on.filter(type => this.fallbackErrorTypes.includes(type))
+                    : ['server', 'timeout', 'contentFilter', 'contextLength'] // Failure classes that move to the next model
+            },
             resultFormat: addon.resultFormat || 'collapsible',
             responseLocation: addon.responseLocation || 'outsideChatlog',
             formatStyle: addon.formatStyle || 'html-css',
-            inlineMode: addon.inlineMode || 'off',
+            // Rewrite cards hold a diff and pre-generation output is already injected, so neither is projected
+            inlineMode: (addon.responseLocation === 'rewrite' || addon.phase === 'before') ? 'off' : (addon.inlineMode || 'off'),
+            injectionSettings: this.normalizeInjectionSettings(addon.injectionSettings), // Used when inlineMode is 'prompt'
+            rewriteSettings: {
+                mode: addon.rewriteSettings?.mode === 'swipe' ? 'swipe' : 'replace' // Rewrite location: replace text or add a swipe
+            },
+            streaming: addon.streaming === true, // Stream output into the card (standalone only)
+            generationParams: this.normalizeGenerationParams(addon.generationParams), // Sampling overrides (null = default)
+            promptSettings: this.normalizePromptSettings(addon.promptSettings), // Contract / system message overrides
+            promptLayout: addon.promptLayout === 'messages' ? 'messages' : 'single', // One user message or structured turns
+            groupMode: addon.groupMode === 'perMember' ? 'perMember' : 'once', // Group chats: run once or once per present member
+            kind: addon.kind === 'memory' ? 'memory' : 'standard', // 'memory' keeps a rolling chat summary (see MemoryManager)
+            phase: addon.phase === 'before' ? 'before' : 'after', // 'before' runs on the user's message ahead of the main reply
+            preGenerationSettings: {
+                timeoutSeconds: Math.min(120, Math.max(1, parseInt(addon.preGenerationSettings?.timeoutSeconds) || 20)) // Max wait before the main AI
+            },
+            memorySettings: {
+                interval: Math.min(100, Math.max(2, parseInt(addon.memorySettings?.interval) || 10)), // Messages per update
+                maxEntries: Math.min(20, Math.max(2, parseInt(addon.memorySettings?.maxEntries) || 5)) // Summaries per level before condensing
+            },
+            stateFields: this.normalizeStateFields(addon.stateFields), // Persistent typed state (see StateManager)
+            scope: this.normalizeScope(addon.scope), // Where the sidecar runs (characters / groups / chats)
+            dependsOn: Array.isArray(addon.dependsOn)
+                ? [...new Set(addon.dependsOn.filter(id => typeof id === 'string' && id && id !== addon.id))]
+                : [], // Sidecar ids whose output this one consumes (run first)
             contextSettings: {
                 messagesCount: addon.contextSettings?.messagesCount ?? this.defaultSettings.messagesCount,
                 includeCharCard: addon.contextSettings?.includeCharCard ?? this.defaultSettings.includeCharCard,
                 includeUserCard: addon.contextSettings?.includeUserCard ?? this.defaultSettings.includeUserCard,
                 includeWorldCard: addon.contextSettings?.includeWorldCard ?? this.defaultSettings.includeWorldCard,
                 includeHistory: includeHistory,
-                historyDepth: historyDepth  // Always minimum 1
+                historyDepth: historyDepth,  // Always minimum 1
+                tokenBudget: Math.max(0, parseInt(addon.contextSettings?.tokenBudget) || 0), // 0 = unlimited
+                groupCards: addon.contextSettings?.groupCards === 'all' ? 'all' : 'speaker', // Group chats: whose card to include
+                includeMemory: addon.contextSettings?.includeMemory === true // Summary from memory sidecars
             },
             enabled: addon.enabled !== undefined ? addon.enabled : true,
             order: order
         };
     }
 
+    /**
+     * Normalize fallback models: [{connectionProfileId} | {aiProvider, aiModel, apiUrl}]
+     */
+    normalizeFallbacks(fallbacks) {
+        if (!Array.isArray(fallbacks)) {
+            return [];
+        }
+        return fallbacks
+            .map(entry => entry?.connectionProfileId
+                ? { connectionProfileId: String(entry.connectionProfileId) }
+                : {
+                    aiProvider: String(entry?.aiProvider || '').trim(),
+                    aiModel: String(entry?.aiModel || '').trim(),
+                    apiUrl: String(entry?.apiUrl || '').trim()
+                })
+            .filter(entry => entry.connectionProfileId || (entry.aiProvider && entry.aiModel))
+            .slice(0, 5);
+    }
+
+    /**
+     * Normalize provider-specific settings: {deployment, apiVersion} for Azure OpenAI,
+     * {extraHeaders, extraBody} for custom OpenAI-compatible endpoints
+     */
+    normalizeProviderSettings(settings) {
+        const extraHeaders = {};
+        Object.entries(settings?.extraHeaders || {}).forEach(([name, value]) => {
+            if (String(name).trim()) {
+                extraHeaders[String(name).trim()] = String(value ?? '');
+            }
+        });
+        const extraBody = settings?.extraBody;
+        return {
+            deployment: String(settings?.deployment || '').trim(),
+            apiVersion: String(settings?.apiVersion || '').trim(),
+            extraHeaders: extraHeaders,
+            extraBody: extraBody && typeof extraBody === 'object' && !Array.isArray(extraBody) ? extraBody : {}
+        };
+    }
+
+    /**
+     * Normalize prompt injection settings: {position, depth, role}
+     * position: 'inChat' (at depth), 'inPrompt' (after the story string) or 'beforePrompt'
+     */
+    normalizeInjectionSettings(settings) {
+        const depth = parseInt(settings?.depth);
+        return {
+            position: ['inPrompt', 'beforePrompt'].includes(settings?.position) ? settings.position : 'inChat',
+            depth: Number.isNaN(depth) ? 2 : Math.min(100, Math.max(0, depth)),
+            role: ['user', 'assistant'].includes(settings?.role) ? settings.role : 'system'
+        };
+    }
+
+    /**
+     * Normalize prompt settings: {contractMode, contract, systemMode, systemPrompt}
+     * Modes: 'default' (built-in text), 'custom' (own text), 'none' (disabled)
+     */
+    normalizePromptSettings(settings) {
+        const mode = value => (['custom', 'none'].includes(value) ? value : 'default');
+        return {
+            contractMode: mode(settings?.contractMode),
+            contract: typeof settings?.contract === 'string' ? settings.contract : '',
+            systemMode: mode(settings?.systemMode),
+            systemPrompt: typeof settings?.systemPrompt === 'string' ? settings.systemPrompt : ''
+        };
+    }
+
+    /**
+     * Contract presets: built-ins followed by the user's saved presets ({name, text})
+     */
+    getContractPresets() {
+        const saved = this.context.extensionSettings?.addOnsExtension?.contractPresets;
+        return [
+            ...this.builtinContractPresets,
+            ...(Array.isArray(saved) ? saved.filter(preset => preset?.name) : [])
+        ];
+    }
+
+    /**
+     * Save (or overwrite) a user contract preset
+     */
+    saveContractPreset(name, text) {
+        const presetName = String(name || '').trim();
+        if (!presetName) {
+            throw new Error('Preset name is required');
+        }
+        if (this.builtinContractPresets.some(preset => preset.name === presetName)) {
+            throw new Error(`"${presetName}" is a built-in preset. Choose another name.`);
+        }
+
+        const settings = this.getExtensionSettings();
+        const presets = Array.isArray(settings.contractPresets) ? settings.contractPresets : [];
+        settings.contractPresets = [
+            ...presets.filter(preset => preset?.name !== presetName),
+            { name: presetName, text: String(text || '') }
+        ];
+        this.saveExtensionSettings();
+    }
+
+    /**
+     * Delete a user contract preset (built-ins cannot be deleted)
+     */
+    deleteContractPreset(name) {
+        const settings = this.getExtensionSettings();
+        if (!Array.isArray(settings.contractPresets)) {
+            return false;
+        }
+        const before = settings.contractPresets.length;
+        settings.contractPresets = settings.contractPresets.filter(preset => preset?.name !== name);
+        this.saveExtensionSettings();
+        return settings.contractPresets.length !== before;
+    }
+
+    /**
+     * Extension settings object (created on first access)
+     */
+    getExtensionSettings() {
+        if (!this.context.extensionSettings) {
+            this.context.extensionSettings = {};
+        }
+        if (!this.context.extensionSettings.addOnsExtension) {
+            this.context.extensionSettings.addOnsExtension = {};
+        }
+        return this.context.extensionSettings.addOnsExtension;
+    }
+
+    /**
+     * Persist extension settings
+     */
+    saveExtensionSettings() {
+        if (this.context.saveSettingsDebounced) {
+            this.context.saveSettingsDebounced();
+        }
+    }
+
+    /**
+     * Normalize generation parameters: {temperature, topP, maxTokens, stop, presencePenalty, frequencyPenalty, reasoningEffort}
+     * null / '' means "not set" (AIClient uses its defaults or the Connection Manager preset)
+     */
+    normalizeGenerationParams(params) {
+        const number = (value, min, max) => {
+            if (value === null || value === undefined || value === '' || Number.isNaN(Number(value))) {
+                return null;
+            }
+            return Math.min(max, Math.max(min, Number(value)));
+        };
+
+        const maxTokens = number(params?.maxTokens, 1, 1000000);
+        return {
+            temperature: number(params?.temperature, 0, 2),
+            topP: number(params?.topP, 0, 1),
+            maxTokens: maxTokens === null ? null : Math.round(maxTokens),
+            stop: Array.isArray(params?.stop)
+                ? params.stop.filter(sequence => typeof sequence === 'string' && sequence.length > 0).slice(0, 4)
+                : [],
+            presencePenalty: number(params?.presencePenalty, -2, 2),
+            frequencyPenalty: number(params?.frequencyPenalty, -2, 2),
+            reasoningEffort: ['minimal', 'low', 'medium', 'high'].includes(params?.reasoningEffort) ? params.reasoningEffort : ''
+        };
+    }
+
+    /**
+     * Normalize scope: {mode: 'global'|'allow'|'deny', characters: [avatar], groups: [id], chats: [id]}
+     */
+    normalizeScope(scope) {
+        const list = value => Array.isArray(value)
+            ? [...new Set(value.filter(item => item !== null && item !== undefined && item !== '').map(String))]
+            : [];
+
+        return {
+            mode: ['allow', 'deny'].includes(scope?.mode) ? scope.mode : 'global',
+            characters: list(scope?.characters),
+            groups: list(scope?.groups),
+            chats: list(scope?.chats)
+        };
+    }
+
+    /**
+     * Normalize trigger conditions (evaluated on the AI message, see EventHandler.evaluateTriggerCondition)
+     * Types: aiText, characterName, everyNMessages, chatLength, sidecarResult, timeSinceRun
+     */
+    normalizeTriggerConditions(conditions) {
+        if (!Array.isArray(conditions)) {
+            return [];
+        }
+
+        const types = ['aiText', 'characterName', 'everyNMessages', 'chatLength', 'sidecarResult', 'timeSinceRun'];
+        return conditions
+            .filter(condition => condition && types.includes(condition.type))
+            .map(condition => ({
+                type: condition.type,
+                matchType: condition.matchType === 'regex' ? 'regex' : 'keyword',
+                addonId: typeof condition.addonId === 'string' ? condition.addonId : '',
+                field: typeof condition.field === 'string' ? condition.field.trim() : '',
+                operator: typeof condition.operator === 'string' && condition.operator ? condition.operator : '>=',
+                value: condition.value === undefined || condition.value === null ? '' : String(condition.value)
+            }));
+    }
+
+    /**
+     * Normalize declared state fields: {name, type, min, max, default}
+     * Types: number (optional min/max), string, boolean, list. Invalid or duplicate names are dropped.
+     */
+    normalizeStateFields(fields) {
+        if (!Array.isArray(fields)) {
+            return [];
+        }
+
+        const seen = new Set();
+        return fields.filter(field => {
+            const name = String(field?.name || '').trim();
+            if (!/^[A-Za-z_][\w]*$/.test(name) || seen.has(name)) {
+                return false;
+            }
+            seen.add(name);
+            return true;
+        }).map(field => {
+            const type = ['number', 'string', 'boolean', 'list'].includes(field.type) ? field.type : 'string';
+            const normalized = { name: String(field.name).trim(), type };
+
+            if (type === 'number') {
+                const min = Number.isFinite(Number(field.min)) && field.min !== null && field.min !== '' ? Number(field.min) : null;
+                const max = Number.isFinite(Number(field.max)) && field.max !== null && field.max !== '' ? Number(field.max) : null;
+                normalized.min = min;
+                normalized.max = max;
+                let value = Number(field.default);
+                value = Number.isFinite(value) ? value : (min ?? 0);
+                if (min !== null) value = Math.max(min, value);
+                if (max !== null) value = Math.min(max, value);
+                normalized.default = value;
+            } else if (type === 'boolean') {
+                normalized.default = field.default === true || String(field.default).toLowerCase() === 'true';
+            } else if (type === 'list') {
+                normalized.default = Array.isArray(field.default) ? field.default.map(item => String(item)) : [];
+            } else {
+                normalized.default = field.default === undefined || field.default === null ? '' : String(field.default);
+            }
+
+            return normalized;
+        });
+    }
+
     /**
      * Generate unique ID for add-on
      */
@@ -238,10 +590,13 @@ export class AddonManager {
         const standalone = [];
 
         addonsToGroup.forEach(addon => {
-            if (addon.requestMode === 'batch') {
-                const key = addon.connectionProfileId
+            // Per-member, memory and fallback-chain sidecars send their own requests, so they always run standalone
+            if (addon.requestMode === 'batch' && addon.groupMode !== 'perMember' && addon.kind !== 'memory' && !(addon.fallbacks?.length > 0)) {
+                // Sampling settings are shared by the whole batch request (max tokens is the group's largest)
+                const { maxTokens, ...sampling } = addon.generationParams || {};
+                const key = (addon.connectionProfileId
                     ? `cm:${addon.connectionProfileId}`
-                    : `${addon.aiProvider}:${addon.aiModel}`;
+                    : `${addon.aiProvider}:${addon.aiModel}:${addon.instructTemplate}:${JSON.stringify(addon.providerSettings)}`) + `:${JSON.stringify(sampling)}`;
                 if (!batchGroups[key]) {
                     batchGroups[key] = [];
                 }
@@ -257,6 +612,124 @@ export class AddonManager {
         };
     }
 
+    /**
+     * Find a dependency cycle, optionally with one add-on replaced by a pending version
+     * @returns {Array<Object>|null} Add-ons along the cycle (first one repeated at the end), or null
+     */
+    findDependencyCycle(pendingAddon = null) {
+        const addons = this.addons.filter(addon => addon.id !== pendingAddon?.id);
+        if (pendingAddon) {
+            addons.push(pendingAddon);
+        }
+        const byId = new Map(addons.map(addon => [addon.id, addon]));
+
+        const visiting = new Set();
+        const done = new Set();
+        const path = [];
+
+        const visit = (id) => {
+            if (done.has(id) || !byId.has(id)) {
+                return null;
+            }
+            if (visiting.has(id)) {
+                const cycle = path.slice(path.indexOf(id));
+                cycle.push(id);
+                return cycle.map(cycleId => byId.get(cycleId));
+            }
+
+            visiting.add(id);
+            path.push(id);
+            for (const depId of byId.get(id).dependsOn || []) {
+                const cycle = visit(depId);
+                if (cycle) {
+                    return cycle;
+                }
+            }
+            path.pop();
+            visiting.delete(id);
+            done.add(id);
+            return null;
+        };
+
+        for (const addon of addons) {
+            const cycle = visit(addon.id);
+            if (cycle) {
+                return cycle;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Throw if saving this add-on would create a dependency cycle
+     */
+    assertNoDependencyCycle(addon) {
+        const cycle = this.findDependencyCycle(addon);
+        if (cycle) {
+            throw new Error(`Dependency cycle: ${cycle.map(a => a.name).join(' → ')}`);
+        }
+    }
+
+    /**
+     * Add missing dependencies to a run set (recursively)
+     * Dependencies that are switched off or out of the open chat's scope are never added; the add-ons needing them are reported instead.
+     * @param {Array} addons - Add-ons selected to run
+     * @param {Function} needsRun - (dependency) => boolean; dependencies that return false are not added
+     * @returns {{addons: Array, unavailable: Map<string, string[]>}} unavailable: add-on id -> names of its disabled / out-of-scope dependencies
+     */
+    withDependencies(addons, needsRun = () => true) {
+        const result = [...addons];
+        const included = new Set(result.map(addon => addon.id));
+        const unavailable = new Map();
+        const active = this.getActiveChatInfo();
+
+        for (let i = 0; i < result.length; i++) {
+            (result[i].dependsOn || []).forEach(depId => {
+                const dependency = this.getAddon(depId);
+                if (!dependency || included.has(depId) || !needsRun(dependency)) {
+                    return;
+                }
+                if (!dependency.enabled || !this.isAddonInScope(dependency, active)) {
+                    unavailable.set(result[i].id, [...(unavailable.get(result[i].id) || []), dependency.name]);
+                    return;
+                }
+                included.add(depId);
+                result.push(dependency);
+            });
+        }
+
+        return { addons: result, unavailable };
+    }
+
+    /**
+     * Order add-ons so dependencies (within the given set) come first
+     * @returns {{ordered: Array, cyclic: Array}} Add-ons caught in a cycle are returned separately
+     */
+    sortByDependencies(addons) {
+        const ids = new Set(addons.map(addon => addon.id));
+        const remaining = [...addons];
+        const ordered = [];
+        const placed = new Set();
+
+        let progress = true;
+        while (remaining.length > 0 && progress) {
+            progress = false;
+            for (let i = 0; i < remaining.length; i++) {
+                const addon = remaining[i];
+                const ready = (addon.dependsOn || []).every(depId => !ids.has(depId) || placed.has(depId));
+                if (ready) {
+                    ordered.push(addon);
+                    placed.add(addon.id);
+                    remaining.splice(i, 1);
+                    i--;
+                    progress = true;
+                }
+            }
+        }
+
+        return { ordered, cyclic: remaining };
+    }
+
     /**
      * Bulk enable add-ons
      */
@@ -425,6 +898,35 @@ export class AddonManager {
         return exportData;
     }
 
+    /**
+     * Point imported dependsOn (and trigger condition) references at the new ids and drop dependencies that would form a cycle
+     */
+    remapImportedDependencies(importedAddons, idMap, result) {
+        importedAddons.forEach(addon => {
+            addon.dependsOn = addon.dependsOn
+                .map(depId => idMap.get(depId) || depId)
+                .filter(depId => depId !== addon.id && this.addons.some(a => a.id === depId));
+            // Trigger conditions can reference other sidecars too
+            addon.triggerConfig.conditions.forEach(condition => {
+                if (condition.addonId && idMap.has(condition.addonId)) {
+                    condition.addonId = idMap.get(condition.addonId);
+                }
+            });
+        });
+
+        // Each pass clears the imported add-ons on one cycle; existing add-ons are already acyclic
+        let cycle = this.findDependencyCycle();
+        while (cycle) {
+            const cycleImports = importedAddons.filter(addon => cycle.includes(addon));
+            if (cycleImports.length === 0) {
+                break;
+            }
+            cycleImports.forEach(addon => { addon.dependsOn = []; });
+            result.errors.push({ addon: cycle[0].name, error: `Dependency cycle removed: ${cycle.map(a => a.name).join(' → ')}` });
+            cycle = this.findDependencyCycle();
+        }
+    }
+
     /**
      * Import add-ons from JSON data
      * @param {Object} importData - Import data object
@@ -442,6 +944,9 @@ export class AddonManager {
             skipped: 0,
             errors: []
         };
+        // Imported add-ons get new ids; track them so dependsOn references can be remapped
+        const idMap = new Map();
+        const importedAddons = [];
 
         if (mergeMode === 'replace') {
             // Replace all add-ons
@@ -451,6 +956,8 @@ export class AddonManager {
                     const normalized = this.normalizeAddon(addonData);
                     // Generate new ID to avoid conflicts
                     normalized.id = this.generateId();
+                    idMap.set(addonData.id, normalized.id);
+                    importedAddons.push(normalized);
                     this.addons.push(normalized);
                     result.imported++;
                 } catch (error) {
@@ -470,6 +977,8 @@ export class AddonManager {
                             ...addonData,
                             id: this.generateId() // New ID to avoid conflicts
                         });
+                        idMap.set(addonData.id, normalized.id);
+                        importedAddons.push(normalized);
                         this.addons.push(normalized);
                         result.imported++;
                     } else {
@@ -477,6 +986,8 @@ export class AddonManager {
                         const normalized = this.normalizeAddon(addonData);
                         // Generate new ID to avoid conflicts
                         normalized.id = this.generateId();
+                        idMap.set(addonData.id, normalized.id);
+                        importedAddons.push(normalized);
                         this.addons.push(normalized);
                         result.imported++;
                     }
@@ -487,6 +998,8 @@ export class AddonManager {
             });
         }
 
+        this.remapImportedDependencies(importedAddons, idMap, result);
+
         // Re-sort by order
         this.addons.sort((a, b) => (a.order || 0) - (b.order || 0));
         this.saveAddons();
@@ -5,14 +5,21 @@
  */
 
 export class AIClient {
-    constructor(context) {
+    constructor(context, scheduler = null, providers = null, cache = null) {
         this.context = context;
+        // Per-provider request queue (RequestScheduler); requests go out directly without one
+        this.scheduler = scheduler;
+        // Provider adapters for direct requests (ProviderRegistry, src/providers)
+        this.providers = providers;
+        // Opt-in response cache (ResponseCache); every request goes to the provider without one
+        this.cache = cache;
         // Retry configuration
         this.retryConfig = {
             maxRetries: 3,
             initialDelay: 1000, // 1 second
             maxDelay: 10000, // 10 seconds
-            backoffMultiplier: 2
+            backoffMultiplier: 2,
+            maxRetryAfter: 60000 // Longer Retry-After waits fail instead of retrying
         };
 
         // Cache for Connection Manager module (optional)
@@ -20,23 +27,191 @@ export class AIClient {
 
         // Performance: Track active request controllers for cancellation
         this.activeRequests = new Map(); // Key: `${addonId}:${messageId}`, Value: AbortController
+
+        // Minimal system message to reduce drift without forcing a specific output format
+        this.defaultSystemPrompt = [
+            'You are a task executor.',
+            'Follow the user instruction exactly. Do not add extra content. Do not roleplay.',
+            'Output ONLY the final requested content (no preface, no explanation, no code fences).',
+        ].join('\n');
+
+        // Used when a sidecar leaves temperature / max tokens unset (Connection Manager presets keep their own)
+        this.defaultGenerationParams = {
+            temperature: 0.7,
+            maxTokens: 4096
+        };
+    }
+
+    /**
+     * System message text for an add-on: the default one, its custom text, or '' when omitted
+     */
+    getSystemPrompt(addon) {
+        const settings = addon?.promptSettings || {};
+        if (settings.systemMode === 'none') {
+            return '';
+        }
+        if (settings.systemMode === 'custom' && String(settings.systemPrompt || '').trim()) {
+            return String(settings.systemPrompt).trim();
+        }
+        return this.defaultSystemPrompt;
+    }
+
+    /**
+     * Build the messages array for a single add-on request
+     * The system message is the default one, the add-on's custom text, or omitted (promptSettings.systemMode)
+     * @param {Object} addon - Addon configuration
+     * @param {string|Array} prompt - Prompt text, or a messages array (structured layout) that the system message is prepended to
+     */
+    buildMessages(addon, prompt) {
+        const systemPrompt = this.getSystemPrompt(addon);
+        const messages = [];
+        if (systemPrompt) {
+            messages.push({ role: 'system', content: systemPrompt });
+        }
+        if (Array.isArray(prompt)) {
+            messages.push(...prompt);
+        } else {
+            messages.push({ role: 'user', content: String(prompt || '') });
+        }
+        return messages;
+    }
+
+    /**
+     * Resolve generation parameters for one add-on or a batch group
+     * A batch uses the first add-on's sampling settings (groups share them) and the largest max tokens.
+     * @param {Object|Array} addons - Add-on or batch group
+     * @param {boolean} withDefaults - Fill temperature / max tokens with defaults when unset
+     */
+    getGenerationParams(addons, withDefaults = true) {
+        const list = Array.isArray(addons) ? addons : [addons];
+        const params = { ...(list[0]?.generationParams || {}) };
+        const maxTokens = list.map(addon => addon?.generationParams?.maxTokens).filter(value => typeof value === 'number');
+        params.maxTokens = maxTokens.length > 0 ? Math.max(...maxTokens) : null;
+
+        if (withDefaults) {
+            params.temperature = params.temperature ?? this.defaultGenerationParams.temperature;
+            params.maxTokens = params.maxTokens ?? this.defaultGenerationParams.maxTokens;
+        }
+        return params;
+    }
+
+    /**
+     * Convert generation parameters to OpenAI-style request fields (unset values are omitted)
+     * Used for ChatCompletionService options and Connection Manager overrides; direct requests use the provider adapter
+     */
+    buildSamplingFields(params, provider = 'openai') {
+        return this.getProviderAdapter(provider).buildSamplingFields(params);
+    }
+
+    /**
+     * Adapter for a provider (src/providers); unknown providers are treated as OpenAI
+     */
+    getProviderAdapter(provider) {
+        return this.providers.get(provider) || this.providers.get('openai');
     }
 
     /**
      * Map provider names to SillyTavern's chat_completion_source values
      */
     getChatCompletionSource(provider) {
-        const sourceMap = {
-            'openai': 'openai',
-            'openrouter': 'openrouter',
-            'anthropic': 'anthropic',
-            'google': 'makersuite', // Google uses MAKERSUITE, not 'google'
-            'deepseek': 'deepseek',
-            'cohere': 'cohere',
-            'custom': 'custom',
-            // Add more mappings as needed
+        return this.getProviderAdapter(provider).source;
+    }
+
+    /**
+     * Local text completion backends (Ollama, KoboldCpp, llama.cpp, text-generation-webui) take an
+     * instruct-formatted prompt string instead of chat messages
+     */
+    isTextCompletionProvider(provider) {
+        return !!this.getProviderAdapter(provider).textCompletion;
+    }
+
+    /**
+     * Format messages with the add-on's instruct template (addon.instructTemplate)
+     * @returns {{prompt: string, params: Object}} Prompt string and params with the template's stop strings added
+     */
+    buildTextPrompt(addon, messages, params) {
+        const templates = this.providers.instructTemplates;
+        const template = templates.get(addon?.instructTemplate, this.context);
+        const stop = [...(Array.isArray(params?.stop) ? params.stop : []), ...template.stop];
+        return {
+            prompt: templates.format(messages, template),
+            params: { ...params, stop: [...new Set(stop)] }
         };
-        return sourceMap[provider] || 'openai';
+    }
+
+    /**
+     * Send to a text completion backend: through SillyTavern's TextCompletionService (server-side, no CORS)
+     * when available, otherwise straight to the server
+     * @param {Array} messages - Chat messages (formatted with the instruct template here)
+     * @param {Object} params - Optional resolved generation parameters (defaults to the add-on's)
+     * @param {Function} onData - Optional callback receiving the raw (non-streamed) response body, used for usage
+     */
+    async sendTextCompletion(addon, messages, signal = null, onChunk = null, params = null, onData = null) {
+        const provider = addon.aiProvider;
+        const adapter = this.getProviderAdapter(provider);
+        const text = this.buildTextPrompt(addon, messages, params || this.getGenerationParams(addon));
+        const stream = typeof onChunk === 'function';
+
+        if (this.context?.TextCompletionService) {
+            const sampling = adapter.buildSamplingFields(text.params);
+            delete sampling.reasoning_effort;
+            const requestOptions = {
+                stream: stream,
+                prompt: text.prompt,
+                model: addon.aiModel,
+                api_type: adapter.apiType,
+                api_server: adapter.getBaseUrl(addon.apiUrl),
+                ...sampling,
+                stopping_strings: text.params.stop
+            };
+
+            // extractData = false keeps the usage fields; text is extracted below
+            const response = await this.context.TextCompletionService.processRequest(requestOptions, {
+                presetName: undefined, // Don't use presets for sidecar requests
+            }, false, signal);
+
+            if (stream) {
+                return await this.readGeneratorStream(response, onChunk);
+            }
+            if (typeof onData === 'function') {
+                onData(response);
+            }
+            return this.extractMessageText(response);
+        }
+
+        console.warn('[Sidecar AI] TextCompletionService not available, sending directly to', adapter.getBaseUrl(addon.apiUrl));
+        return await this.sendDirectAPIFallback(addon, text.prompt, provider, addon.aiModel, addon.apiUrl, signal, onChunk, {}, onData, text.params);
+    }
+
+    /**
+     * Models on a local text completion server: asked through SillyTavern's server first (no CORS), then directly
+     * @returns {Promise<string[]>} Model ids
+     */
+    async getLocalModels(provider, apiUrl = null) {
+        const adapter = this.getProviderAdapter(provider);
+        const apiServer = adapter.getBaseUrl(apiUrl);
+
+        try {
+            const response = await fetch('/api/backends/text-completions/status', {
+                method: 'POST',
+                headers: this.getRequestHeaders(),
+                body: JSON.stringify({ api_server: apiServer, api_type: adapter.apiType })
+            });
+            if (response.ok) {
+                const models = adapter.parseModels(await response.json());
+                if (models.length > 0) {
+                    return models;
+                }
+            }
+        } catch (error) {
+            console.warn('[Sidecar AI] SillyTavern could not list models, asking the server directly:', error);
+        }
+
+        const response = await fetch(adapter.getModelsEndpoint(apiUrl));
+        if (!response.ok) {
+            throw new Error(adapter.parseError(response.status, await response.text()));
+        }
+        return adapter.parseModels(await response.json());
     }
 
     /**
@@ -71,8 +246,26 @@ export class AIClient {
      * @param {string|Array} prompt - Prompt to send
      * @param {number} retryCount - Current retry attempt (internal)
      * @param {string|number} messageId - Optional message ID for request cancellation
+     * @param {Object} options - Optional request options
+     * @param {Function} options.onChunk - Streams the accumulated text as it arrives (enables streaming)
+     * @param {Function} options.onUsage - Receives {promptTokens, completionTokens, estimated, model} once the response is complete
+     * @param {string} options.priority - Queue priority: 'high' (manual runs) or 'normal'
+     * @param {Function} options.onQueue - Receives the queue position while waiting, 0 once the request starts
+     * @param {Function} options.onSource - Receives {provider, model, profileId, fallbackIndex} of the model that answered
+     * @param {Function} options.onFallback - Called with (description, errorType) when moving to a fallback model
+     * @param {boolean} options.fresh - Skip the response cache lookup (the new response is still cached)
      */
-    async sendToAI(addon, prompt, retryCount = 0, messageId = null) {
+    async sendToAI(addon, prompt, retryCount = 0, messageId = null, options = {}) {
+        // Each request checks the response cache, then walks the sidecar's model chain: its own model, then its fallbacks (if any)
+        if (retryCount === 0 && !options?.fallbackAttempt) {
+            return await this.sendWithCache(addon, prompt, messageId, options);
+        }
+
+        const onChunk = typeof options?.onChunk === 'function' ? options.onChunk : null;
+        const onUsage = typeof options?.onUsage === 'function' ? options.onUsage : null;
+        const stream = !!onChunk;
+        let release = null;
+
         // Performance: Cancel previous request for same addon+message if exists
         if (messageId !== null && retryCount === 0) {
             const requestKey = `${addon.id}:${messageId}`;
@@ -84,14 +277,17 @@ export class AIClient {
             }
         }
 
-        // Create abort controller for this request
-        const abortController = new AbortController();
+        // Create abort controller for this request (retries keep the first attempt's, so cancelling stops them too)
+        const abortController = (retryCount > 0 && options?.abortController) || new AbortController();
         if (messageId !== null && retryCount === 0) {
             const requestKey = `${addon.id}:${messageId}`;
             this.activeRequests.set(requestKey, abortController);
         }
 
         try {
+            // Wait for a slot in this provider's queue (concurrency and rate limits)
+            release = await this.acquireSlot(addon, abortController.signal, options);
+
             // If user selected a Connection Manager profile, route the request through it.
             // This enables a different connection/preset than the main AI and avoids CORS.
             if (addon?.connectionProfileId) {
@@ -101,25 +297,32 @@ export class AIClient {
                         console.log(`[Sidecar AI] Using Connection Manager profile ${addon.connectionProfileId} for ${addon.name}`);
                     }
 
-                    // For ConnectionManagerRequestService, prompt can be a string or a messages array.
-                    // If our prompt is a string, pass it directly; if it's an array, pass messages.
-                    const promptArg = Array.isArray(prompt) ? prompt : String(prompt || '');
+                    // ConnectionManagerRequestService accepts a messages array (same system message as the other paths)
+                    const promptArg = this.buildMessages(addon, prompt);
 
-                    const overridePayload = {};
+                    // Only explicitly set parameters override the profile's preset
+                    const params = this.getGenerationParams(addon, false);
+                    const overridePayload = this.buildSamplingFields({ ...params, maxTokens: null });
                     // Allow OpenRouter provider routing (only meaningful if the selected profile maps to OpenRouter source)
                     if (Array.isArray(addon.serviceProvider) && addon.serviceProvider.length > 0) {
                         overridePayload.provider = addon.serviceProvider;
                     }
 
+                    // Raw response (extractData: false) so the usage object is kept
                     const response = await cm.sendRequest(
                         addon.connectionProfileId,
                         promptArg,
-                        4096,
-                        { stream: false, extractData: true, includePreset: true },
+                        params.maxTokens ?? this.defaultGenerationParams.maxTokens,
+                        { stream, signal: abortController.signal, extractData: stream, includePreset: true },
                         overridePayload
                     );
 
-                    return response?.content || response?.choices?.[0]?.message?.content || String(response);
+                    if (stream) {
+                        const streamed = await this.readGeneratorStream(response, onChunk);
+                        return await this.reportUsage(addon, prompt, streamed, null, onUsage);
+                    }
+
+                    return await this.reportUsage(addon, prompt, this.extractMessageText(response), response, onUsage);
                 } else {
                     console.warn('[Sidecar AI] Connection Manager not available; falling back to ChatCompletionService');
                 }
@@ -130,6 +333,16 @@ export class AIClient {
             const apiUrl = addon.apiUrl; // Custom endpoint support
             const chatCompletionSource = this.getChatCompletionSource(provider);
 
+            // Local text completion backends: instruct-formatted prompt instead of chat messages
+            if (this.isTextCompletionProvider(provider)) {
+                if (retryCount === 0) {
+                    console.log(`[Sidecar AI] Using text completion backend ${provider} (${model})`);
+                }
+                let rawData = null;
+                const content = await this.sendTextCompletion(addon, this.buildMessages(addon, prompt), abortController.signal, onChunk, null, data => { rawData = data; });
+                return await this.reportUsage(addon, prompt, content, rawData, onUsage);
+            }
+
             // Use SillyTavern's ChatCompletionService - it handles everything!
             if (this.context && this.context.ChatCompletionService) {
                 if (retryCount === 0) {
@@ -138,36 +351,18 @@ export class AIClient {
                     console.log(`[Sidecar AI] Retry attempt ${retryCount}/${this.retryConfig.maxRetries} for ${addon.name}`);
                 }
 
-                // Build messages array with system instruction
-                let messages;
-                if (Array.isArray(prompt)) {
-                    messages = prompt;
-                } else {
-                    // Minimal system message to reduce drift without forcing a specific output format.
-                    messages = [
-                        {
-                            role: 'system',
-                            content: [
-                                'You are a task executor.',
-                                'Follow the user instruction exactly. Do not add extra content. Do not roleplay.',
-                                'Output ONLY the final requested content (no preface, no explanation, no code fences).',
-                            ].join('\n')
-                        },
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ];
-                }
+                // Build messages array with system instruction (see buildMessages)
+                const messages = this.buildMessages(addon, prompt);
 
+                // ChatCompletionService forwards top_p, stop, penalties and reasoning_effort to the backend
                 const requestOptions = {
-                    stream: false,
+                    stream: stream,
                     messages: messages,
                     model: model,
                     chat_completion_source: chatCompletionSource,
-                    max_tokens: 4096,
-                    temperature: 0.7,
+                    ...this.buildSamplingFields(this.getGenerationParams(addon)),
                     custom_url: apiUrl || undefined, // Use custom URL if provided
+                    ...this.getProviderAdapter(provider).getServiceFields(model, apiUrl, addon.providerSettings), // Azure deployment, custom headers / body
                 };
 
                 // Add OpenRouter service providers if specified
@@ -175,36 +370,47 @@ export class AIClient {
                     requestOptions.provider = addon.serviceProvider;
                 }
 
+                // extractData = false keeps the usage object; text is extracted below
                 const response = await this.context.ChatCompletionService.processRequest(requestOptions, {
                     presetName: undefined, // Don't use presets for sidecar requests
-                }, true); // extractData = true
+                }, stream, abortController.signal);
 
-                // Extract content from response
-                if (response && typeof response === 'object' && 'content' in response) {
-                    return response.content;
+                if (stream) {
+                    const streamed = await this.readGeneratorStream(response, onChunk);
+                    return await this.reportUsage(addon, prompt, streamed, null, onUsage);
                 }
 
-                // Fallback extraction
-                return response?.choices?.[0]?.message?.content || response?.content || String(response);
+                return await this.reportUsage(addon, prompt, this.extractMessageText(response), response, onUsage);
             }
 
             // Fallback: if ChatCompletionService not available, use direct API
             console.warn('[Sidecar AI] ChatCompletionService not available, using fallback');
-            return await this.sendDirectAPIFallback(addon, prompt, provider, model, apiUrl, abortController.signal);
+            let rawData = null;
+            const content = await this.sendDirectAPIFallback(addon, this.buildMessages(addon, prompt), provider, model, apiUrl, abortController.signal, onChunk, {}, data => { rawData = data; });
+            return await this.reportUsage(addon, prompt, content, rawData, onUsage);
         } catch (error) {
+            // Free the queue slot before waiting to retry
+            release?.();
+
             // Check if request was aborted
             if (error.name === 'AbortError' || abortController.signal.aborted) {
                 console.log(`[Sidecar AI] Request aborted for ${addon.name}`);
                 throw error;
             }
 
+            // Rate limited: hold the provider's queue for Retry-After, then retry after it
+            const retryAfter = this.handleRateLimit(addon, error);
+
             // Check if we should retry
-            if (this.shouldRetry(error, retryCount)) {
-                const delay = this.calculateRetryDelay(retryCount);
+            if (this.shouldRetry(error, retryCount) && !(retryAfter > this.retryConfig.maxRetryAfter)) {
+                const delay = retryAfter ?? this.calculateRetryDelay(retryCount);
                 console.log(`[Sidecar AI] Retrying ${addon.name} after ${delay}ms (attempt ${retryCount + 1}/${this.retryConfig.maxRetries})`);
 
                 await this.sleep(delay);
-                return await this.sendToAI(addon, prompt, retryCount + 1, messageId);
+                if (abortController.signal.aborted) {
+                    throw this.createAbortError(addon);
+                }
+                return await this.sendToAI(addon, prompt, retryCount + 1, messageId, { ...options, abortController });
             }
 
             // Store retry count in error for UI display
@@ -213,6 +419,7 @@ export class AIClient {
             console.error(`[Sidecar AI] Error sending to AI (${addon.name}) after ${retryCount} retries:`, error);
             throw error;
         } finally {
+            release?.();
             // Clean up abort controller
             if (messageId !== null && retryCount === 0) {
                 const requestKey = `${addon.id}:${messageId}`;
@@ -221,6 +428,234 @@ export class AIClient {
         }
     }
 
+    /**
+     * Answer from the response cache when enabled, otherwise send and cache the reply
+     * A hit streams the cached text at once, reports its source with cached: true and reports no usage (nothing was billed).
+     */
+    async sendWithCache(addon, prompt, messageId, options = {}) {
+        if (!this.cache?.isEnabled()) {
+            return await this.sendWithFallbacks(addon, prompt, messageId, options);
+        }
+
+        const key = await this.cache.getKey(this.getCacheKeyParts(addon, prompt));
+        if (!options?.fresh) {
+            const hit = await this.cache.get(key);
+            if (hit && typeof hit.result === 'string') {
+                console.log(`[Sidecar AI] ${addon.name}: using cached response from ${new Date(hit.createdAt).toLocaleString()}`);
+                options?.onChunk?.(hit.result);
+                options?.onSource?.({ ...(hit.source || {}), cached: true, cachedAt: hit.createdAt });
+                return hit.result;
+            }
+        }
+
+        let source = null;
+        const response = await this.sendWithFallbacks(addon, prompt, messageId, {
+            ...options,
+            onSource: info => {
+                source = info;
+                options?.onSource?.(info);
+            }
+        });
+        if (String(response || '').trim()) {
+            await this.cache.set(key, { result: response, source });
+        }
+        return response;
+    }
+
+    /**
+     * Everything that changes a sidecar's response: provider, model, generation params and the final messages
+     */
+    getCacheKeyParts(addon, prompt) {
+        return {
+            provider: addon.connectionProfileId ? '' : addon.aiProvider,
+            model: addon.aiModel || '',
+            profileId: addon.connectionProfileId || '',
+            apiUrl: addon.apiUrl || '',
+            params: this.getGenerationParams(addon),
+            instructTemplate: this.isTextCompletionProvider(addon.aiProvider) ? addon.instructTemplate : '',
+            providerSettings: addon.providerSettings || {},
+            messages: this.buildMessages(addon, prompt)
+        };
+    }
+
+    /**
+     * Try the add-on's model, then each fallback in order while the failure is one of fallbackSettings.on
+     * An empty reply from a model that has a fallback after it counts as a content filter failure.
+     */
+    async sendWithFallbacks(addon, prompt, messageId, options = {}) {
+        const chain = [addon, ...(addon.fallbacks || []).map(entry => this.getFallbackAddon(addon, entry))];
+        const fallbackOn = addon.fallbackSettings?.on || [];
+
+        for (let index = 0; index < chain.length; index++) {
+            const candidate = chain[index];
+            const hasNext = index < chain.length - 1;
+            try {
+                const response = await this.sendToAI(candidate, prompt, 0, messageId, { ...options, fallbackAttempt: true });
+                if (hasNext && !String(response || '').trim()) {
+                    throw new Error('The AI returned an empty response');
+                }
+                if (typeof options?.onSource === 'function') {
+                    options.onSource({
+                        provider: candidate.connectionProfileId ? '' : candidate.aiProvider,
+                        model: this.getUsageModel(candidate),
+                        profileId: candidate.connectionProfileId || '',
+                        fallbackIndex: index
+                    });
+                }
+                return response;
+            } catch (error) {
+                const errorType = this.classifyError(error);
+                if (!hasNext || !fallbackOn.includes(errorType)) {
+                    throw error;
+                }
+                const next = this.describeModel(chain[index + 1]);
+                console.warn(`[Sidecar AI] ${addon.name}: ${this.describeModel(candidate)} failed (${errorType}), falling back to ${next}`);
+                if (typeof options?.onFallback === 'function') {
+                    options.onFallback(next, errorType);
+                }
+            }
+        }
+    }
+
+    /**
+     * Add-on copy that sends with a fallback entry's profile or provider/model
+     * The add-on's API key and OpenRouter routing are kept only for the same provider.
+     */
+    getFallbackAddon(addon, entry) {
+        if (entry.connectionProfileId) {
+            return { ...addon, connectionProfileId: entry.connectionProfileId, fallbacks: [] };
+        }
+        const sameProvider = !addon.connectionProfileId && entry.aiProvider === addon.aiProvider;
+        return {
+            ...addon,
+            connectionProfileId: '',
+            aiProvider: entry.aiProvider,
+            aiModel: entry.aiModel,
+            apiUrl: entry.apiUrl || '',
+            apiKey: sameProvider ? addon.apiKey : '',
+            serviceProvider: sameProvider ? addon.serviceProvider : [],
+            providerSettings: sameProvider ? addon.providerSettings : {},
+            fallbacks: []
+        };
+    }
+
+    /**
+     * Short label for an add-on's model ("openrouter/mistral-7b" or "profile <name>")
+     */
+    describeModel(addon) {
+        if (addon?.connectionProfileId) {
+            const profiles = this.context?.extensionSettings?.connectionManager?.profiles || [];
+            const profile = profiles.find(p => p?.id === addon.connectionProfileId);
+            return `profile ${profile?.name || addon.connectionProfileId}`;
+        }
+        return `${addon?.aiProvider}/${addon?.aiModel}`;
+    }
+
+    /**
+     * Failure class of a request error, for fallback chains
+     * @returns {string} 'aborted', 'contextLength', 'contentFilter', 'rateLimit', 'timeout', 'server' or 'other'
+     */
+    classifyError(error) {
+        if (error?.name === 'AbortError') {
+            return 'aborted';
+        }
+        const status = error?.status || error?.statusCode;
+        const message = String(error?.message || '').toLowerCase();
+
+        if (status === 413 || /context[ _-]?length|context window|maximum context|too many tokens|token limit|prompt is too long|reduce the length/.test(message)) {
+            return 'contextLength';
+        }
+        if (/content[ _-]?filter|content[ _-]?policy|safety|moderation|flagged|empty response/.test(message)) {
+            return 'contentFilter';
+        }
+        if (this.isRateLimitError(error)) {
+            return 'rateLimit';
+        }
+        if (status === 408 || status === 504 || /timeout|timed out|network|failed to fetch|connection/.test(message)) {
+            return 'timeout';
+        }
+        if ((status >= 500 && status < 600) || /\b50[0-4]\b|server error|bad gateway|service unavailable|overloaded/.test(message)) {
+            return 'server';
+        }
+        return 'other';
+    }
+
+    /**
+     * Consume a SillyTavern streaming response (generator function returned when stream: true)
+     * Each yielded chunk carries the full text so far, not a delta
+     * @param {Function|AsyncIterable} streamFn - Generator function or async iterable
+     * @param {Function} onChunk - Called with the accumulated text after each chunk
+     * @returns {Promise<string>} Final text
+     */
+    async readGeneratorStream(streamFn, onChunk) {
+        const iterable = typeof streamFn === 'function' ? streamFn() : streamFn;
+        if (!iterable || typeof iterable[Symbol.asyncIterator] !== 'function') {
+            // Provider ignored the stream flag and returned a complete response
+            const content = iterable?.content || iterable?.choices?.[0]?.message?.content || String(iterable ?? '');
+            onChunk(content);
+            return content;
+        }
+
+        let text = '';
+        for await (const chunk of iterable) {
+            const next = typeof chunk === 'string' ? chunk : chunk?.text;
+            if (typeof next === 'string' && next !== text) {
+                text = next;
+                onChunk(text);
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Consume a server-sent events body from a direct provider request
+     * @param {Response} response - Fetch response with a readable body
+     * @param {Object} adapter - Provider adapter (selects the delta format)
+     * @param {Function} onChunk - Called with the accumulated text after each delta
+     * @returns {Promise<string>} Final text
+     */
+    async readSSEStream(response, adapter, onChunk) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        const handleLine = (line) => {
+            let payload = line.trim();
+            if (payload.startsWith('data:')) {
+                payload = payload.slice(5).trim();
+            } else if (!payload.startsWith('{')) {
+                return; // event:/id:/comment lines
+            }
+            if (!payload || payload === '[DONE]') {
+                return;
+            }
+            try {
+                const delta = adapter.extractStreamDelta(JSON.parse(payload));
+                if (delta) {
+                    text += delta;
+                    onChunk(text);
+                }
+            } catch (e) {
+                // Ignore keep-alives and malformed lines
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        if (buffer) {
+            handleLine(buffer);
+        }
+
+        return text;
+    }
+
     /**
      * Determine if an error should be retried
      */
@@ -244,13 +679,83 @@ export class AIClient {
             errorMessage.includes('fetch') ||
             errorMessage.includes('timeout') ||
             errorMessage.includes('connection');
-        const isRateLimit = error.status === 429 || error.statusCode === 429 || errorMessage.includes('rate limit');
+        const isRateLimit = this.isRateLimitError(error);
         const isServerError = (error.status >= 500 && error.status < 600) ||
             (error.statusCode >= 500 && error.statusCode < 600);
 
         return isNetworkError || isRateLimit || isServerError;
     }
 
+    /**
+     * Check for a 429 / rate-limit error
+     */
+    isRateLimitError(error) {
+        const errorMessage = (error?.message || '').toLowerCase();
+        return error?.status === 429 || error?.statusCode === 429 ||
+            errorMessage.includes('rate limit') || errorMessage.includes('too many requests');
+    }
+
+    /**
+     * Wait time requested by a rate-limit error, from its Retry-After header or message
+     * @returns {number|null} Milliseconds, or null if the error doesn't say
+     */
+    getRetryAfter(error) {
+        if (typeof error?.retryAfter === 'number') {
+            return error.retryAfter;
+        }
+
+        const header = error?.headers?.get?.('retry-after') ?? error?.response?.headers?.get?.('retry-after');
+        if (header) {
+            const seconds = Number(header);
+            if (Number.isFinite(seconds)) {
+                return Math.max(0, seconds * 1000);
+            }
+            const date = Date.parse(header);
+            if (!Number.isNaN(date)) {
+                return Math.max(0, date - Date.now());
+            }
+        }
+
+        // Proxied errors only keep the provider's message, e.g. "Please try again in 20s" / "retry after 3 seconds"
+        const match = String(error?.message || '').match(/(?:retry[- ]after|try again in)[:\s]*(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|sec|seconds?)?\b/i);
+        if (match) {
+            const value = Number(match[1]);
+            return /^m/i.test(match[2] || '') ? value : value * 1000;
+        }
+        return null;
+    }
+
+    /**
+     * On a rate-limit error, pause the add-on's request queue for the Retry-After time
+     * @returns {number|null} Retry-After in milliseconds, or null
+     */
+    handleRateLimit(addon, error) {
+        if (!this.isRateLimitError(error)) {
+            return null;
+        }
+        const retryAfter = this.getRetryAfter(error);
+        if (retryAfter !== null && this.scheduler) {
+            this.scheduler.pause(this.scheduler.getKey(addon), retryAfter);
+        }
+        return retryAfter;
+    }
+
+    /**
+     * Wait for a slot in the add-on's request queue
+     * @param {Object} options - {priority, onQueue} (see sendToAI)
+     * @returns {Promise<Function|null>} Releases the slot, or null without a scheduler
+     */
+    async acquireSlot(addon, signal, options = {}) {
+        if (!this.scheduler) {
+            return null;
+        }
+        return await this.scheduler.acquire(this.scheduler.getKey(addon), {
+            priority: options?.priority,
+            signal,
+            onQueue: options?.onQueue
+        });
+    }
+
     /**
      * Calculate retry delay using exponential backoff
      */
@@ -269,13 +774,32 @@ export class AIClient {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * Pick the envelope format for a batch request
+     * JSON mode where the provider supports it, tagged delimiters elsewhere (including
+     * Connection Manager profiles, where the underlying source isn't known here)
+     * @returns {string} 'json' or 'tagged'
+     */
+    getBatchResponseFormat(addon) {
+        const jsonModeProviders = ['openai', 'deepseek'];
+        if (addon?.connectionProfileId) {
+            return 'tagged';
+        }
+        return jsonModeProviders.includes(addon?.aiProvider) ? 'json' : 'tagged';
+    }
+
     /**
      * Send batch request to AI
      * @param {Array} addons - Array of addon configurations
-     * @param {Array} prompts - Array of prompts (one per addon)
+     * @param {string} batchPrompt - Combined prompt from ContextBuilder.buildBatchPrompt
      * @param {string|number} messageId - Optional message ID for request cancellation
+     * @param {string} format - Envelope format ('json' or 'tagged'), see getBatchResponseFormat
+     * @param {Object} options - Optional: {onUsage} receives usage for the whole batch request; {priority, onQueue} as in sendToAI
+     * @returns {Promise<Array<string|null>>} Results aligned with addons; null where a section is missing
      */
-    async sendBatchToAI(addons, prompts, messageId = null) {
+    async sendBatchToAI(addons, batchPrompt, messageId = null, format = 'tagged', options = {}) {
+        const onUsage = typeof options?.onUsage === 'function' ? options.onUsage : null;
+        let release = null;
         if (addons.length === 0) {
             return [];
         }
@@ -296,12 +820,16 @@ export class AIClient {
         // Create abort controller for batch request
         const batchAbortController = new AbortController();
         if (messageId !== null) {
-            // Store batch controller (use special key)
+            // Store batch controller (use special key), and under each add-on so stopping one card stops the batch
             const batchKey = `batch:${messageId}`;
             this.activeRequests.set(batchKey, batchAbortController);
+            addons.forEach(addon => this.activeRequests.set(`${addon.id}:${messageId}`, batchAbortController));
         }
 
         try {
+            // One queue slot for the whole batch
+            release = await this.acquireSlot(addons[0], batchAbortController.signal, options);
+
             // If using Connection Manager profile, all add-ons must share the same profile.
             const profileId = addons[0].connectionProfileId || '';
             if (profileId) {
@@ -315,17 +843,17 @@ export class AIClient {
                     throw new Error('Connection Manager is not available');
                 }
 
-                const combinedPrompt = prompts.join('\n\n---\n\n');
+                const params = this.getGenerationParams(addons, false);
                 const response = await cm.sendRequest(
                     profileId,
-                    combinedPrompt,
-                    4096,
-                    { stream: false, extractData: true, includePreset: true },
-                    {}
+                    batchPrompt,
+                    params.maxTokens ?? this.defaultGenerationParams.maxTokens,
+                    { stream: false, signal: batchAbortController.signal, extractData: false, includePreset: true },
+                    this.buildSamplingFields({ ...params, maxTokens: null })
                 );
 
-                const content = response?.content || response?.choices?.[0]?.message?.content || String(response);
-                return this.splitBatchResponse(content, addons.length);
+                const content = await this.reportUsage(addons[0], batchPrompt, this.extractMessageText(response), response, onUsage);
+                return this.parseBatchResponse(content, addons);
             }
 
             // All add-ons in batch must have same provider/model
@@ -341,49 +869,77 @@ export class AIClient {
             }
 
             try {
+                if (this.isTextCompletionProvider(provider)) {
+                    let rawData = null;
+                    const content = await this.sendTextCompletion(
+                        addons[0],
+                        Array.isArray(batchPrompt) ? batchPrompt : [{ role: 'user', content: batchPrompt }],
+                        batchAbortController.signal,
+                        null,
+                        this.getGenerationParams(addons),
+                        data => { rawData = data; }
+                    );
+                    await this.reportUsage(addons[0], batchPrompt, content, rawData, onUsage);
+                    return this.parseBatchResponse(content, addons);
+                }
+
                 const apiKey = addons[0].apiKey || await this.getProviderApiKey(provider);
 
                 if (!apiKey) {
                     throw new Error(`No API key found for provider: ${provider}`);
                 }
 
-                // Combine prompts
-                const combinedPrompt = prompts.join('\n\n---\n\n');
-
                 // Use SillyTavern's ChatCompletionService for batch
                 if (this.context && this.context.ChatCompletionService) {
                     const chatCompletionSource = this.getChatCompletionSource(provider);
-                    const messages = Array.isArray(combinedPrompt)
-                        ? combinedPrompt
-                        : [{ role: 'user', content: combinedPrompt }];
+                    const messages = Array.isArray(batchPrompt)
+                        ? batchPrompt
+                        : [{ role: 'user', content: batchPrompt }];
 
-                    const response = await this.context.ChatCompletionService.processRequest({
+                    const requestOptions = {
                         stream: false,
                         messages: messages,
                         model: model,
                         chat_completion_source: chatCompletionSource,
-                        max_tokens: 4096,
-                        temperature: 0.7,
+                        ...this.buildSamplingFields(this.getGenerationParams(addons)),
                         custom_url: addons[0].apiUrl || undefined,
-                    }, {
+                        ...this.getProviderAdapter(provider).getServiceFields(model, addons[0].apiUrl, addons[0].providerSettings),
+                    };
+
+                    // Structured output: SillyTavern forwards json_schema to sources that support it
+                    if (format === 'json') {
+                        requestOptions.json_schema = {
+                            name: 'sidecar_batch',
+                            strict: false,
+                            value: this.buildBatchSchema(addons),
+                        };
+                    }
+
+                    const response = await this.context.ChatCompletionService.processRequest(requestOptions, {
                         presetName: undefined,
-                    }, true);
+                    }, false, batchAbortController.signal);
 
-                    const content = response?.content || response?.choices?.[0]?.message?.content || String(response);
-                    return this.splitBatchResponse(content, addons.length);
+                    const content = await this.reportUsage(addons[0], batchPrompt, this.extractMessageText(response), response, onUsage);
+                    return this.parseBatchResponse(content, addons);
                 }
 
                 // Fallback
+                let rawData = null;
                 const response = await this.sendDirectAPIFallback(
                     addons[0],
-                    combinedPrompt,
+                    Array.isArray(batchPrompt) ? batchPrompt : [{ role: 'user', content: batchPrompt }],
                     provider,
                     model,
                     addons[0].apiUrl,
-                    batchAbortController.signal
+                    batchAbortController.signal,
+                    null,
+                    format === 'json' ? { response_format: { type: 'json_object' } } : {},
+                    data => { rawData = data; },
+                    this.getGenerationParams(addons)
                 );
 
-                return this.splitBatchResponse(response, addons.length);
+                await this.reportUsage(addons[0], batchPrompt, response, rawData, onUsage);
+                return this.parseBatchResponse(response, addons);
             } catch (error) {
                 // Check if request was aborted
                 if (error.name === 'AbortError' || batchAbortController.signal.aborted) {
@@ -396,49 +952,78 @@ export class AIClient {
         } catch (error) {
             // Handle errors from outer try block (Connection Manager path or other errors)
             console.error('[Add-Ons Extension] Error in sendBatchToAI:', error);
+            this.handleRateLimit(addons[0], error);
             throw error;
         } finally {
+            release?.();
             // Clean up batch controller (always run, regardless of success or error)
             if (messageId !== null) {
                 const batchKey = `batch:${messageId}`;
                 this.activeRequests.delete(batchKey);
+                addons.forEach(addon => {
+                    const requestKey = `${addon.id}:${messageId}`;
+                    if (this.activeRequests.get(requestKey) === batchAbortController) {
+                        this.activeRequests.delete(requestKey);
+                    }
+                });
             }
         }
     }
 
+    /**
+     * JSON schema for the batch envelope: {"results": {"<addonId>": "<output>"}}
+     */
+    buildBatchSchema(addons) {
+        const properties = {};
+        addons.forEach(addon => {
+            properties[addon.id] = { type: 'string' };
+        });
+
+        return {
+            type: 'object',
+            properties: {
+                results: {
+                    type: 'object',
+                    properties: properties,
+                    required: addons.map(addon => addon.id),
+                    additionalProperties: false
+                }
+            },
+            required: ['results'],
+            additionalProperties: false
+        };
+    }
+
     /**
      * Fallback: Send direct API request (only used if ChatCompletionService unavailable)
      * @param {AbortSignal} signal - Optional abort signal for request cancellation
+     * @param {Function} onChunk - Optional streaming callback (receives accumulated text)
+     * @param {Object} bodyOverrides - Optional extra request body fields (e.g. response_format)
+     * @param {Function} onData - Optional callback receiving the raw (non-streamed) response body, used for usage
+     * @param {Object} params - Optional resolved generation parameters (defaults to the add-on's)
      */
-    async sendDirectAPIFallback(addon, prompt, provider, model, apiUrl = null, signal = null) {
-        let endpoint = apiUrl;
-
-        if (!endpoint) {
-            endpoint = this.getProviderEndpoint(provider);
-        } else {
-            console.log('[Sidecar AI] Using custom API URL:', endpoint);
+    async sendDirectAPIFallback(addon, prompt, provider, model, apiUrl = null, signal = null, onChunk = null, bodyOverrides = {}, onData = null, params = null) {
+        const adapter = this.getProviderAdapter(provider);
+        if (apiUrl) {
+            console.log('[Sidecar AI] Using custom API URL:', apiUrl);
         }
 
-        // Get API key from addon or fallback to provider key
-        const apiKey = addon.apiKey || await this.getProviderApiKey(provider);
-        if (!apiKey) {
+        // Get API key from addon or fallback to provider key (optional for local servers)
+        const apiKey = addon.apiKey || (adapter.requiresApiKey ? await this.getProviderApiKey(provider) : null);
+        if (!apiKey && adapter.requiresApiKey) {
             throw new Error(`No API key found for provider: ${provider}`);
         }
 
-        const requestBody = this.buildRequestBody(provider, model, prompt);
-
-        const headers = {
-            'Content-Type': 'application/json'
+        // Text completion backends get the instruct-formatted prompt string as-is
+        const messages = adapter.textCompletion || Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }];
+        const stream = typeof onChunk === 'function' && adapter.supportsStreaming;
+        const settings = addon.providerSettings || {};
+        const endpoint = adapter.getEndpoint(model, apiUrl, stream, settings);
+        const requestBody = {
+            ...adapter.buildRequestBody(model, messages, params || this.getGenerationParams(addon), stream, settings),
+            ...bodyOverrides
         };
-
-        // OpenRouter uses different header format
-        if (provider === 'openrouter') {
-            headers['Authorization'] = `Bearer ${apiKey}`;
-            headers['HTTP-Referer'] = window.location.origin || 'https://github.com/skirianov/sidecar-ai';
-            headers['X-Title'] = 'Sidecar AI';
-        } else {
-            headers['Authorization'] = `Bearer ${apiKey}`;
-        }
+        const headers = adapter.getHeaders(apiKey, settings);
 
         const fetchOptions = {
             method: 'POST',
@@ -455,160 +1040,210 @@ export class AIClient {
 
         if (!response.ok) {
             const errorText = await response.text();
-            throw new Error(`API request failed: ${response.status} ${errorText}`);
+            const error = new Error(adapter.parseError(response.status, errorText));
+            error.status = response.status;
+            error.headers = response.headers; // Retry-After on 429s
+            throw error;
+        }
+
+        if (stream && response.body) {
+            return await this.readSSEStream(response, adapter, onChunk);
         }
 
         const data = await response.json();
-        return this.extractContent(data, provider);
+        if (typeof onData === 'function') {
+            onData(data);
+        }
+        const content = adapter.extractContent(data);
+        if (typeof onChunk === 'function') {
+            onChunk(content);
+        }
+        return content;
     }
 
     /**
-     * Get provider API endpoint
+     * Extract the message text from a SillyTavern response (raw or already extracted)
+     * Mirrors SillyTavern's extractMessageFromData for chat completions
      */
-    getProviderEndpoint(provider) {
-        const endpoints = {
-            'openai': 'https://api.openai.com/v1/chat/completions',
-            'openrouter': 'https://openrouter.ai/api/v1/chat/completions',
-            'anthropic': 'https://api.anthropic.com/v1/messages',
-            'deepseek': 'https://api.deepseek.com/v1/chat/completions',
-            'google': 'https://generativelanguage.googleapis.com/v1beta/models',
-            'cohere': 'https://api.cohere.ai/v1/generate'
-        };
+    extractMessageText(data) {
+        if (data === null || data === undefined) {
+            return '';
+        }
+        if (typeof data === 'string') {
+            return data;
+        }
 
-        return endpoints[provider] || endpoints['openai'];
+        const content = data.choices?.[0]?.message?.content ??
+            data.choices?.[0]?.text ??
+            data.text ??
+            data.message?.content?.[0]?.text ??
+            data.candidates?.[0]?.content?.parts?.[0]?.text ??
+            data.results?.[0]?.text ?? // KoboldAI
+            data.response ?? // Ollama
+            data.content;
+
+        if (Array.isArray(content)) {
+            return content.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+        }
+        return typeof content === 'string' ? content : '';
     }
 
     /**
-     * Build request body for provider
+     * Read token usage from a provider response
+     * @returns {{promptTokens: number, completionTokens: number}|null}
      */
-    buildRequestBody(provider, model, prompt) {
-        const baseBody = {
-            model: model,
-            messages: [
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ]
-        };
-
-        // Provider-specific adjustments
-        switch (provider) {
-            case 'openrouter':
-                // OpenRouter uses OpenAI-compatible format
-                return {
-                    ...baseBody,
-                    temperature: 0.7,
-                    max_tokens: 4096
-                };
-
-            case 'anthropic':
-                return {
-                    model: model,
-                    max_tokens: 4096,
-                    messages: [
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ]
-                };
+    extractUsage(data) {
+        if (!data || typeof data !== 'object') {
+            return null;
+        }
 
-            case 'google':
-                return {
-                    contents: [
-                        {
-                            parts: [
-                                {
-                                    text: prompt
-                                }
-                            ]
-                        }
-                    ]
-                };
+        const usage = data.usage;
+        if (usage && (usage.prompt_tokens !== undefined || usage.completion_tokens !== undefined)) {
+            return { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 };
+        }
+        if (usage && (usage.input_tokens !== undefined || usage.output_tokens !== undefined)) { // Anthropic
+            return { promptTokens: usage.input_tokens || 0, completionTokens: usage.output_tokens || 0 };
+        }
+        if (data.usageMetadata) { // Google
+            return { promptTokens: data.usageMetadata.promptTokenCount || 0, completionTokens: data.usageMetadata.candidatesTokenCount || 0 };
+        }
+        if (data.meta?.billed_units) { // Cohere
+            return { promptTokens: data.meta.billed_units.input_tokens || 0, completionTokens: data.meta.billed_units.output_tokens || 0 };
+        }
+        if (data.prompt_eval_count !== undefined || data.eval_count !== undefined) { // Ollama
+            return { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 };
+        }
+        if (data.tokens_evaluated !== undefined || data.tokens_predicted !== undefined) { // llama.cpp
+            return { promptTokens: data.tokens_evaluated || 0, completionTokens: data.tokens_predicted || 0 };
+        }
+        return null;
+    }
 
-            case 'cohere':
-                return {
-                    model: model,
-                    prompt: prompt,
-                    max_tokens: 4096
-                };
+    /**
+     * Count tokens with SillyTavern's tokenizer, or estimate (~4 characters per token) when unavailable
+     */
+    async estimateTokens(text) {
+        const value = String(text || '');
+        if (!value) {
+            return 0;
+        }
+        try {
+            if (typeof this.context?.getTokenCountAsync === 'function') {
+                return await this.context.getTokenCountAsync(value);
+            }
+        } catch (error) {
+            console.warn('[Sidecar AI] Tokenizer unavailable, estimating token count:', error);
+        }
+        return Math.ceil(value.length / 4);
+    }
 
-            default: // OpenAI, Deepseek, etc.
-                return {
-                    ...baseBody,
-                    temperature: 0.7,
-                    max_tokens: 4096
-                };
+    /**
+     * Model name used for pricing (a Connection Manager profile's model when one is selected)
+     */
+    getUsageModel(addon) {
+        if (addon?.connectionProfileId) {
+            const profiles = this.context?.extensionSettings?.connectionManager?.profiles || [];
+            const profile = profiles.find(p => p?.id === addon.connectionProfileId);
+            return profile?.model || '';
         }
+        return addon?.aiModel || '';
     }
 
     /**
-     * Extract content from API response
+     * Pass usage (reported by the provider, or estimated locally) to onUsage and return the content
      */
-    extractContent(data, provider) {
-        if (!data) {
-            return '';
+    async reportUsage(addon, prompt, content, data, onUsage) {
+        if (!onUsage) {
+            return content;
         }
 
-        switch (provider) {
-            case 'anthropic':
-                return data.content?.[0]?.text || data.text || '';
+        try {
+            let usage = this.extractUsage(data);
+            const estimated = !usage;
+            if (!usage) {
+                const promptText = Array.isArray(prompt)
+                    ? prompt.map(message => message?.content || '').join('\n')
+                    : String(prompt || '');
+                usage = {
+                    promptTokens: await this.estimateTokens(promptText),
+                    completionTokens: await this.estimateTokens(content)
+                };
+            }
+            onUsage({ ...usage, estimated, model: this.getUsageModel(addon) || data?.model || '' });
+        } catch (error) {
+            console.warn('[Sidecar AI] Could not determine token usage:', error);
+        }
 
-            case 'google':
-                return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+        return content;
+    }
 
-            case 'cohere':
-                return data.generations?.[0]?.text || data.text || '';
+    /**
+     * Parse a batch envelope into per-add-on results
+     * Accepts <sidecar_result id="..."> tags or a JSON object ({"results": {id: text}} or {id: text}),
+     * whichever the model actually produced
+     * @returns {Array<string|null>} Results aligned with addons; null where a section is missing or empty
+     */
+    parseBatchResponse(content, addons) {
+        const text = String(content || '');
+        const tagged = this.parseBatchTags(text);
+        const byId = Object.keys(tagged).length > 0 ? tagged : (this.parseBatchJson(text) || {});
+
+        return addons.map(addon => {
+            let value = byId[addon.id];
+            if (value && typeof value === 'object') {
+                value = JSON.stringify(value, null, 2);
+            }
+            return typeof value === 'string' && value.trim() ? value.trim() : null;
+        });
+    }
 
-            default: // OpenAI, Deepseek, etc.
-                return data.choices?.[0]?.message?.content || data.content || '';
+    /**
+     * Extract <sidecar_result id="...">...</sidecar_result> sections
+     */
+    parseBatchTags(text) {
+        const results = {};
+        const pattern = /<sidecar_result\s+id\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/sidecar_result>/gi;
+        for (const match of text.matchAll(pattern)) {
+            results[match[1]] = match[2];
         }
+        return results;
     }
 
     /**
-     * Split batch response into individual responses
+     * Extract a JSON envelope (tolerates code fences and surrounding chatter)
      */
-    splitBatchResponse(response, count) {
-        // Simple splitting by separator - may need refinement based on actual responses
-        const separator = '\n\n---\n\n';
-        const parts = response.split(separator);
-
-        // If splitting didn't work, try to split by add-on markers
-        if (parts.length !== count) {
-            const markerPattern = /=== .+? ===/g;
-            const markers = [...response.matchAll(markerPattern)];
-
-            if (markers.length === count) {
-                const results = [];
-                for (let i = 0; i < markers.length; i++) {
-                    const start = markers[i].index + markers[i][0].length;
-                    const end = i < markers.length - 1 ? markers[i + 1].index : response.length;
-                    results.push(response.substring(start, end).trim());
-                }
-                return results;
-            }
+    parseBatchJson(text) {
+        let jsonStr = text.trim();
+        const codeFenceMatch = jsonStr.match(/^```(?:json)?\s*\n([\s\S]*)\n```\s*$/);
+        if (codeFenceMatch) {
+            jsonStr = codeFenceMatch[1].trim();
         }
 
-        // Fallback: return array with single response repeated or split evenly
-        if (parts.length === count) {
-            return parts;
+        const start = jsonStr.indexOf('{');
+        const end = jsonStr.lastIndexOf('}');
+        if (start === -1 || end <= start) {
+            return null;
         }
 
-        // If we can't split properly, return the full response for first add-on
-        // and empty strings for others (user can refine splitting logic)
-        const results = [response];
-        for (let i = 1; i < count; i++) {
-            results.push('');
+        try {
+            const parsed = JSON.parse(jsonStr.slice(start, end + 1));
+            const results = (parsed?.results && typeof parsed.results === 'object') ? parsed.results : parsed;
+            return (results && typeof results === 'object' && !Array.isArray(results)) ? results : null;
+        } catch (e) {
+            return null;
         }
-        return results;
     }
 
     /**
      * Test API connection with provided credentials
      * Sends a minimal test request to validate API key, model, and endpoint
+     * providerSettings carries the Azure deployment / API version and custom extra headers / body
      */
-    async testConnection(provider, model, apiKey, apiUrl = null, serviceProvider = [], isUsingSTKey = false) {
+    async testConnection(provider, model, apiKey, apiUrl = null, serviceProvider = [], isUsingSTKey = false, providerSettings = {}) {
+        if (this.isTextCompletionProvider(provider)) {
+            return await this.testLocalConnection(provider, model, apiUrl);
+        }
+
         try {
             const chatCompletionSource = this.getChatCompletionSource(provider);
 
@@ -633,6 +1268,7 @@ export class AIClient {
                         max_tokens: 10, // Minimal tokens for test
                         temperature: 0.7,
                         custom_url: apiUrl || undefined,
+                        ...this.getProviderAdapter(provider).getServiceFields(model, apiUrl, providerSettings),
                     };
 
                     // Add OpenRouter service providers if specified
@@ -814,7 +1450,7 @@ export class AIClient {
             // Fallback: Use direct API testing (only for non-CORS-blocking providers)
             if (apiKey && !isCorsBlocking) {
                 console.log(`[Sidecar AI] Testing connection directly: ${provider} (${model})`);
-                return await this.testConnectionDirect(provider, model, apiKey, apiUrl);
+                return await this.testConnectionDirect(provider, model, apiKey, apiUrl, providerSettings);
             }
 
             if (!apiKey && !this.context?.ChatCompletionService) {
@@ -866,31 +1502,39 @@ export class AIClient {
         }
     }
 
+    /**
+     * Test a local text completion server by listing its models
+     */
+    async testLocalConnection(provider, model, apiUrl = null) {
+        const adapter = this.getProviderAdapter(provider);
+        try {
+            const models = await this.getLocalModels(provider, apiUrl);
+            // Ollama serves any pulled model; the others answer with whatever model is loaded
+            if (provider === 'ollama' && model && models.length > 0 && !models.includes(model) && !models.includes(`${model}:latest`)) {
+                return { success: false, message: `Model "${model}" is not available on ${adapter.getBaseUrl(apiUrl)} (run: ollama pull ${model})` };
+            }
+            return { success: true, message: `Connected to ${adapter.name} (${models.length} model(s))` };
+        } catch (error) {
+            console.error('[Sidecar AI] Local server test failed:', error);
+            return {
+                success: false,
+                message: `Could not reach ${adapter.name} at ${adapter.getBaseUrl(apiUrl)}: ${error.message || String(error)}`
+            };
+        }
+    }
+
     /**
      * Test connection using direct API call (fallback)
      */
-    async testConnectionDirect(provider, model, apiKey, apiUrl = null) {
+    async testConnectionDirect(provider, model, apiKey, apiUrl = null, providerSettings = {}) {
         if (!apiKey) {
             throw new Error('API key is required');
         }
 
-        let endpoint = apiUrl;
-        if (!endpoint) {
-            endpoint = this.getProviderEndpoint(provider);
-        }
-
-        const requestBody = this.buildRequestBody(provider, model, 'test');
-
-        const headers = {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        };
-
-        // OpenRouter headers
-        if (provider === 'openrouter') {
-            headers['HTTP-Referer'] = window.location.origin || 'https://github.com/skirianov/sidecar-ai';
-            headers['X-Title'] = 'Sidecar AI';
-        }
+        const adapter = this.getProviderAdapter(provider);
+        const endpoint = adapter.getEndpoint(model, apiUrl, false, providerSettings);
+        const requestBody = adapter.buildRequestBody(model, [{ role: 'user', content: 'test' }], { ...this.defaultGenerationParams }, false, providerSettings);
+        const headers = adapter.getHeaders(apiKey, providerSettings);
 
         try {
             console.log(`[Sidecar AI] Testing connection to: ${endpoint}`);
@@ -913,23 +1557,10 @@ export class AIClient {
                 let errorText = '';
                 try {
                     errorText = await response.text();
-                    // Try to parse as JSON for better error messages
-                    try {
-                        const errorJson = JSON.parse(errorText);
-                        if (errorJson.error) {
-                            errorText = errorJson.error.message || errorJson.error.code || JSON.stringify(errorJson.error);
-                        } else {
-                            errorText = JSON.stringify(errorJson);
-                        }
-                    } catch (e) {
-                        // Not JSON, use as-is
-                    }
                 } catch (e) {
                     errorText = `HTTP ${response.status}: ${response.statusText}`;
                 }
-
-                const errorMessage = errorText || `HTTP ${response.status}`;
-                throw new Error(`API request failed: ${response.status} - ${errorMessage}`);
+                throw new Error(adapter.parseError(response.status, errorText));
             }
 
             let data;
@@ -942,7 +1573,7 @@ export class AIClient {
             console.log(`[Sidecar AI] Response data:`, data);
 
             // Verify we got a valid response
-            const content = this.extractContent(data, provider);
+            const content = adapter.extractContent(data);
             if (!content && !data.choices && !data.content) {
                 console.warn('[Sidecar AI] Response structure:', data);
                 // For some providers, empty content might be valid for test
@@ -970,23 +1601,17 @@ export class AIClient {
      * Map provider name to SECRET_KEY constant
      */
     getSecretKeyForProvider(provider) {
+        const adapter = this.providers?.get(provider);
+        if (adapter?.secretKey) {
+            return adapter.secretKey;
+        }
+
+        // Providers without an adapter (keys saved in SillyTavern, e.g. via a Connection Manager profile)
         const providerToSecretKey = {
-            'openai': 'api_key_openai',
-            'openrouter': 'api_key_openrouter',
-            'anthropic': 'api_key_claude',
-            'claude': 'api_key_claude',
-            'google': 'api_key_makersuite',
-            'deepseek': 'api_key_deepseek',
-            'cohere': 'api_key_cohere',
-            'groq': 'api_key_groq',
-            'mistralai': 'api_key_mistralai',
-            'mistral': 'api_key_mistralai',
-            'xai': 'api_key_xai',
             'perplexity': 'api_key_perplexity',
             'ai21': 'api_key_ai21',
             'nanogpt': 'api_key_nanogpt',
             'aimlapi': 'api_key_aimlapi',
-            'custom': 'api_key_custom',
         };
         return providerToSecretKey[provider?.toLowerCase()] || null;
     }
@@ -1341,10 +1966,20 @@ export class AIClient {
     }
 
     /**
-     * Cancel all pending requests
+     * Error thrown for a request cancelled between attempts (same name as a fetch abort)
+     */
+    createAbortError(addon) {
+        const error = new Error(`Request for ${addon?.name || 'sidecar'} was cancelled`);
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Cancel all pending requests (running and queued)
+     * @returns {number} Number of requests cancelled
      */
     cancelAllRequests() {
-        const count = this.activeRequests.size;
+        const count = new Set(this.activeRequests.values()).size;
         this.activeRequests.forEach((controller, key) => {
             controller.abort();
         });
@@ -1352,27 +1987,50 @@ export class AIClient {
         if (count > 0) {
             console.log(`[Sidecar AI] Cancelled ${count} pending request(s)`);
         }
+        return count;
+    }
+
+    /**
+     * Cancel one add-on's request for a message (including its per-member requests)
+     * A batched add-on cancels its whole batch.
+     * @returns {number} Number of requests cancelled
+     */
+    cancelRequest(addonId, messageId) {
+        const requestKey = `${addonId}:${messageId}`;
+        return this.cancelMatching(key => key === requestKey || key.startsWith(`${requestKey}:`), requestKey);
     }
 
     /**
      * Cancel requests for a specific message
+     * @returns {number} Number of requests cancelled
      */
     cancelRequestsForMessage(messageId) {
-        let cancelled = 0;
+        return this.cancelMatching(
+            key => key.endsWith(`:${messageId}`) || key.includes(`:${messageId}:`) || key === `batch:${messageId}`,
+            `message ${messageId}`
+        );
+    }
+
+    /**
+     * Abort and forget every tracked request whose key matches
+     */
+    cancelMatching(matches, label) {
+        const controllers = new Set();
         const keysToDelete = [];
 
         this.activeRequests.forEach((controller, key) => {
-            if (key.endsWith(`:${messageId}`) || key === `batch:${messageId}`) {
+            if (matches(key)) {
                 controller.abort();
+                controllers.add(controller);
                 keysToDelete.push(key);
-                cancelled++;
             }
         });
 
         keysToDelete.forEach(key => this.activeRequests.delete(key));
-        if (cancelled > 0) {
-            console.log(`[Sidecar AI] Cancelled ${cancelled} request(s) for message ${messageId}`);
+        if (controllers.size > 0) {
+            console.log(`[Sidecar AI] Cancelled ${controllers.size} request(s) for ${label}`);
         }
+        return controllers.size;
     }
 
     /**
@@ -3,11 +3,29 @@
  * Gathers chat context (messages, cards) and formats prompts
  */
 
+import { getSillyTavernContext } from './live-context.js';
+
 export class ContextBuilder {
-    constructor(context) {
+    constructor(context, stateManager = null, memoryManager = null, aiClient = null) {
         this.context = context;
+        this.stateManager = stateManager;
+        this.memoryManager = memoryManager;
+        this.aiClient = aiClient; // Its system message counts against the token budget
         // Performance: Request-scoped cache for context lookups
         this._requestCache = null;
+        // Activated World Info for the message being processed (see prepareWorldInfo)
+        this._worldInfo = null;
+        this._worldInfoModule = null;
+        this.worldInfoScanDepth = 2; // Local fallback only, when SillyTavern's setting is unavailable
+        // Token budget: sections are dropped rather than truncated below this size
+        this.minSectionTokens = 50;
+        // Default [SYSTEM CONTRACT] rules (a sidecar can replace or disable them, see getContractLines)
+        this.defaultContract = [
+            '- Follow the INSTRUCTION BLOCK exactly. Do not add extra content.',
+            '- Do NOT roleplay. Do NOT continue the story.',
+            '- Output ONLY the final requested content (no preface, no explanation, no code fences).',
+            '- SECURITY: No <script>, no <style>, no external CSS, no iframes/embeds/objects, no event handlers (onclick=...).'
+        ];
     }
 
     /**
@@ -27,6 +45,14 @@ export class ContextBuilder {
      */
     clearRequestCycle() {
         this._requestCache = null;
+        this._worldInfo = null;
+    }
+
+    /**
+     * Forget the World Info resolved by prepareWorldInfo (the chat array is reused across chats)
+     */
+    clearWorldInfo() {
+        this._worldInfo = null;
     }
 
     /**
@@ -59,48 +85,184 @@ export class ContextBuilder {
 
     /**
      * Build context for an add-on
+     * @param {number|null} messageIndex - Chat index of the message being processed (state is read from before it)
+     * @param {Object|null} member - Group member this run targets (per-member sidecars)
      */
-    buildContext(addon, chatLog, charData, userData, worldData) {
+    buildContext(addon, chatLog, charData, userData, worldData, messageIndex = null, member = null) {
         const settings = addon.contextSettings || {};
 
         // Gather last N messages
         const lastMessages = this.getLastMessages(chatLog, settings.messagesCount || 10);
 
+        // Stateful add-ons get their current state instead of raw previous outputs
+        const hasState = this.stateManager?.hasState(addon) === true;
+        const addonState = hasState ? this.stateManager.getState(chatLog, addon, messageIndex) : null;
+
         // Gather add-on history if enabled
         let addonHistory = '';
-        if (settings.includeHistory) {
+        if (settings.includeHistory && !hasState) {
             addonHistory = this.getAddonHistory(chatLog, addon.id, settings.historyDepth || 5);
         }
 
         // Build context object
         const context = {
             lastMessages: this.formatMessages(lastMessages),
+            chatMessages: lastMessages, // Raw messages for the structured layout
             addonHistory: addonHistory,
-            charCard: settings.includeCharCard ? this.formatCharCard(charData) : '',
+            addonState: addonState,
+            dependencyOutputs: this.getDependencyOutputs(addon, chatLog?.[messageIndex]),
+            charCard: settings.includeCharCard ? this.getCharCard(settings, charData, chatLog, messageIndex, member) : '',
             userCard: settings.includeUserCard ? this.formatUserCard(userData) : '',
-            worldCard: settings.includeWorldCard ? this.formatWorldCard(worldData) : '',
-            currentMessage: this.getCurrentMessage(chatLog)
+            worldCard: settings.includeWorldCard ? this.getWorldCard(worldData, chatLog, messageIndex) : '',
+            memory: settings.includeMemory && this.memoryManager ? this.memoryManager.getContextMemory(chatLog?.length ?? 0) : '',
+            currentMessage: this.getCurrentMessage(chatLog, messageIndex),
+            instruction: this.expandMacros(addon.prompt || '', addon, chatLog, messageIndex, member?.name || null),
+            targetMember: member?.name || null,
+            omittedMessages: 0,
+            trimmedSections: []
+        };
+
+        return this.applyTokenBudget(addon, context, chatLog?.[messageIndex] || null);
+    }
+
+    /**
+     * Contract rules for an add-on: the default rules, its custom text, or none
+     * @returns {Array<string>|null} Lines, or null when the contract is disabled
+     */
+    getContractLines(addon) {
+        const settings = addon?.promptSettings || {};
+        if (settings.contractMode === 'none') {
+            return null;
+        }
+        if (settings.contractMode === 'custom' && String(settings.contract || '').trim()) {
+            return String(settings.contract).split('\n').map(line => line.trimEnd()).filter(line => line.trim());
+        }
+        return this.defaultContract;
+    }
+
+    /**
+     * Fit a built context into the add-on's token budget (contextSettings.tokenBudget, 0 = unlimited)
+     * Priority: instruction, state and upstream input (always kept), current message, cards, chat memory,
+     * recent messages (newest first), then previous outputs. Lower-priority sections are truncated or dropped;
+     * the list of trimmed sections is stored in context.trimmedSections.
+     * @param {Object|null} target - The message being processed (kept ahead of other chat messages); defaults to the newest one
+     */
+    applyTokenBudget(addon, context, target = null) {
+        const budget = addon.contextSettings?.tokenBudget || 0;
+        if (!budget) {
+            return context;
+        }
+
+        const trimmed = [];
+        const fixedText = [
+            this.aiClient ? this.aiClient.getSystemPrompt(addon) : '',
+            this.buildContractBlock(addon, context).join('\n'),
+            context.instruction,
+            context.addonState && this.stateManager ? this.stateManager.formatState(addon.stateFields, context.addonState) : '',
+            ...(context.dependencyOutputs || []).map(dependency => dependency.result)
+        ].join('\n');
+        // Headers and separators are not counted per section; keep a small reserve for them
+        let remaining = budget - this.estimateTokens(fixedText) - this.minSectionTokens;
+
+        const fit = (label, text) => {
+            if (!text) {
+                return text;
+            }
+            const cost = this.estimateTokens(text);
+            if (cost <= remaining) {
+                remaining -= cost;
+                return text;
+            }
+            if (remaining >= this.minSectionTokens) {
+                const truncated = this.truncateToTokens(text, remaining);
+                remaining = 0;
+                trimmed.push(`${label} (truncated)`);
+                return truncated;
+            }
+            trimmed.push(`${label} (dropped)`);
+            return '';
         };
 
+        const chatWindow = context.chatMessages || [];
+        const current = target ? (chatWindow.includes(target) ? target : null) : chatWindow[chatWindow.length - 1];
+        const messages = chatWindow.filter(msg => msg !== current);
+        let keptCurrent = null;
+        if (current) {
+            const text = fit('current message', current.mes);
+            keptCurrent = text ? { ...current, mes: text } : null;
+        }
+
+        context.charCard = fit('character card', context.charCard);
+        context.userCard = fit('user card', context.userCard);
+        context.worldCard = fit('world card', context.worldCard);
+        context.memory = fit('chat memory', context.memory);
+
+        const kept = [];
+        for (let i = messages.length - 1; i >= 0; i--) {
+            const cost = this.estimateTokens(this.formatMessages([messages[i]]));
+            if (cost > remaining) {
+                break;
+            }
+            remaining -= cost;
+            kept.unshift(messages[i]);
+        }
+        const omitted = messages.length - kept.length;
+        if (omitted > 0) {
+            trimmed.push(`chat history (${omitted} of ${messages.length} earlier messages omitted)`);
+        }
+
+        context.addonHistory = fit('previous outputs', context.addonHistory);
+
+        // Back in chat order (the processed message can be older than the newest ones)
+        context.chatMessages = chatWindow
+            .filter(msg => kept.includes(msg) || (msg === current && keptCurrent))
+            .map(msg => (msg === current ? keptCurrent : msg));
+        context.omittedMessages = omitted;
+        context.lastMessages = this.formatMessages(context.chatMessages);
+        if (omitted > 0) {
+            context.lastMessages = `[${omitted} earlier message(s) omitted to fit the token budget]\n${context.lastMessages}`;
+        }
+        context.trimmedSections = trimmed;
+
+        if (trimmed.length > 0) {
+            console.log(`[Sidecar AI] Trimmed context for ${addon.name} to fit ${budget} tokens: ${trimmed.join(', ')}`);
+        }
         return context;
     }
 
     /**
-     * Build prompt with automatic context inclusion
-     * Context sections are automatically included based on checkboxes
-     * User's prompt is just the instruction, no variables needed
+     * Rough token count (about 4 characters per token; context assembly is synchronous)
      */
-    buildPrompt(addon, context) {
-        const settings = addon.contextSettings || {};
+    estimateTokens(text) {
+        return Math.ceil(String(text || '').length / 4);
+    }
+
+    /**
+     * Cut text to roughly a token count, marking the cut
+     */
+    truncateToTokens(text, tokens) {
+        const value = String(text || '');
+        const maxLength = Math.max(0, tokens * 4);
+        if (value.length <= maxLength) {
+            return value;
+        }
+        return `${value.slice(0, maxLength).trimEnd()}\n[...truncated to fit the token budget]`;
+    }
+
+    /**
+     * Contract, format and state rules that open every prompt
+     * @returns {Array<string>} Lines (wrapped in [SYSTEM CONTRACT] unless the contract is disabled)
+     */
+    buildContractBlock(addon, context) {
         const userPrompt = addon.prompt || '';
         const parts = [];
 
-        // Minimal contract to reduce instruction interference
-        parts.push('[SYSTEM CONTRACT]');
-        parts.push('- Follow the INSTRUCTION BLOCK exactly. Do not add extra content.');
-        parts.push('- Do NOT roleplay. Do NOT continue the story.');
-        parts.push('- Output ONLY the final requested content (no preface, no explanation, no code fences).');
-        parts.push('- SECURITY: No <script>, no <style>, no external CSS, no iframes/embeds/objects, no event handlers (onclick=...).');
+        // Minimal contract to reduce instruction interference (format and state rules are kept when it is disabled)
+        const contractLines = this.getContractLines(addon);
+        if (contractLines) {
+            parts.push('[SYSTEM CONTRACT]');
+            parts.push(...contractLines);
+        }
 
         // Add format-specific instructions based on addon.formatStyle
         const formatStyle = addon.formatStyle || 'html-css';
@@ -137,9 +299,48 @@ export class ContextBuilder {
             parts.push('- Output Markdown only. No HTML.');
         }
 
-        parts.push('[/SYSTEM CONTRACT]');
+        if (context.addonState && this.stateManager) {
+            parts.push('');
+            parts.push('[STATE]');
+            parts.push('- This add-on keeps persistent state (see Current State).');
+            parts.push('- After your output, append ONE block with ONLY the fields that changed:');
+            parts.push('  <sidecar_state>{"field": value}</sidecar_state>');
+            parts.push('- Numbers: absolute value or a relative string like "+2" / "-1". Lists: full array or {"add": [...], "remove": [...]}.');
+            parts.push('- If nothing changed, append <sidecar_state>{}</sidecar_state>. Keep displayed values consistent with the state.');
+        }
+
+        if (contractLines) {
+            parts.push('[/SYSTEM CONTRACT]');
+        }
+
+        // Drop the leading blank line left when the contract is disabled
+        while (parts.length > 0 && parts[0] === '') {
+            parts.shift();
+        }
+        return parts;
+    }
+
+    /**
+     * Build prompt with automatic context inclusion
+     * Context sections are automatically included based on checkboxes
+     * User's prompt is just the instruction, no variables needed
+     */
+    buildPrompt(addon, context) {
+        const settings = addon.contextSettings || {};
+        const userPrompt = addon.prompt || '';
+        const instruction = typeof context.instruction === 'string' ? context.instruction : userPrompt;
+        const parts = [];
+
+        parts.push(...this.buildContractBlock(addon, context));
         parts.push('');
 
+        // Long-term memory (rolling summary of the whole chat from memory sidecars)
+        if (context.memory) {
+            parts.push('=== Chat Memory (summary of the chat so far, REFERENCE ONLY) ===');
+            parts.push(context.memory);
+            parts.push('');
+        }
+
         // Always include chat history (controlled by messagesCount)
         // But make it clear this is for REFERENCE ONLY, not continuation
         if (context.lastMessages && context.lastMessages !== 'No previous messages.') {
@@ -155,6 +356,20 @@ export class ContextBuilder {
             parts.push('');
         }
 
+        // Include current state (replaces output history for stateful add-ons)
+        if (context.addonState && this.stateManager) {
+            parts.push('=== Current State (This Add-on) ===');
+            parts.push(this.stateManager.formatState(addon.stateFields, context.addonState));
+            parts.push('');
+        }
+
+        // Include outputs of the sidecars this one depends on (same message, produced first)
+        (context.dependencyOutputs || []).forEach(dependency => {
+            parts.push(`=== Input from "${dependency.name}" (Upstream Sidecar) ===`);
+            parts.push(dependency.result);
+            parts.push('');
+        });
+
         // Include character card if enabled
         if (settings.includeCharCard && context.charCard) {
             parts.push('=== Character Card (REFERENCE ONLY) ===');
@@ -176,28 +391,289 @@ export class ContextBuilder {
             parts.push('');
         }
 
+        // Per-member runs in group chats answer for one character
+        if (context.targetMember) {
+            parts.push('=== Target Character ===');
+            parts.push(`${context.targetMember} - write this output for this character only.`);
+            parts.push('');
+        }
+
         // User's instruction (the actual prompt) - THIS IS WHAT TO FOLLOW
         if (userPrompt.trim()) {
             parts.push('');
             parts.push('=== INSTRUCTION BLOCK ===');
-            parts.push(userPrompt);
+            parts.push(instruction);
             parts.push('=== END INSTRUCTION ===');
         }
 
         return parts.join('\n').trim();
     }
 
+    /**
+     * Build the prompt in the add-on's layout (promptLayout):
+     * 'single' returns one string, 'messages' returns a messages array (see buildPromptMessages)
+     */
+    buildRequestPrompt(addon, context) {
+        return addon.promptLayout === 'messages'
+            ? this.buildPromptMessages(addon, context)
+            : this.buildPrompt(addon, context);
+    }
+
+    /**
+     * Build a structured messages array: contract and cards as system messages, the chat as
+     * user/assistant turns with speaker names, then per-run context and the instruction as the final user turn.
+     * Stable parts come first so providers can cache the prefix. No system message follows the chat turns,
+     * so providers with a single top-level system prompt (Anthropic, Gemini) keep the previewed order.
+     */
+    buildPromptMessages(addon, context) {
+        const settings = addon.contextSettings || {};
+        const instruction = typeof context.instruction === 'string' ? context.instruction : (addon.prompt || '');
+        const messages = [];
+
+        const contract = this.buildContractBlock(addon, context).join('\n').trim();
+        if (contract) {
+            messages.push({ role: 'system', content: contract });
+        }
+
+        const cards = [];
+        if (settings.includeCharCard && context.charCard) {
+            cards.push('=== Character Card (REFERENCE ONLY) ===', context.charCard, '');
+        }
+        if (settings.includeUserCard && context.userCard) {
+            cards.push('=== User Card (REFERENCE ONLY) ===', context.userCard, '');
+        }
+        if (settings.includeWorldCard && context.worldCard) {
+            cards.push('=== World Card (REFERENCE ONLY) ===', context.worldCard, '');
+        }
+        if (context.memory) {
+            cards.push('=== Chat Memory (summary of the chat so far, REFERENCE ONLY) ===', context.memory, '');
+        }
+        if (cards.length > 0) {
+            messages.push({ role: 'system', content: cards.join('\n').trim() });
+        }
+
+        // Chat turns; consecutive messages from the same side are merged (some providers require alternation)
+        const turns = [];
+        (context.chatMessages || []).forEach(msg => {
+            const role = msg.is_user ? 'user' : 'assistant';
+            const content = `${msg.name || (msg.is_user ? 'User' : 'Character')}: ${msg.mes || ''}`;
+            const previous = turns[turns.length - 1];
+            if (previous && previous.role === role) {
+                previous.content += `\n\n${content}`;
+            } else {
+                turns.push({ role, content });
+            }
+        });
+        if (turns.length > 0) {
+            const omittedNote = context.omittedMessages > 0
+                ? ` ${context.omittedMessages} earlier message(s) were omitted to fit the token budget.`
+                : '';
+            messages.push({ role: 'system', content: `The following messages are the chat history (REFERENCE ONLY - DO NOT CONTINUE).${omittedNote}` });
+            messages.push(...turns);
+        }
+
+        const runContext = [];
+        if (context.addonHistory) {
+            runContext.push('=== Previous Output History (This Add-on) ===', context.addonHistory, '');
+        }
+        if (context.addonState && this.stateManager) {
+            runContext.push('=== Current State (This Add-on) ===', this.stateManager.formatState(addon.stateFields, context.addonState), '');
+        }
+        (context.dependencyOutputs || []).forEach(dependency => {
+            runContext.push(`=== Input from "${dependency.name}" (Upstream Sidecar) ===`, dependency.result, '');
+        });
+        if (context.targetMember) {
+            runContext.push('=== Target Character ===', `${context.targetMember} - write this output for this character only.`, '');
+        }
+
+        messages.push({
+            role: 'user',
+            content: [
+                ...runContext,
+                '=== INSTRUCTION BLOCK ===',
+                instruction.trim() || 'Follow the system instructions.',
+                '=== END INSTRUCTION ==='
+            ].join('\n')
+        });
+
+        return messages;
+    }
+
     /**
      * Build combined prompt for batch requests
+     * Each add-on's prompt is wrapped in a <sidecar_task id="..."> block and the model is asked
+     * to answer with an envelope keyed by add-on id (see AIClient.parseBatchResponse)
+     * @param {string} format - 'json' (JSON object) or 'tagged' (<sidecar_result> tags)
      */
-    buildBatchPrompt(addons, contexts) {
-        const prompts = addons.map((addon, index) => {
-            const context = contexts[index];
-            const prompt = this.buildPrompt(addon, context);
-            return `=== ${addon.name} ===\n${prompt}`;
+    buildBatchPrompt(addons, contexts, format = 'tagged') {
+        const parts = [];
+
+        parts.push('[BATCH CONTRACT]');
+        parts.push(`- You will receive ${addons.length} independent tasks. Complete EVERY task.`);
+        parts.push('- Each task has its own rules, context and INSTRUCTION BLOCK. Never mix content between tasks.');
+        if (format === 'json') {
+            parts.push('- Respond with ONE JSON object and nothing else (no code fences):');
+            parts.push(`  {"results": {${addons.map(addon => `"${addon.id}": "<output>"`).join(', ')}}}`);
+            parts.push('- Each value is the complete output for that task as a JSON string (escape quotes and newlines).');
+        } else {
+            parts.push('- Wrap each task\'s output in a result tag with the exact task id:');
+            addons.forEach(addon => {
+                parts.push(`  <sidecar_result id="${addon.id}">...</sidecar_result>`);
+            });
+            parts.push('- Output nothing outside the result tags.');
+        }
+        parts.push('[/BATCH CONTRACT]');
+        parts.push('');
+
+        addons.forEach((addon, index) => {
+            const safeName = String(addon.name || '').replace(/"/g, '&quot;');
+            parts.push(`<sidecar_task id="${addon.id}" name="${safeName}">`);
+            parts.push(this.buildPrompt(addon, contexts[index]));
+            parts.push('</sidecar_task>');
+            parts.push('');
         });
 
-        return prompts.join('\n\n---\n\n');
+        return parts.join('\n').trim();
+    }
+
+    /**
+     * Expand {{macros}} in an instruction
+     * Sidecar macros are resolved relative to the message being processed:
+     * {{lastUserMessage}}, {{lastAiMessage}}, {{chatLength}}, {{date}}, {{sidecar:<id or name>}},
+     * {{state:<field>}} (this add-on) and {{state:<sidecar id>:<field>}}.
+     * Everything else ({{char}}, {{user}}, {{time}}, ...) goes through SillyTavern's substituteParams when available.
+     * @param {number|null} messageIndex - Chat index of the message being processed (defaults to the last message)
+     * @param {string|null} charName - Overrides {{char}} (per-member runs in group chats)
+     */
+    expandMacros(text, addon, chatLog, messageIndex = null, charName = null) {
+        const source = String(text || '');
+        if (!source.includes('{{')) {
+            return source;
+        }
+
+        const log = Array.isArray(chatLog) ? chatLog : [];
+        const index = (typeof messageIndex === 'number' && messageIndex >= 0 && messageIndex < log.length)
+            ? messageIndex
+            : log.length - 1;
+        const ctx = this.getLiveContext();
+        let ownState = null;
+
+        // One pass, so inserted values (sidecar output, messages) are never expanded again
+        return source.replace(/\{\{([^{}]+)\}\}/g, (match, rawName) => {
+            const name = rawName.trim();
+            const lower = name.toLowerCase();
+
+            if (lower === 'lastusermessage') {
+                return this.findMessageText(log, index, true);
+            }
+            if (lower === 'lastaimessage') {
+                return this.findMessageText(log, index, false);
+            }
+            if (lower === 'char' && charName) {
+                return charName;
+            }
+            if (lower === 'chatlength') {
+                return String(log.length);
+            }
+            if (lower === 'date') {
+                return new Date().toLocaleDateString();
+            }
+            if (lower.startsWith('sidecar:')) {
+                return this.findSidecarResult(log, index, name.slice('sidecar:'.length).trim());
+            }
+            if (lower.startsWith('state:')) {
+                const ref = name.slice('state:'.length).split(':').map(part => part.trim());
+                if (ref.length === 1) {
+                    if (!ownState) {
+                        ownState = this.stateManager?.hasState(addon) ? this.stateManager.getState(log, addon, index) : {};
+                    }
+                    return this.formatMacroValue(ownState[ref[0]]);
+                }
+                return this.formatMacroValue(this.findStateValue(log, index, ref[0], ref[1]));
+            }
+
+            // Defer to SillyTavern's macro engine for everything else
+            if (typeof ctx?.substituteParams === 'function') {
+                try {
+                    return ctx.substituteParams(match);
+                } catch (error) {
+                    console.warn(`[Sidecar AI] Macro ${match} could not be substituted:`, error);
+                }
+            }
+            if (lower === 'char') {
+                return ctx?.name2 || '';
+            }
+            if (lower === 'user') {
+                return ctx?.name1 || '';
+            }
+            return match;
+        });
+    }
+
+    /**
+     * Text of the latest user (or AI) message at or before an index
+     */
+    findMessageText(chatLog, index, isUser) {
+        for (let i = index; i >= 0; i--) {
+            const msg = chatLog[i];
+            if (msg && !msg.is_system && !!msg.is_user === isUser && msg.mes) {
+                return msg.mes;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Latest stored result of a sidecar (by id or name) at or before an index
+     */
+    findSidecarResult(chatLog, index, ref) {
+        const wanted = String(ref || '').toLowerCase();
+        for (let i = index; i >= 0; i--) {
+            const msg = chatLog[i];
+            if (!msg || msg.is_user) continue;
+
+            const swipeId = msg.swipe_id ?? 0;
+            const results = msg.swipe_info?.[swipeId]?.extra?.sidecarResults || msg.extra?.sidecarResults || {};
+            const match = Object.entries(results).find(([id, stored]) =>
+                stored?.result && (id === ref || String(stored.addonName || '').toLowerCase() === wanted));
+            if (match) {
+                return match[1].result;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Latest stored state value of another sidecar at or before an index
+     */
+    findStateValue(chatLog, index, addonId, field) {
+        if (!this.stateManager) {
+            return undefined;
+        }
+        for (let i = index; i >= 0; i--) {
+            const snapshot = this.stateManager.getStoredSnapshot(chatLog[i], addonId);
+            if (snapshot?.values && Object.prototype.hasOwnProperty.call(snapshot.values, field)) {
+                return snapshot.values[field];
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Format a state value for an instruction (lists are comma-separated)
+     */
+    formatMacroValue(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    /**
+     * Fresh SillyTavern context (names change when the chat changes)
+     */
+    getLiveContext() {
+        return getSillyTavernContext(this.context);
     }
 
     /**
@@ -244,6 +720,37 @@ export class ContextBuilder {
         return history.map((item, index) => `--- Result ${index + 1} ---\n${item}`).join('\n\n');
     }
 
+    /**
+     * Get a sidecar's stored result for a message's current swipe variant
+     */
+    getStoredResult(message, addonId) {
+        if (!message || !addonId) {
+            return null;
+        }
+
+        const swipeId = message.swipe_id ?? 0;
+        const sidecarResults = message.swipe_info?.[swipeId]?.extra?.sidecarResults || message.extra?.sidecarResults;
+        const stored = sidecarResults?.[addonId];
+        return stored?.result ? stored : null;
+    }
+
+    /**
+     * Collect outputs of an add-on's dependencies for the message being processed
+     * @returns {Array<{id: string, name: string, result: string}>}
+     */
+    getDependencyOutputs(addon, message) {
+        if (!message || !Array.isArray(addon.dependsOn) || addon.dependsOn.length === 0) {
+            return [];
+        }
+
+        return addon.dependsOn
+            .map(depId => {
+                const stored = this.getStoredResult(message, depId);
+                return stored ? { id: depId, name: stored.addonName || depId, result: stored.result } : null;
+            })
+            .filter(Boolean);
+    }
+
     /**
      * Get last N messages from chat log
      */
@@ -277,12 +784,15 @@ export class ContextBuilder {
     }
 
     /**
-     * Get current message (most recent AI response)
+     * Get current message: the one being processed, else the most recent AI response
      */
-    getCurrentMessage(chatLog) {
+    getCurrentMessage(chatLog, messageIndex = null) {
         if (!chatLog || !Array.isArray(chatLog)) {
             return '';
         }
+        if (typeof messageIndex === 'number' && chatLog[messageIndex]?.mes) {
+            return chatLog[messageIndex].mes;
+        }
 
         // Find most recent non-user message
         for (let i = chatLog.length - 1; i >= 0; i--) {
@@ -295,6 +805,233 @@ export class ContextBuilder {
         return '';
     }
 
+    /**
+     * World card text: the World Info entries activated for the message being processed
+     * Uses the result of prepareWorldInfo when it matches, otherwise scans the given world data locally
+     */
+    getWorldCard(worldData, chatLog, messageIndex = null) {
+        const log = Array.isArray(chatLog) ? chatLog : [];
+        const index = (typeof messageIndex === 'number' && messageIndex >= 0) ? messageIndex : log.length - 1;
+
+        // SillyTavern keeps one chat array across edits, so the message text is part of the match
+        if (this._worldInfo && this._worldInfo.index === index && this._worldInfo.chat === log && this._worldInfo.mes === log[index]?.mes) {
+            return this._worldInfo.text;
+        }
+
+        const entries = worldData?.entries ? Object.values(worldData.entries) : [];
+        if (entries.length === 0) {
+            return this.formatWorldCard(worldData);
+        }
+        return this.formatWorldEntries(this.scanWorldInfoEntries(entries, log, index, this.worldInfoScanDepth));
+    }
+
+    /**
+     * Resolve the World Info activated for a message (async, call before buildContext)
+     * Prefers SillyTavern's own activation (getWorldInfoPrompt, dry run); otherwise loads the character,
+     * chat and global lorebooks and scans them locally.
+     */
+    async prepareWorldInfo(chatLog, messageIndex = null) {
+        const log = Array.isArray(chatLog) ? chatLog : [];
+        const index = (typeof messageIndex === 'number' && messageIndex >= 0) ? messageIndex : log.length - 1;
+        const ctx = this.getLiveContext();
+        const api = await this.getWorldInfoApi();
+        let text = null;
+
+        try {
+            if (typeof api.getWorldInfoPrompt === 'function') {
+                // SillyTavern expects "Name: message" strings, newest first
+                const chatForWI = log.slice(0, index + 1)
+                    .filter(msg => msg && !msg.is_system && msg.mes)
+                    .map(msg => `${msg.name}: ${msg.mes}`)
+                    .reverse();
+                const result = await api.getWorldInfoPrompt(chatForWI, ctx?.maxContext || 8192, true);
+                const depthEntries = (result?.worldInfoDepth || []).flatMap(depth => depth?.entries || []);
+                text = [result?.worldInfoBefore, result?.worldInfoAfter, ...depthEntries]
+                    .filter(part => typeof part === 'string' && part.trim())
+                    .join('\n') || result?.worldInfoString || '';
+            } else if (typeof api.loadWorldInfo === 'function') {
+                const names = new Set([
+                    ctx?.characters?.[ctx?.characterId]?.data?.extensions?.world,
+                    ctx?.chatMetadata?.world_info,
+                    ...(Array.isArray(api.selectedWorldInfo) ? api.selectedWorldInfo : [])
+                ].filter(Boolean));
+
+                const entries = [];
+                for (const name of names) {
+                    const book = await api.loadWorldInfo(name);
+                    entries.push(...Object.values(book?.entries || {}));
+                }
+                const depth = Number(api.scanDepth) || this.worldInfoScanDepth;
+                text = this.formatWorldEntries(this.scanWorldInfoEntries(entries, log, index, depth));
+            }
+        } catch (error) {
+            console.warn('[Sidecar AI] Could not resolve World Info, using local world data:', error);
+            text = null;
+        }
+
+        this._worldInfo = text === null ? null : { chat: log, index, mes: log[index]?.mes, text };
+        return text;
+    }
+
+    /**
+     * SillyTavern World Info functions, from the context or the world-info module
+     * @returns {{getWorldInfoPrompt?: Function, loadWorldInfo?: Function, selectedWorldInfo?: Array, scanDepth?: number}}
+     */
+    async getWorldInfoApi() {
+        const ctx = this.getLiveContext();
+        if (typeof ctx?.getWorldInfoPrompt === 'function') {
+            return { getWorldInfoPrompt: ctx.getWorldInfoPrompt };
+        }
+
+        if (!this._worldInfoModule) {
+            try {
+                this._worldInfoModule = await import('/scripts/world-info.js');
+            } catch (e) {
+                this._worldInfoModule = {};
+            }
+        }
+
+        const module = this._worldInfoModule;
+        return {
+            getWorldInfoPrompt: module.getWorldInfoPrompt,
+            loadWorldInfo: typeof ctx?.loadWorldInfo === 'function' ? ctx.loadWorldInfo : module.loadWorldInfo,
+            selectedWorldInfo: module.selected_world_info,
+            scanDepth: module.world_info_depth
+        };
+    }
+
+    /**
+     * Local World Info activation: constant entries, plus entries whose keys appear in the last
+     * scanDepth messages (secondary keys honor selectiveLogic). Returned in insertion order.
+     */
+    scanWorldInfoEntries(entries, chatLog, index, scanDepth) {
+        const text = chatLog.slice(Math.max(0, index - scanDepth + 1), index + 1)
+            .filter(msg => msg && msg.mes)
+            .map(msg => `${msg.name || ''}: ${msg.mes}`)
+            .join('\n');
+
+        return (entries || [])
+            .filter(entry => entry && !entry.disable && entry.content)
+            .filter(entry => {
+                if (entry.constant) {
+                    return true;
+                }
+
+                const primary = entry.key || entry.keys || [];
+                if (!primary.some(key => this.matchWorldInfoKey(key, text, entry))) {
+                    return false;
+                }
+
+                const secondary = entry.keysecondary || entry.secondary_keys || [];
+                if (!entry.selective || secondary.length === 0) {
+                    return true;
+                }
+
+                const matches = secondary.map(key => this.matchWorldInfoKey(key, text, entry));
+                switch (Number(entry.selectiveLogic) || 0) {
+                    case 1: return !matches.every(Boolean); // NOT ALL
+                    case 2: return !matches.some(Boolean); // NOT ANY
+                    case 3: return matches.every(Boolean); // AND ALL
+                    default: return matches.some(Boolean); // AND ANY
+                }
+            })
+            .sort((a, b) => (Number(a.order) || 0) - (Number(b.order) || 0));
+    }
+
+    /**
+     * Match one World Info key ("/regex/flags", substring, or whole word when the entry asks for it)
+     */
+    matchWorldInfoKey(key, text, entry) {
+        const value = String(key || '').trim();
+        if (!value) {
+            return false;
+        }
+
+        const regex = value.match(/^\/(.+)\/([a-z]*)$/);
+        if (regex) {
+            try {
+                return new RegExp(regex[1], regex[2]).test(text);
+            } catch (e) {
+                return false;
+            }
+        }
+
+        const caseSensitive = entry.caseSensitive === true;
+        const haystack = caseSensitive ? text : text.toLowerCase();
+        const needle = caseSensitive ? value : value.toLowerCase();
+        if (entry.matchWholeWords !== true || /\s/.test(needle)) {
+            return haystack.includes(needle);
+        }
+        const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(?:^|\\W)${escaped}(?:$|\\W)`).test(haystack);
+    }
+
+    /**
+     * Join activated entries for the prompt
+     */
+    formatWorldEntries(entries) {
+        return (entries || []).map(entry => String(entry.content).trim()).filter(Boolean).join('\n');
+    }
+
+    /**
+     * Members of the active group chat (character objects), or [] outside group chats
+     * @param {boolean} presentOnly - Skip muted (disabled) members
+     */
+    getGroupMembers(presentOnly = true) {
+        const ctx = this.getLiveContext();
+        if (!ctx?.groupId) {
+            return [];
+        }
+
+        const group = (ctx.groups || []).find(g => String(g?.id) === String(ctx.groupId));
+        const disabled = presentOnly && Array.isArray(group?.disabled_members) ? group.disabled_members : [];
+        return (group?.members || [])
+            .filter(avatar => !disabled.includes(avatar))
+            .map(avatar => (ctx.characters || []).find(char => char?.avatar === avatar))
+            .filter(Boolean);
+    }
+
+    /**
+     * Character that wrote a message (group chats store the speaker's avatar on the message)
+     */
+    getSpeakerData(chatLog, messageIndex) {
+        const msg = Array.isArray(chatLog) ? chatLog[messageIndex ?? chatLog.length - 1] : null;
+        if (!msg || msg.is_user) {
+            return null;
+        }
+        const members = this.getGroupMembers(false);
+        return members.find(char => msg.original_avatar && char.avatar === msg.original_avatar) ||
+            members.find(char => char.name === msg.name) ||
+            null;
+    }
+
+    /**
+     * Character card section: the targeted member, or in group chats the speaker / all present members
+     * (contextSettings.groupCards), otherwise the active character
+     */
+    getCharCard(settings, charData, chatLog, messageIndex, member = null) {
+        if (member) {
+            return this.formatCharCard(member);
+        }
+
+        const members = this.getGroupMembers();
+        if (members.length === 0) {
+            return this.formatCharCard(charData);
+        }
+
+        if (settings.groupCards === 'all') {
+            return members
+                .map(char => {
+                    const card = this.formatCharCard(char);
+                    return card ? `[${char.name}]\n${card}` : '';
+                })
+                .filter(Boolean)
+                .join('\n\n');
+        }
+
+        return this.formatCharCard(this.getSpeakerData(chatLog, messageIndex) || charData);
+    }
+
     /**
      * Format character card using SillyTavern's actual field structure
      * Matches the context_story_string template format
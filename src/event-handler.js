@@ -4,13 +4,24 @@
  */
 
 export class EventHandler {
-    constructor(context, addonManager, contextBuilder, aiClient, resultFormatter) {
+    constructor(context, addonManager, contextBuilder, aiClient, resultFormatter, stateManager = null, usageTracker = null, memoryManager = null, promptInjector = null) {
         this.context = context;
         this.addonManager = addonManager;
         this.contextBuilder = contextBuilder;
         this.aiClient = aiClient;
         this.resultFormatter = resultFormatter;
+        this.stateManager = stateManager;
+        this.usageTracker = usageTracker;
+        this.memoryManager = memoryManager;
+        this.promptInjector = promptInjector;
         this.isProcessing = false;
+        this.priorityAddons = new Set(); // Add-ons run manually right now; their requests are queued ahead of auto runs
+        this.freshAddons = new Set(); // Add-ons re-run with "force fresh"; their requests skip the response cache
+        this.activeRuns = new Set(); // {message, messageId, cancelled} per running sidecar run, cancelled when the message goes away
+        // Pre-generation outputs for the upcoming reply: {messageIndex, text, results: Map(addonId -> {response, usage, usageStored})}
+        this.preGeneration = null;
+        // Chat length when a normal generation started with text in the input box; the before phase waits for that message (MESSAGE_SENT)
+        this.pendingPreGeneration = null;
         // Performance: Debounce save operations
         this.saveChatTimeout = null;
         // Prevent double-processing the same message id
@@ -122,6 +133,71 @@ export class EventHandler {
                     });
                 }
 
+                // Pre-generation sidecars: SillyTavern awaits these events before it builds the main prompt.
+                // On a normal send the user's message is added after GENERATION_AFTER_COMMANDS, so the
+                // before phase waits for MESSAGE_SENT when the input box holds a new message.
+                if (event_types.GENERATION_AFTER_COMMANDS) {
+                    eventSource.on(event_types.GENERATION_AFTER_COMMANDS, async (type, options, dryRun) => {
+                        try {
+                            if (!dryRun && (type === 'normal' || type === undefined) && this.hasPendingUserInput()) {
+                                this.pendingPreGeneration = this.contextBuilder.getChatLog().length;
+                                return;
+                            }
+                            await this.handleBeforeGeneration(type, dryRun);
+                        } catch (error) {
+                            console.error('[Sidecar AI] Error running pre-generation sidecars:', error);
+                        }
+                    });
+                }
+                if (event_types.MESSAGE_SENT) {
+                    eventSource.on(event_types.MESSAGE_SENT, async (data) => {
+                        if (this.pendingPreGeneration === null) {
+                            return;
+                        }
+                        const { chatIndex } = this.resolveMessageRefFromEvent(data);
+                        const messageIndex = chatIndex ?? this.contextBuilder.getChatLog().length - 1;
+                        if (messageIndex < this.pendingPreGeneration) {
+                            return;
+                        }
+                        this.pendingPreGeneration = null;
+                        try {
+                            await this.handleBeforeGeneration('normal', false, messageIndex);
+                        } catch (error) {
+                            console.error('[Sidecar AI] Error running pre-generation sidecars:', error);
+                        }
+                    });
+                }
+                // The injected outputs belong to one reply: drop them once it is generated (or stopped).
+                // The outputs themselves stay for the reply's cards and for regenerate / swipe.
+                [event_types.GENERATION_ENDED, event_types.GENERATION_STOPPED].filter(Boolean).forEach(eventType => {
+                    eventSource.on(eventType, () => {
+                        this.pendingPreGeneration = null;
+                        this.promptInjector?.setPreGenerationResults(new Map());
+                    });
+                });
+                if (event_types.CHAT_CHANGED) {
+                    eventSource.on(event_types.CHAT_CHANGED, () => {
+                        this.contextBuilder.clearWorldInfo();
+                        this.preGeneration = null;
+                        this.pendingPreGeneration = null;
+                        this.promptInjector?.setPreGenerationResults(new Map());
+                    });
+                }
+
+                // Stop sidecars whose message was deleted or swiped away mid-generation
+                if (event_types.MESSAGE_DELETED) {
+                    eventSource.on(event_types.MESSAGE_DELETED, () => {
+                        const chatLog = this.contextBuilder.getChatLog();
+                        this.cancelRuns(run => !chatLog.includes(run.message), 'message deleted');
+                    });
+                }
+                if (event_types.MESSAGE_SWIPED) {
+                    eventSource.on(event_types.MESSAGE_SWIPED, (data) => {
+                        const { chatIndex, message } = this.resolveMessageRefFromEvent(data);
+                        this.cancelRuns(run => run.message === message || (chatIndex !== null && run.messageId === chatIndex), 'message swiped');
+                    });
+                }
+
                 console.log('[Sidecar AI] Event listeners registered for', messageEvents.length, 'event type(s)');
 
                 // Disconnect fallback observer if primary event system is now available
@@ -267,7 +343,8 @@ export class EventHandler {
             if (isUserMessage) {
                 // USER MESSAGE: Check for triggers
                 // Performance: Single-pass categorization (reuse logic if we already categorized)
-                const enabledAddons = this.addonManager.getEnabledAddons();
+                // Pre-generation sidecars check the user's message themselves (handleBeforeGeneration)
+                const enabledAddons = this.addonManager.getActiveAddons().filter(addon => addon.phase !== 'before');
                 const triggerAddons = enabledAddons.filter(addon => addon.triggerMode === 'trigger');
 
                 console.log(`[Sidecar AI] Found ${triggerAddons.length} trigger mode sidecar(s)`);
@@ -293,7 +370,8 @@ export class EventHandler {
             console.log('[Sidecar AI] Processing add-ons for AI message');
 
             // Performance: Single-pass categorization instead of multiple filters
-            const enabledAddons = this.addonManager.getEnabledAddons();
+            // Only sidecars scoped to the active character/group/chat take part
+            const enabledAddons = this.addonManager.getActiveAddons().filter(addon => addon.phase !== 'before');
             const categorized = {
                 auto: [],
                 trigger: [],
@@ -334,26 +412,22 @@ export class EventHandler {
                 }
             }
 
-            // 1. Get auto-triggered add-ons (already categorized)
-            const autoAddons = categorized.auto;
+            // 1. Get auto-triggered add-ons (already categorized); paused once the monthly budget is spent
+            let autoAddons = categorized.auto;
+            if (autoAddons.length > 0 && this.usageTracker?.isOverBudget()) {
+                console.warn(`[Sidecar AI] Monthly budget reached, pausing ${autoAddons.length} auto sidecar(s)`);
+                autoAddons = [];
+            }
 
-            // 2. Get queued trigger add-ons
-            const queuedAddons = [];
+            // 2. Get triggered add-ons: queued keyword/regex matches combined with each add-on's conditions
             if (this.queuedTriggers.size > 0) {
                 console.log(`[Sidecar AI] Found ${this.queuedTriggers.size} queued trigger(s)`);
-                // Use a Set for O(1) lookup when checking enabled addons
-                const enabledAddonIds = new Set(enabledAddons.map(a => a.id));
-                this.queuedTriggers.forEach(id => {
-                    if (enabledAddonIds.has(id)) {
-                        const addon = this.addonManager.getAddon(id);
-                        if (addon && addon.enabled) {
-                            queuedAddons.push(addon);
-                        }
-                    }
-                });
-                // Clear queue immediately so we don't re-process if something fails/retries
-                this.queuedTriggers.clear();
             }
+            const queuedAddons = categorized.trigger.filter(addon =>
+                this.shouldRunTriggerAddon(addon, this.queuedTriggers.has(addon.id), message, chatLog)
+            );
+            // Clear queue immediately so we don't re-process if something fails/retries
+            this.queuedTriggers.clear();
 
             // Combine lists
             const allAddonsToRun = [...autoAddons, ...queuedAddons];
@@ -370,7 +444,7 @@ export class EventHandler {
 
             console.log(`[Sidecar AI] Running ${uniqueAddons.length} sidecar(s) (${autoAddons.length} auto, ${queuedAddons.length} triggered)`);
 
-            if (uniqueAddons.length === 0) {
+            if (uniqueAddons.length === 0 && !this.preGeneration?.results.size) {
                 console.log('[Sidecar AI] No sidecars to run');
                 return;
             }
@@ -396,8 +470,13 @@ export class EventHandler {
                 return;
             }
 
+            // Cards for the pre-generation outputs this reply was generated with
+            await this.attachPreGenerationResults(aiMessage);
+
             // Process add-ons with the confirmed AI message
-            await this.processAddons(uniqueAddons, aiMessage);
+            if (uniqueAddons.length > 0) {
+                await this.processAddons(uniqueAddons, aiMessage);
+            }
 
             // Record the processed message id and swipe id
             this.lastProcessedMessageId = aiMessageId || this.lastProcessedMessageId;
@@ -409,6 +488,180 @@ export class EventHandler {
         }
     }
 
+    /**
+     * Run pre-generation sidecars on the user's message before the main AI replies
+     * Their outputs are injected into the main prompt (PromptInjector); each sidecar is waited for
+     * at most its timeout, after which the reply is generated without it.
+     * Regenerating or swiping the reply to the same message reuses the outputs.
+     * Other generation types (continue, impersonate, quiet) get no pre-generation injection.
+     * @param {string} type - SillyTavern generation type ('normal', 'regenerate', 'swipe', ...)
+     * @param {boolean} dryRun - Prompt preview / token counting, nothing is generated
+     * @param {number|null} userIndex - The user's message (MESSAGE_SENT); defaults to the latest user message
+     */
+    async handleBeforeGeneration(type, dryRun = false, userIndex = null) {
+        if (dryRun) {
+            return;
+        }
+        if (!['normal', 'regenerate', 'swipe', undefined].includes(type)) {
+            this.promptInjector?.setPreGenerationResults(new Map());
+            return;
+        }
+
+        const chatLog = this.contextBuilder.getChatLog();
+        let messageIndex = -1;
+        if (userIndex !== null && chatLog[userIndex]?.is_user) {
+            messageIndex = userIndex;
+        } else {
+            for (let i = chatLog.length - 1; i >= 0; i--) {
+                if (chatLog[i]?.is_user) {
+                    messageIndex = i;
+                    break;
+                }
+            }
+        }
+        if (messageIndex < 0) {
+            this.promptInjector?.setPreGenerationResults(new Map());
+            return;
+        }
+        const userMessage = chatLog[messageIndex];
+
+        if (type !== 'normal' && type !== undefined &&
+            this.preGeneration?.messageIndex === messageIndex && this.preGeneration.text === userMessage.mes) {
+            console.log('[Sidecar AI] Reusing pre-generation outputs for the same user message');
+            this.injectPreGenerationResults();
+            return;
+        }
+
+        this.preGeneration = { messageIndex, text: userMessage.mes, results: new Map() };
+
+        const messageText = this.getUserMessageText(userMessage);
+        let addons = this.addonManager.getActiveAddons().filter(addon => addon.phase === 'before' && (
+            addon.triggerMode === 'auto' ||
+            (addon.triggerMode === 'trigger' && this.shouldRunTriggerAddon(addon, this.checkTriggerMatch(messageText, addon.triggerConfig), userMessage, chatLog))
+        ));
+        if (addons.some(addon => addon.triggerMode === 'auto') && this.usageTracker?.isOverBudget()) {
+            console.warn('[Sidecar AI] Monthly budget reached, pausing auto pre-generation sidecars');
+            addons = addons.filter(addon => addon.triggerMode !== 'auto');
+        }
+
+        if (addons.length > 0) {
+            console.log(`[Sidecar AI] Running ${addons.length} pre-generation sidecar(s) on message ${messageIndex}`);
+            this.contextBuilder.startRequestCycle();
+            try {
+                if (addons.some(addon => addon.contextSettings?.includeWorldCard)) {
+                    await this.contextBuilder.prepareWorldInfo(chatLog, messageIndex);
+                }
+                const outcomes = await Promise.all(addons.map(addon => this.runPreGenerationAddon(addon, chatLog, messageIndex)));
+                outcomes.forEach((outcome, index) => {
+                    if (outcome) {
+                        this.preGeneration.results.set(addons[index].id, { ...outcome, usageStored: false });
+                    }
+                });
+            } finally {
+                this.contextBuilder.clearRequestCycle();
+            }
+        }
+
+        this.injectPreGenerationResults();
+    }
+
+    /**
+     * Inject the current pre-generation outputs into the upcoming reply's prompt
+     */
+    injectPreGenerationResults() {
+        const injected = new Map();
+        this.preGeneration?.results.forEach((entry, addonId) => injected.set(addonId, entry.response));
+        this.promptInjector?.setPreGenerationResults(injected);
+    }
+
+    /**
+     * Whether the input box holds a message that SillyTavern will add to the chat for this generation
+     */
+    hasPendingUserInput() {
+        const textarea = typeof document !== 'undefined' ? document.getElementById('send_textarea') : null;
+        return !!textarea && String(textarea.value || '').trim() !== '';
+    }
+
+    /**
+     * Run one pre-generation sidecar, giving up after its timeout
+     * @returns {Promise<{response: string, usage: Object|null, source: Object|null}|null>} Output, or null on error / timeout
+     */
+    async runPreGenerationAddon(addon, chatLog, messageIndex) {
+        const requestId = `pre-${messageIndex}`;
+        const timeoutMs = (addon.preGenerationSettings?.timeoutSeconds || 20) * 1000;
+        let timer = null;
+        let timedOut = false;
+
+        const run = (async () => {
+            const context = this.contextBuilder.buildContext(
+                addon,
+                chatLog,
+                this.contextBuilder.getCharData(),
+                this.contextBuilder.getUserData(),
+                this.contextBuilder.getWorldData(),
+                messageIndex
+            );
+            let usage = null;
+            let source = null;
+            // The user is waiting on the main reply, so these go ahead of queued auto runs
+            const response = await this.aiClient.sendToAI(addon, this.contextBuilder.buildRequestPrompt(addon, context), 0, requestId, {
+                onUsage: (reported) => { usage = this.recordUsage(addon, reported); },
+                onSource: (reported) => { source = reported; },
+                priority: 'high',
+                fresh: this.freshAddons.has(addon.id)
+            });
+            if (!response || !response.trim()) {
+                throw new Error('The AI returned an empty response');
+            }
+            return { response: response.trim(), usage, source };
+        })().catch(error => {
+            if (!timedOut) {
+                console.error(`[Sidecar AI] Pre-generation sidecar ${addon.name} failed:`, error);
+            }
+            return null;
+        });
+
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => {
+                timedOut = true;
+                resolve(null);
+            }, timeoutMs);
+        });
+
+        const outcome = await Promise.race([run, timeout]);
+        clearTimeout(timer);
+        if (timedOut) {
+            console.warn(`[Sidecar AI] Pre-generation sidecar ${addon.name} timed out after ${timeoutMs / 1000}s, the reply is generated without it`);
+            this.aiClient.cancelRequest(addon.id, requestId);
+        }
+        return outcome;
+    }
+
+    /**
+     * Add cards for the pre-generation outputs to the reply they were injected into
+     * Each swipe of the reply gets the card; the usage (already recorded) is stored with the first one only.
+     */
+    async attachPreGenerationResults(aiMessage) {
+        const pending = this.preGeneration;
+        if (!pending || pending.results.size === 0) {
+            return;
+        }
+
+        const chatLog = this.contextBuilder.getChatLog();
+        if (chatLog.indexOf(aiMessage) <= pending.messageIndex) {
+            return;
+        }
+
+        for (const [addonId, entry] of pending.results) {
+            const addon = this.addonManager.getAddon(addonId);
+            if (!addon || this.contextBuilder.getStoredResult(aiMessage, addonId)) {
+                continue;
+            }
+            await this.injectResult(addon, entry.response, aiMessage, entry.usageStored ? null : entry.usage, entry.source);
+            entry.usageStored = true;
+        }
+    }
+
     /**
      * Check if message is from user (not AI)
      */
@@ -495,6 +748,172 @@ export class EventHandler {
         return false;
     }
 
+    /**
+     * Decide whether a trigger-mode add-on runs for this AI message
+     * The user-message keyword/regex match (when triggers are set) and triggerConfig.conditions
+     * are combined with triggerConfig.conditionLogic ('and' / 'or')
+     */
+    shouldRunTriggerAddon(addon, keywordMatched, aiMessage, chatLog) {
+        const config = addon.triggerConfig || {};
+        const conditions = config.conditions || [];
+        if (conditions.length === 0) {
+            return keywordMatched;
+        }
+
+        const results = [];
+        if ((config.triggers || []).length > 0) {
+            results.push(keywordMatched);
+        }
+        conditions.forEach(condition => {
+            let matched = false;
+            try {
+                matched = this.evaluateTriggerCondition(condition, addon, aiMessage, chatLog);
+            } catch (error) {
+                console.error(`[Sidecar AI] Error evaluating ${condition.type} condition for ${addon.name}:`, error);
+            }
+            results.push(matched);
+        });
+
+        const shouldRun = config.conditionLogic === 'or' ? results.some(Boolean) : results.every(Boolean);
+        if (shouldRun) {
+            console.log(`[Sidecar AI] Trigger conditions met for ${addon.name} (${config.conditionLogic || 'and'})`);
+        }
+        return shouldRun;
+    }
+
+    /**
+     * Evaluate a single trigger condition against the AI message and chat state
+     */
+    evaluateTriggerCondition(condition, addon, aiMessage, chatLog) {
+        const log = Array.isArray(chatLog) ? chatLog : [];
+        let messageIndex = log.indexOf(aiMessage);
+        if (messageIndex < 0) {
+            messageIndex = log.length - 1;
+        }
+        const isAIMessage = msg => msg && !msg.is_user && !msg.is_system;
+
+        switch (condition.type) {
+            case 'aiText':
+                return this.checkTriggerMatch(this.getUserMessageText(aiMessage), {
+                    triggerType: condition.matchType,
+                    triggers: [condition.value].filter(Boolean)
+                });
+
+            case 'characterName': {
+                const names = condition.value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+                const speaker = String(aiMessage?.name || this.context.name2 || '').toLowerCase();
+                return names.includes(speaker);
+            }
+
+            case 'everyNMessages': {
+                const n = parseInt(condition.value, 10);
+                if (!(n >= 1)) {
+                    return false;
+                }
+                const aiCount = log.slice(0, messageIndex + 1).filter(isAIMessage).length;
+                return aiCount > 0 && aiCount % n === 0;
+            }
+
+            case 'chatLength': {
+                const threshold = Number(condition.value);
+                const length = messageIndex + 1;
+                if (condition.operator === 'crosses') {
+                    // Fires once: on the AI message where the chat first reaches the threshold
+                    let previousLength = 0;
+                    for (let i = messageIndex - 1; i >= 0; i--) {
+                        if (isAIMessage(log[i])) {
+                            previousLength = i + 1;
+                            break;
+                        }
+                    }
+                    return previousLength < threshold && length >= threshold;
+                }
+                return this.compareTriggerValues(length, condition.operator, threshold);
+            }
+
+            case 'sidecarResult': {
+                const actual = this.getSidecarConditionValue(condition, log, messageIndex);
+                return actual !== null && this.compareTriggerValues(actual, condition.operator, condition.value);
+            }
+
+            case 'timeSinceRun': {
+                const targetId = condition.addonId || addon.id;
+                let lastRun = null;
+                // Earlier messages only: a re-trigger on this message must not read its own previous result
+                for (let i = messageIndex - 1; i >= 0 && lastRun === null; i--) {
+                    lastRun = this.contextBuilder.getStoredResult(log[i], targetId)?.timestamp ?? null;
+                }
+                const minutes = lastRun ? (Date.now() - lastRun) / 60000 : Infinity;
+                return this.compareTriggerValues(minutes, condition.operator, condition.value);
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Read a value from another sidecar's latest result before the message
+     * Uses its state fields when the field is declared there, otherwise looks for "Field: value" in the result text
+     * (without a field, the whole result text is returned)
+     */
+    getSidecarConditionValue(condition, chatLog, messageIndex) {
+        const target = this.addonManager.getAddon(condition.addonId);
+        if (!target) {
+            return null;
+        }
+
+        if (condition.field && this.stateManager?.hasState(target) &&
+            target.stateFields.some(field => field.name === condition.field)) {
+            return this.stateManager.getState(chatLog, target, messageIndex)[condition.field];
+        }
+
+        for (let i = messageIndex - 1; i >= 0; i--) {
+            const stored = this.contextBuilder.getStoredResult(chatLog[i], target.id);
+            if (!stored) {
+                continue;
+            }
+
+            const text = String(stored.result).replace(/<[^>]*>/g, ' ').replace(/[ \t]+/g, ' ');
+            if (!condition.field) {
+                return text;
+            }
+            const escaped = condition.field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const match = text.match(new RegExp(`\\b${escaped}\\b\\s*[:=]?\\s*([^\\n|,;]+)`, 'i'));
+            return match ? match[1].trim() : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Compare a condition value. Numeric operators parse leading numbers ("45/100" -> 45);
+     * == / != fall back to case-insensitive text, "contains" checks text or list items
+     */
+    compareTriggerValues(actual, operator, expected) {
+        if (operator === 'contains') {
+            const needle = String(expected).toLowerCase();
+            return Array.isArray(actual)
+                ? actual.some(item => String(item).toLowerCase() === needle)
+                : String(actual).toLowerCase().includes(needle);
+        }
+
+        const actualNumber = typeof actual === 'number' ? actual : parseFloat(actual);
+        const expectedNumber = parseFloat(expected);
+        const numeric = !Number.isNaN(actualNumber) && !Number.isNaN(expectedNumber);
+        const actualText = Array.isArray(actual) ? actual.join(', ') : String(actual);
+
+        switch (operator) {
+            case '<': return numeric && actualNumber < expectedNumber;
+            case '<=': return numeric && actualNumber <= expectedNumber;
+            case '>': return numeric && actualNumber > expectedNumber;
+            case '>=': return numeric && actualNumber >= expectedNumber;
+            case '==': return numeric ? actualNumber === expectedNumber : actualText.toLowerCase() === String(expected).toLowerCase();
+            case '!=': return numeric ? actualNumber !== expectedNumber : actualText.toLowerCase() !== String(expected).toLowerCase();
+            default: return false;
+        }
+    }
+
     /**
      * Extract text from user message
      */
@@ -550,7 +969,7 @@ export class EventHandler {
                     .map(id => this.addonManager.getAddon(id))
                     .filter(addon => addon && addon.enabled);
             } else {
-                addonsToProcess = this.addonManager.getEnabledAddons()
+                addonsToProcess = this.addonManager.getActiveAddons()
                     .filter(addon => addon.triggerMode === 'manual');
             }
 
@@ -560,19 +979,22 @@ export class EventHandler {
             }
 
             const message = this.getLatestMessage();
+            addonsToProcess.forEach(addon => this.priorityAddons.add(addon.id));
             await this.processAddons(addonsToProcess, message);
         } catch (error) {
             console.error('[Add-Ons Extension] Error triggering add-ons:', error);
             throw error;
         } finally {
+            this.priorityAddons.clear();
             this.isProcessing = false;
         }
     }
 
     /**
      * Retry a failed add-on execution
+     * @param {Object} options - {fresh: true} skips the response cache
      */
-    async retryAddon(addonId, messageId) {
+    async retryAddon(addonId, messageId, options = {}) {
         if (this.isProcessing) {
             console.warn('[Add-Ons Extension] Already processing, skipping retry');
             return;
@@ -609,11 +1031,22 @@ export class EventHandler {
             }
 
             // Re-process
-            await this.processStandaloneAddon(addon, message);
+            this.priorityAddons.add(addon.id);
+            if (options?.fresh) {
+                this.freshAddons.add(addon.id);
+            }
+            const run = this.startRun(message);
+            try {
+                await this.processStandaloneAddon(addon, message);
+            } finally {
+                this.activeRuns.delete(run);
+            }
 
         } catch (error) {
             console.error('[Sidecar AI] Error retrying add-on:', error);
         } finally {
+            this.priorityAddons.clear();
+            this.freshAddons.clear();
             this.isProcessing = false;
         }
     }
@@ -628,26 +1061,150 @@ export class EventHandler {
 
         // Performance: Start request cycle to cache context lookups
         this.contextBuilder.startRequestCycle();
+        const run = this.startRun(message);
 
         try {
+            const runStartedAt = Date.now();
+
+            // Pull in dependencies that have no output on this message yet
+            const { addons: runAddons, unavailable } = this.addonManager.withDependencies(
+                addons,
+                dependency => !this.contextBuilder.getStoredResult(message, dependency.id)
+            );
+            // Sidecars needing a disabled / out-of-scope dependency fail (and so do their own dependents)
+            const blocked = runAddons.filter(addon => unavailable.has(addon.id));
+            addons = runAddons.filter(addon => !unavailable.has(addon.id));
+
+            // Resolve activated World Info once for the whole run
+            if (addons.some(addon => addon.contextSettings?.includeWorldCard)) {
+                const chatLog = this.contextBuilder.getChatLog();
+                await this.contextBuilder.prepareWorldInfo(chatLog, chatLog.indexOf(message));
+            }
+
+            // Sidecars waiting on another sidecar in this run are scheduled after it; the rest start right away
+            const runIds = new Set(runAddons.map(addon => addon.id));
+            const hasRunDependency = addon => (addon.dependsOn || []).some(depId => runIds.has(depId));
+            const independent = addons.filter(addon => !hasRunDependency(addon));
+            const { ordered: dependents, cyclic } = this.addonManager.sortByDependencies(addons.filter(hasRunDependency));
+
             // Group add-ons by request mode
-            const grouped = this.addonManager.getGroupedAddons(addons);
+            const grouped = this.addonManager.getGroupedAddons(independent);
+            const running = new Map(); // addon id -> promise that settles when it finished
 
             // Process all groups and standalone addons in parallel
-            const promises = [
-                // Process batch groups
-                ...grouped.batch.map(batchGroup => this.processBatchGroup(batchGroup, message)),
-                // Process standalone add-ons
-                ...grouped.standalone.map(addon => this.processStandaloneAddon(addon, message))
-            ];
-
-            await Promise.all(promises);
+            grouped.batch.forEach(batchGroup => {
+                const promise = this.processBatchGroup(batchGroup, message);
+                batchGroup.forEach(addon => running.set(addon.id, promise));
+            });
+            grouped.standalone.forEach(addon => {
+                running.set(addon.id, this.processStandaloneAddon(addon, message));
+            });
+
+            // Dependents run standalone as soon as all of their dependencies settle
+            dependents.forEach(addon => {
+                const waitFor = addon.dependsOn.filter(depId => running.has(depId)).map(depId => running.get(depId));
+                running.set(addon.id, Promise.all(waitFor).then(() => {
+                    if (!run.cancelled) {
+                        return this.processDependentAddon(addon, message, runIds, runStartedAt);
+                    }
+                }));
+            });
+
+            blocked.forEach(addon => {
+                const names = unavailable.get(addon.id).join(', ');
+                console.warn(`[Sidecar AI] Skipping ${addon.name}: dependency disabled or not active in this chat (${names})`);
+                this.resultFormatter.showErrorIndicator(
+                    this.resultFormatter.getMessageId(message),
+                    addon,
+                    new Error(`Dependency disabled or not active in this chat: ${names}`)
+                );
+            });
+
+            cyclic.forEach(addon => {
+                console.error(`[Sidecar AI] Skipping ${addon.name}: dependency cycle`);
+                this.resultFormatter.showErrorIndicator(
+                    this.resultFormatter.getMessageId(message),
+                    addon,
+                    new Error('Dependency cycle - check "Depends On" in the sidecar settings')
+                );
+            });
+
+            await Promise.all(running.values());
         } finally {
+            this.activeRuns.delete(run);
             // Performance: Clear request cycle cache after processing completes
             this.contextBuilder.clearRequestCycle();
         }
     }
 
+    /**
+     * Track a run of sidecars on a message so it can be cancelled as a whole
+     */
+    startRun(message) {
+        const run = { message, messageId: this.resultFormatter.getMessageId(message), cancelled: false };
+        this.activeRuns.add(run);
+        return run;
+    }
+
+    /**
+     * Cancel the requests of every run that matches; their dependents don't start
+     * @param {Function} matches - (run) => boolean
+     * @param {string} reason - Logged with the cancellation
+     */
+    cancelRuns(matches, reason) {
+        this.activeRuns.forEach(run => {
+            if (run.cancelled || !matches(run)) {
+                return;
+            }
+            run.cancelled = true;
+            const count = this.aiClient.cancelRequestsForMessage(run.messageId);
+            console.log(`[Sidecar AI] Stopped sidecars for message ${run.messageId} (${reason}, ${count} request(s))`);
+        });
+    }
+
+    /**
+     * Stop one sidecar on a message (loading card stop button)
+     */
+    cancelAddon(addonId, messageId) {
+        return this.aiClient.cancelRequest(addonId, messageId);
+    }
+
+    /**
+     * Stop every running and queued sidecar request ("Stop All" in the Run Sidecar menu)
+     */
+    cancelAllSidecars() {
+        this.activeRuns.forEach(run => { run.cancelled = true; });
+        const count = this.aiClient.cancelAllRequests();
+        console.log(`[Sidecar AI] Stopped all sidecars (${count} request(s))`);
+        return count;
+    }
+
+    /**
+     * Run a sidecar whose dependencies finished in this run, or fail it if one of them produced nothing
+     */
+    async processDependentAddon(addon, message, runIds, runStartedAt) {
+        const failed = addon.dependsOn.filter(depId => {
+            if (!runIds.has(depId)) {
+                return false;
+            }
+            const stored = this.contextBuilder.getStoredResult(message, depId);
+            return !stored || (stored.timestamp || 0) < runStartedAt;
+        });
+
+        if (failed.length > 0) {
+            const names = failed.map(depId => this.addonManager.getAddon(depId)?.name || depId).join(', ');
+            console.warn(`[Sidecar AI] Skipping ${addon.name}: dependency produced no output (${names})`);
+            this.resultFormatter.showErrorIndicator(
+                this.resultFormatter.getMessageId(message),
+                addon,
+                new Error(`Dependency produced no output: ${names}`)
+            );
+            return;
+        }
+
+        await this.processStandaloneAddon(addon, message);
+    }
+
     /**
      * Process a batch group
      */
@@ -669,34 +1226,54 @@ export class EventHandler {
                 const userData = this.contextBuilder.getUserData();
                 const worldData = this.contextBuilder.getWorldData();
 
-                return this.contextBuilder.buildContext(
+                const context = this.contextBuilder.buildContext(
                     addon,
                     chatLog,
                     charData,
                     userData,
-                    worldData
+                    worldData,
+                    chatLog.indexOf(message)
                 );
+                this.reportTrimmedContext(messageId, addon, context);
+                return context;
             });
 
-            // Build prompts
-            const prompts = addons.map((addon, index) => {
-                return this.contextBuilder.buildPrompt(addon, contexts[index]);
-            });
+            // Build the batch envelope prompt (JSON or tagged sections keyed by add-on id)
+            const format = this.aiClient.getBatchResponseFormat(addons[0]);
+            const batchPrompt = this.contextBuilder.buildBatchPrompt(addons, contexts, format);
 
             // Send batch request
-            const responses = await this.aiClient.sendBatchToAI(addons, prompts, messageId);
+            let batchUsage = null;
+            const responses = await this.aiClient.sendBatchToAI(addons, batchPrompt, messageId, format, {
+                onUsage: (usage) => { batchUsage = usage; },
+                priority: addons.some(addon => this.priorityAddons.has(addon.id)) ? 'high' : 'normal',
+                onQueue: (position) => addons.forEach(addon => this.resultFormatter.setLoadingQueuePosition(messageId, addon, position))
+            });
+            // Every add-on's share is billed, including those whose section is missing and get retried below
+            const usages = this.usageTracker
+                ? this.usageTracker.splitBatchUsage(batchUsage, responses).map((share, i) => this.recordUsage(addons[i], share))
+                : [];
 
             // Process each response
+            const missing = [];
             for (let i = 0; i < addons.length; i++) {
                 const addon = addons[i];
-                const response = responses[i] || '';
+                const response = responses[i];
+
+                if (!response) {
+                    missing.push(addon);
+                    continue;
+                }
 
                 // Hide loading indicator
                 this.resultFormatter.hideLoadingIndicator(messageId, addon);
+                await this.injectResult(addon, response, message, usages[i] || null);
+            }
 
-                if (response) {
-                    await this.injectResult(addon, response, message);
-                }
+            // Re-request only the sidecars whose section was missing; failures surface on their cards
+            if (missing.length > 0) {
+                console.warn(`[Sidecar AI] Batch response missing ${missing.length} section(s), retrying standalone: ${missing.map(a => a.name).join(', ')}`);
+                await Promise.all(missing.map(addon => this.processStandaloneAddon(addon, message)));
             }
         } catch (error) {
             console.error('[Sidecar AI] Error processing batch group:', error);
@@ -713,6 +1290,16 @@ export class EventHandler {
      * Process standalone add-on
      */
     async processStandaloneAddon(addon, message) {
+        if (this.memoryManager?.isMemory(addon)) {
+            return this.processMemoryAddon(addon, message);
+        }
+
+        // Per-member sidecars run once for each present character in group chats
+        const members = addon.groupMode === 'perMember' ? this.contextBuilder.getGroupMembers() : [];
+        if (members.length > 0) {
+            return this.processPerMemberAddon(addon, message, members);
+        }
+
         try {
             console.log(`[Sidecar AI] Processing standalone add-on: ${addon.name}`);
 
@@ -731,36 +1318,260 @@ export class EventHandler {
                 chatLog,
                 charData,
                 userData,
-                worldData
+                worldData,
+                chatLog.indexOf(message)
             );
 
-            // Build prompt
-            const prompt = this.contextBuilder.buildPrompt(addon, context);
-
-            // Send to AI
-            const response = await this.aiClient.sendToAI(addon, prompt, 0, messageId);
+            this.reportTrimmedContext(messageId, addon, context);
+
+            // Build prompt (one string, or a messages array for the structured layout)
+            const prompt = this.contextBuilder.buildRequestPrompt(addon, context);
+
+            // Send to AI (streamed into the card when enabled; chat history injection needs the full text)
+            // The trailing <sidecar_state> block is never shown while streaming
+            const streamToCard = addon.streaming && addon.responseLocation !== 'chatHistory';
+            const hasState = this.stateManager?.hasState(addon) === true;
+            let usage = null;
+            let source = null;
+            const response = await this.aiClient.sendToAI(addon, prompt, 0, messageId, {
+                ...this.getQueueOptions(addon, messageId),
+                onUsage: (reported) => { usage = this.recordUsage(addon, reported); },
+                onSource: (reported) => { source = reported; },
+                onChunk: streamToCard
+                    ? (text) => this.resultFormatter.updateStreamingResult(
+                        addon,
+                        hasState ? this.stateManager.stripStateBlock(text) : text,
+                        messageId
+                    )
+                    : null
+            });
 
             // Hide loading and inject result
+            this.resultFormatter.finishStreamingResult(addon, messageId, !response);
             this.resultFormatter.hideLoadingIndicator(messageId, addon);
 
-            if (response) {
-                await this.injectResult(addon, response, message);
+            if (!response) {
+                throw new Error('The AI returned an empty response');
             }
+            await this.injectResult(addon, response, message, usage, source);
         } catch (error) {
             console.error(`[Sidecar AI] Error processing add-on ${addon.name}:`, error);
             const messageId = this.resultFormatter.getMessageId(message);
+            this.resultFormatter.finishStreamingResult(addon, messageId, true);
+            this.resultFormatter.hideLoadingIndicator(messageId, addon);
+            this.resultFormatter.showErrorIndicator(messageId, addon, error);
+        }
+    }
+
+    /**
+     * Update a memory sidecar's rolling summary with the messages since its last update
+     * Each full chunk of new messages is summarized in turn, condensing older summaries as levels fill up.
+     * Does nothing until a full chunk (memorySettings.interval messages) is waiting.
+     */
+    async processMemoryAddon(addon, message) {
+        const messageId = this.resultFormatter.getMessageId(message);
+        const chatLog = this.contextBuilder.getChatLog();
+        let memory = this.memoryManager.getMemory(addon.id, chatLog.length);
+        const chunks = this.memoryManager.getPendingChunks(addon, memory, chatLog, chatLog.indexOf(message));
+        if (chunks.length === 0) {
+            console.log(`[Sidecar AI] Memory ${addon.name} is up to date (next update after ${addon.memorySettings?.interval || 10} new messages)`);
+            return;
+        }
+
+        const usages = [];
+        const sources = [];
+        const summarize = async (prompt, note) => {
+            this.resultFormatter.setLoadingNote(messageId, addon, note);
+            const response = await this.aiClient.sendToAI(addon, prompt, 0, messageId, {
+                ...this.getQueueOptions(addon, messageId),
+                onUsage: (reported) => { usages.push(this.recordUsage(addon, reported)); },
+                onSource: (reported) => { sources.push(reported); }
+            });
+            if (!response || !response.trim()) {
+                throw new Error('The AI returned an empty response');
+            }
+            return response.trim();
+        };
+
+        try {
+            console.log(`[Sidecar AI] Updating memory ${addon.name}: ${chunks.length} chunk(s)`);
+            this.resultFormatter.showLoadingIndicator(messageId, addon);
+
+            for (const chunk of chunks) {
+                const transcript = this.contextBuilder.formatMessages(chunk.messages);
+                const text = await summarize(
+                    this.memoryManager.buildChunkPrompt(addon, memory, chunk, transcript),
+                    `Summarizing messages #${chunk.from}-#${chunk.to}`
+                );
+                memory.chunks.push({ from: chunk.from, to: chunk.to, text });
+
+                let step = this.memoryManager.getCondenseStep(addon, memory);
+                while (step) {
+                    const entries = this.memoryManager.getCondenseEntries(memory, step);
+                    const condensed = await summarize(
+                        this.memoryManager.buildCondensePrompt(memory, step, entries),
+                        step === 'story' ? 'Condensing the story so far' : 'Condensing older summaries'
+                    );
+                    memory = this.memoryManager.applyCondense(memory, step, entries, condensed);
+                    step = this.memoryManager.getCondenseStep(addon, memory);
+                }
+
+                // Save after every chunk so an interrupted catch-up resumes where it stopped
+                this.memoryManager.saveMemory(addon, memory);
+            }
+
+            const usage = this.usageTracker ? this.usageTracker.combineRecords(usages) : null;
+
+            this.resultFormatter.hideLoadingIndicator(messageId, addon);
+            // Only the newest memory card is projected into the main AI's context
+            if (['append', 'replaceBlock'].includes(addon.inlineMode)) {
+                this.resultFormatter.clearInlineProjection(chatLog, addon.id, message);
+            }
+            await this.injectResult(addon, this.memoryManager.formatMemory(memory), message, usage, this.combineSources(sources));
+        } catch (error) {
+            console.error(`[Sidecar AI] Error updating memory ${addon.name}:`, error);
+            this.resultFormatter.hideLoadingIndicator(messageId, addon);
+            this.resultFormatter.showErrorIndicator(messageId, addon, error);
+        }
+    }
+
+    /**
+     * Run a sidecar once per group member and combine the outputs under one card
+     * Members that fail get an error line in their section; the run fails only if every member fails.
+     */
+    async processPerMemberAddon(addon, message, members) {
+        const messageId = this.resultFormatter.getMessageId(message);
+        try {
+            console.log(`[Sidecar AI] Processing ${addon.name} for ${members.length} group member(s)`);
+            this.resultFormatter.showLoadingIndicator(messageId, addon);
+
+            const chatLog = this.contextBuilder.getChatLog();
+            const userData = this.contextBuilder.getUserData();
+            const worldData = this.contextBuilder.getWorldData();
+            const messageIndex = chatLog.indexOf(message);
+
+            // Usage of every billed member request, including members whose output failed afterwards
+            const usages = [];
+            const settled = await Promise.allSettled(members.map(async member => {
+                const context = this.contextBuilder.buildContext(addon, chatLog, member, userData, worldData, messageIndex, member);
+                this.reportTrimmedContext(messageId, addon, context);
+
+                let source = null;
+                // Unique request key per member so parallel requests don't cancel each other
+                const response = await this.aiClient.sendToAI(addon, this.contextBuilder.buildRequestPrompt(addon, context), 0, `${messageId}:${member.avatar}`, {
+                    ...this.getQueueOptions(addon, messageId),
+                    onUsage: (reported) => { usages.push(this.recordUsage(addon, reported)); },
+                    onSource: (reported) => { source = reported; }
+                });
+                if (!response) {
+                    throw new Error('The AI returned an empty response');
+                }
+                return { response, source };
+            }));
+
+            if (settled.every(outcome => outcome.status === 'rejected')) {
+                throw settled[0].reason;
+            }
+
+            const sections = settled.map((outcome, index) => ({
+                name: members[index].name,
+                output: outcome.status === 'fulfilled' ? outcome.value.response : null,
+                error: outcome.status === 'rejected' ? (outcome.reason?.message || String(outcome.reason)) : null
+            }));
+            const usage = this.usageTracker ? this.usageTracker.combineRecords(usages) : null;
+
+            this.resultFormatter.hideLoadingIndicator(messageId, addon);
+            const sources = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value.source);
+            await this.injectResult(addon, this.resultFormatter.combineMemberResults(addon, sections), message, usage, this.combineSources(sources));
+        } catch (error) {
+            console.error(`[Sidecar AI] Error processing per-member add-on ${addon.name}:`, error);
             this.resultFormatter.hideLoadingIndicator(messageId, addon);
             this.resultFormatter.showErrorIndicator(messageId, addon, error);
         }
     }
 
+    /**
+     * Request queue options for a sidecar: manual runs go ahead of auto runs,
+     * and the loading card shows the position while the request waits
+     */
+    getQueueOptions(addon, messageId) {
+        return {
+            priority: this.priorityAddons.has(addon.id) ? 'high' : 'normal',
+            fresh: this.freshAddons.has(addon.id),
+            onQueue: (position) => this.resultFormatter.setLoadingQueuePosition(messageId, addon, position),
+            onFallback: (model, errorType) => this.resultFormatter.setLoadingNote(messageId, addon, `Falling back to ${model} (${errorType})`)
+        };
+    }
+
+    /**
+     * One source for a result built from several requests (memory chunks, group members):
+     * the first request that went to the provider, or a cache hit when all of them were
+     */
+    combineSources(sources) {
+        const known = sources.filter(Boolean);
+        return known.find(source => !source.cached) || known[0] || null;
+    }
+
+    /**
+     * Show which context sections were trimmed to fit the token budget on the loading card
+     */
+    reportTrimmedContext(messageId, addon, context) {
+        if (context?.trimmedSections?.length > 0) {
+            this.resultFormatter.setLoadingNote(
+                messageId,
+                addon,
+                `Trimmed to fit ${addon.contextSettings?.tokenBudget} tokens: ${context.trimmedSections.join(', ')}`
+            );
+        }
+    }
+
+    /**
+     * Add a billed request's usage to the ledger as soon as AIClient reports it
+     * (results that fail or are cancelled afterwards still count against the budget)
+     * @returns {Object|null} Priced usage record to store with the result
+     */
+    recordUsage(addon, usage) {
+        return this.usageTracker ? this.usageTracker.recordUsage(addon, usage) : null;
+    }
+
     /**
      * Inject result based on response location setting
+     * @param {Object|null} usage - Priced usage record (from recordUsage), stored with the result
+     * @param {Object|null} source - Model that produced the response (AIClient onSource), stored with the result
      */
-    async injectResult(addon, response, message) {
+    async injectResult(addon, response, message, usage = null, source = null) {
         console.log(`[Sidecar AI] Injecting result for ${addon.name}, location: ${addon.responseLocation}`);
         const messageId = this.resultFormatter.getMessageId(message);
 
+        // Stateful add-ons: split off the state delta and store the new snapshot for this swipe variant
+        if (this.stateManager?.hasState(addon)) {
+            const { output, delta } = this.stateManager.extractDelta(response);
+            const chatLog = this.contextBuilder.getChatLog();
+            const current = this.stateManager.getState(chatLog, addon, chatLog.indexOf(message));
+            const values = this.stateManager.applyDelta(addon.stateFields, current, delta);
+            this.stateManager.saveState(message, addon, delta, values);
+            if (!delta) {
+                console.warn(`[Sidecar AI] No state block in response for ${addon.name}, keeping previous state`);
+            }
+            response = output;
+        }
+
+        // Rewrite location: the output replaces the message text (or becomes a new swipe)
+        if (addon.responseLocation === 'rewrite') {
+            const record = this.resultFormatter.applyRewrite(addon, message, response);
+            if (!record) {
+                this.resultFormatter.showErrorIndicator(messageId, addon, new Error('Could not rewrite the message'));
+                return;
+            }
+            if (record.mode === 'swipe') {
+                // Show the new variant's (empty) set of cards before adding the rewrite card
+                this.stateManager?.restoreSnapshotForSwipe(message);
+                await this.resultFormatter.handleSwipeVariantChange(this.contextBuilder.getChatLog().indexOf(message), this.addonManager);
+            }
+            // The stored result stays the rewritten text (dependencies, history, macros); formatResult renders the diff card
+            response = record.rewritten;
+        }
+
         if (addon.responseLocation === 'chatHistory') {
             console.log(`[Sidecar AI] Injecting into chat history for message: ${messageId}`);
             const formatted = this.resultFormatter.formatResult(addon, response, message, false);
@@ -773,11 +1584,13 @@ export class EventHandler {
             const success = this.resultFormatter.injectIntoDropdown(addon, formatted, messageId);
             if (!success) {
                 console.error(`[Sidecar AI] Failed to inject result into dropdown for: ${addon.name}`);
+            } else {
+                this.resultFormatter.markCachedResult(messageId, addon, source);
             }
         }
 
-        // Save metadata for history retrieval (and persistence)
-        this.resultFormatter.saveResultToMetadata(message, addon, response);
+        // Save metadata for history retrieval (and persistence), with priced usage
+        this.resultFormatter.saveResultToMetadata(message, addon, response, usage, source);
 
         // Inline projection (optional): keep message.mes in sync for main AI context visibility.
         // This is idempotent; if no inline-enabled sidecars exist it will strip/avoid inline region.
@@ -787,6 +1600,25 @@ export class EventHandler {
         this.debouncedSaveChat();
     }
 
+    /**
+     * Undo a rewrite sidecar's change to a message (card revert button)
+     */
+    async revertRewrite(addonId, messageId) {
+        const message = this.resultFormatter.findMessageObject(messageId);
+        const record = message ? this.resultFormatter.revertRewrite(message, addonId) : null;
+        if (!record) {
+            console.warn(`[Sidecar AI] Nothing to revert for ${addonId} on message ${messageId}`);
+            return false;
+        }
+
+        if (record.mode === 'swipe') {
+            this.stateManager?.restoreSnapshotForSwipe(message);
+            await this.resultFormatter.handleSwipeVariantChange(this.contextBuilder.getChatLog().indexOf(message), this.addonManager);
+        }
+        this.debouncedSaveChat();
+        return true;
+    }
+
     /**
      * Get the absolute latest message from chat log (User or AI)
      */
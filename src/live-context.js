@@ -0,0 +1,16 @@
+/**
+ * Live SillyTavern context
+ * The context captured at load time goes stale on chat switches (chat, chatMetadata, groupId...),
+ * so code that reads the open chat asks SillyTavern for a fresh one.
+ */
+
+/**
+ * Current SillyTavern context, or the given fallback when the global API is unavailable
+ * @param {Object|null} fallback - Context captured at load time
+ * @returns {Object|null}
+ */
+export function getSillyTavernContext(fallback = null) {
+    return (typeof SillyTavern !== 'undefined' && typeof SillyTavern.getContext === 'function')
+        ? SillyTavern.getContext()
+        : fallback;
+}
@@ -0,0 +1,253 @@
+/**
+ * Memory Manager
+ * Hierarchical rolling summary of the whole chat for "memory" sidecars
+ * Stored per chat in chat metadata (chatMetadata.sidecarMemory[addonId]):
+ * recent chunk summaries are condensed into arcs, and old arcs into the story so far
+ */
+
+import { getSillyTavernContext } from './live-context.js';
+
+export class MemoryManager {
+    constructor(context, addonManager = null) {
+        this.context = context;
+        this.addonManager = addonManager;
+        this.metadataKey = 'sidecarMemory';
+        this.keepRecent = 2; // Newest summaries left out of a condense step
+        this.defaultInstruction = [
+            'Summarize the new messages for the long-term memory of this chat.',
+            'Write a short, factual summary in past tense: events, decisions, revealed information, changes in relationships and unresolved threads.',
+            'Keep names, places and important items. Do not repeat what the memory already says and do not invent anything.'
+        ].join('\n');
+    }
+
+    /**
+     * Check whether an add-on is a memory sidecar
+     */
+    isMemory(addon) {
+        return addon?.kind === 'memory';
+    }
+
+    /**
+     * Chat metadata of the open chat (read live: SillyTavern replaces the object on chat change)
+     */
+    getChatMetadata() {
+        const ctx = getSillyTavernContext(this.context);
+        return ctx?.chatMetadata || null;
+    }
+
+    /**
+     * Stored memory for an add-on in the open chat
+     * Summaries that cover messages no longer in the chat (deleted from the end) are dropped.
+     * @param {number|null} chatLength - Current chat length, to prune stale summaries
+     * @returns {{name: string, summarizedUntil: number, chunks: Array, arcs: Array, story: Object|null, updatedAt: number}}
+     */
+    getMemory(addonId, chatLength = null) {
+        const stored = this.getChatMetadata()?.[this.metadataKey]?.[addonId];
+        const memory = {
+            name: stored?.name || '',
+            summarizedUntil: 0,
+            chunks: Array.isArray(stored?.chunks) ? [...stored.chunks] : [],
+            arcs: Array.isArray(stored?.arcs) ? [...stored.arcs] : [],
+            story: stored?.story?.text ? { ...stored.story } : null,
+            updatedAt: stored?.updatedAt || 0
+        };
+
+        if (typeof chatLength === 'number') {
+            const fits = entry => entry.to < chatLength;
+            memory.chunks = memory.chunks.filter(fits);
+            memory.arcs = memory.arcs.filter(fits);
+            if (memory.story && !fits(memory.story)) {
+                memory.story = null;
+            }
+        }
+
+        // Next message to summarize: right after the newest summary that is still valid
+        const covered = [memory.story, ...memory.arcs, ...memory.chunks].filter(Boolean).map(entry => entry.to);
+        memory.summarizedUntil = covered.length > 0 ? Math.max(...covered) + 1 : 0;
+        return memory;
+    }
+
+    /**
+     * Store memory for an add-on in the open chat's metadata and save it
+     */
+    saveMemory(addon, memory) {
+        const metadata = this.getChatMetadata();
+        if (!metadata) {
+            console.warn('[Sidecar AI] No chat metadata available, memory not saved');
+            return false;
+        }
+        if (!metadata[this.metadataKey] || typeof metadata[this.metadataKey] !== 'object') {
+            metadata[this.metadataKey] = {};
+        }
+
+        metadata[this.metadataKey][addon.id] = {
+            name: addon.name,
+            chunks: memory.chunks,
+            arcs: memory.arcs,
+            story: memory.story,
+            updatedAt: Date.now()
+        };
+        this.saveMetadata();
+        return true;
+    }
+
+    /**
+     * Forget an add-on's memory for the open chat
+     */
+    resetMemory(addonId) {
+        const store = this.getChatMetadata()?.[this.metadataKey];
+        if (!store || !store[addonId]) {
+            return false;
+        }
+        delete store[addonId];
+        this.saveMetadata();
+        return true;
+    }
+
+    /**
+     * Persist chat metadata
+     */
+    saveMetadata() {
+        const ctx = getSillyTavernContext(this.context);
+        if (typeof ctx?.saveMetadataDebounced === 'function') {
+            ctx.saveMetadataDebounced();
+        } else if (typeof ctx?.saveMetadata === 'function') {
+            ctx.saveMetadata();
+        }
+    }
+
+    /**
+     * Messages not summarized yet, split into chunks of the update interval
+     * Only full chunks are returned, so the memory advances every N messages.
+     * @param {number} upTo - Last chat index to include (the message being processed)
+     * @returns {Array<{from: number, to: number, messages: Array}>}
+     */
+    getPendingChunks(addon, memory, chatLog, upTo) {
+        const interval = addon.memorySettings?.interval || 10;
+        const pending = [];
+        for (let i = memory.summarizedUntil; i <= upTo && i < chatLog.length; i++) {
+            const msg = chatLog[i];
+            if (msg && !msg.is_system && typeof msg.mes === 'string' && msg.mes.trim()) {
+                pending.push({ index: i, msg });
+            }
+        }
+
+        const chunks = [];
+        for (let start = 0; start + interval <= pending.length; start += interval) {
+            const slice = pending.slice(start, start + interval);
+            chunks.push({
+                from: slice[0].index,
+                to: slice[slice.length - 1].index,
+                messages: slice.map(item => item.msg)
+            });
+        }
+        return chunks;
+    }
+
+    /**
+     * Which level needs condensing after a new chunk: 'arcs' (oldest chunks into an arc),
+     * 'story' (oldest arcs into the story so far), or null
+     */
+    getCondenseStep(addon, memory) {
+        const maxEntries = addon.memorySettings?.maxEntries || 5;
+        if (memory.chunks.length > maxEntries) {
+            return 'arcs';
+        }
+        if (memory.arcs.length > maxEntries) {
+            return 'story';
+        }
+        return null;
+    }
+
+    /**
+     * Entries condensed by a step (everything but the newest few of that level)
+     */
+    getCondenseEntries(memory, step) {
+        const entries = step === 'arcs' ? memory.chunks : memory.arcs;
+        return entries.slice(0, Math.max(1, entries.length - this.keepRecent));
+    }
+
+    /**
+     * Replace condensed entries with their summary
+     */
+    applyCondense(memory, step, entries, text) {
+        const summary = { from: entries[0].from, to: entries[entries.length - 1].to, text };
+        if (step === 'arcs') {
+            memory.chunks = memory.chunks.slice(entries.length);
+            memory.arcs = [...memory.arcs, summary];
+        } else {
+            memory.arcs = memory.arcs.slice(entries.length);
+            memory.story = { from: 0, to: summary.to, text };
+        }
+        return memory;
+    }
+
+    /**
+     * Prompt that summarizes one chunk of new messages
+     * @param {string} transcript - The chunk's messages, formatted
+     */
+    buildChunkPrompt(addon, memory, chunk, transcript) {
+        const parts = [];
+        const current = this.formatMemory(memory);
+        parts.push('=== Memory So Far (REFERENCE ONLY) ===');
+        parts.push(current || '(empty - this is the start of the chat)');
+        parts.push('');
+        parts.push(`=== New Messages (#${chunk.from}-#${chunk.to}) ===`);
+        parts.push(transcript);
+        parts.push('');
+        parts.push('=== INSTRUCTION BLOCK ===');
+        parts.push(String(addon.prompt || '').trim() || this.defaultInstruction);
+        parts.push('Reply with the summary of the new messages only.');
+        parts.push('=== END INSTRUCTION ===');
+        return parts.join('\n');
+    }
+
+    /**
+     * Prompt that condenses several consecutive summaries into one
+     */
+    buildCondensePrompt(memory, step, entries) {
+        const parts = [];
+        if (step === 'story' && memory.story) {
+            parts.push('=== Story So Far ===', memory.story.text, '');
+        }
+        parts.push(`=== Summaries to Condense (messages #${entries[0].from}-#${entries[entries.length - 1].to}) ===`);
+        entries.forEach(entry => parts.push(entry.text, ''));
+        parts.push('=== INSTRUCTION BLOCK ===');
+        parts.push(step === 'story'
+            ? 'Rewrite the story so far to include the summaries above, as one compact summary of the whole chat.'
+            : 'Condense the summaries above into one shorter summary of this part of the chat.');
+        parts.push('Keep names, lasting changes and unresolved threads; drop minor details. Reply with the summary only.');
+        parts.push('=== END INSTRUCTION ===');
+        return parts.join('\n');
+    }
+
+    /**
+     * Memory as text, oldest (most condensed) first
+     */
+    formatMemory(memory) {
+        const parts = [];
+        if (memory.story?.text) {
+            parts.push(`Story so far (messages #0-#${memory.story.to}):\n${memory.story.text}`);
+        }
+        memory.arcs.forEach(arc => parts.push(`Earlier (messages #${arc.from}-#${arc.to}):\n${arc.text}`));
+        memory.chunks.forEach(chunk => parts.push(`Recent (messages #${chunk.from}-#${chunk.to}):\n${chunk.text}`));
+        return parts.join('\n\n');
+    }
+
+    /**
+     * Memory of every active memory sidecar for another sidecar's prompt (contextSettings.includeMemory)
+     * @param {number} chatLength - Current chat length
+     */
+    getContextMemory(chatLength) {
+        const addons = this.addonManager
+            ? this.addonManager.getActiveAddons().filter(addon => this.isMemory(addon))
+            : [];
+        return addons
+            .map(addon => {
+                const text = this.formatMemory(this.getMemory(addon.id, chatLength));
+                return text && addons.length > 1 ? `[${addon.name}]\n${text}` : text;
+            })
+            .filter(Boolean)
+            .join('\n\n');
+    }
+}
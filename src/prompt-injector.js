@@ -0,0 +1,136 @@
+/**
+ * Prompt Injector
+ * Delivers sidecar output to the main AI through SillyTavern's extension prompts (setExtensionPrompt)
+ * instead of editing message text. Used by sidecars with inlineMode 'prompt' and by pre-generation sidecars.
+ */
+
+import { getSillyTavernContext } from './live-context.js';
+
+export class PromptInjector {
+    constructor(context, addonManager, contextBuilder) {
+        this.context = context;
+        this.addonManager = addonManager;
+        this.contextBuilder = contextBuilder;
+        this.keyPrefix = 'sidecar_ai_';
+        this.maxLength = 8000; // Same per-sidecar cap as the inline projection
+        // SillyTavern's extension_prompt_types / extension_prompt_roles values
+        this.positions = { inPrompt: 0, inChat: 1, beforePrompt: 2 };
+        this.roles = { system: 0, user: 1, assistant: 2 };
+        this.activeKeys = new Set(); // Keys set by us, cleared when no longer needed
+        this.preGenerationResults = new Map(); // addonId -> output for the upcoming reply (pre-generation sidecars)
+    }
+
+    /**
+     * Live SillyTavern context (setExtensionPrompt and the chat change with the open chat)
+     */
+    getLiveContext() {
+        return getSillyTavernContext(this.context);
+    }
+
+    /**
+     * Refresh injections before every generation and whenever the visible results change
+     */
+    registerListeners() {
+        const eventSource = this.context?.eventSource;
+        const event_types = this.context?.event_types || this.context?.eventTypes;
+        if (!eventSource || !event_types) {
+            return;
+        }
+
+        [
+            event_types.GENERATION_STARTED,
+            event_types.CHAT_CHANGED,
+            event_types.MESSAGE_SWIPED,
+            event_types.MESSAGE_DELETED
+        ].filter(Boolean).forEach(eventType => {
+            eventSource.on(eventType, () => {
+                try {
+                    this.sync();
+                } catch (error) {
+                    console.error(`[Sidecar AI] Error updating prompt injections on ${eventType}:`, error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Replace the pre-generation outputs for the upcoming reply and refresh the injections
+     * @param {Map<string, string>} results - addonId -> output
+     */
+    setPreGenerationResults(results) {
+        this.preGenerationResults = results instanceof Map ? results : new Map();
+        this.sync();
+    }
+
+    /**
+     * Set (or clear) the extension prompt of every sidecar that uses prompt injection
+     * Each active sidecar injects its latest output in the open chat (current swipe variants);
+     * pre-generation sidecars inject the output produced for the upcoming reply.
+     */
+    sync() {
+        const ctx = this.getLiveContext();
+        if (typeof ctx?.setExtensionPrompt !== 'function') {
+            return;
+        }
+
+        const chatLog = this.contextBuilder.getChatLog();
+        const keys = new Set();
+        this.addonManager.getActiveAddons()
+            .filter(addon => addon.inlineMode === 'prompt' || addon.phase === 'before')
+            .forEach(addon => {
+                const stored = addon.phase === 'before'
+                    ? { result: this.preGenerationResults.get(addon.id) }
+                    : this.getLatestResult(chatLog, addon.id);
+                const text = this.formatInjection(addon, stored);
+                if (!text) {
+                    return;
+                }
+                const settings = addon.injectionSettings || {};
+                const key = `${this.keyPrefix}${addon.id}`;
+                ctx.setExtensionPrompt(
+                    key,
+                    text,
+                    this.positions[settings.position] ?? this.positions.inChat,
+                    settings.depth ?? 2,
+                    false,
+                    this.roles[settings.role] ?? this.roles.system
+                );
+                keys.add(key);
+            });
+
+        // Clear injections of sidecars that were switched off, went out of scope or have no output here
+        this.activeKeys.forEach(key => {
+            if (!keys.has(key)) {
+                ctx.setExtensionPrompt(key, '', this.positions.inChat, 0);
+            }
+        });
+        this.activeKeys = keys;
+    }
+
+    /**
+     * Newest stored result of a sidecar in the chat
+     */
+    getLatestResult(chatLog, addonId) {
+        for (let i = (chatLog || []).length - 1; i >= 0; i--) {
+            const stored = this.contextBuilder.getStoredResult(chatLog[i], addonId);
+            if (stored) {
+                return stored;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Injection text, in the same [Sidecar:Name] wrapper as the inline projection
+     */
+    formatInjection(addon, stored) {
+        if (!stored || typeof stored.result !== 'string' || !stored.result.trim()) {
+            return '';
+        }
+        let body = stored.result;
+        if (body.length > this.maxLength) {
+            body = body.slice(0, this.maxLength) + '\n\n[Truncated]';
+        }
+        return `[Sidecar:${addon.name}]\n${body}\n[/Sidecar:${addon.name}]`;
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * Anthropic (Claude) provider adapter
+ * Messages API: x-api-key / anthropic-version headers, system prompt as a top-level field,
+ * required max_tokens and the first turn from the user
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class AnthropicAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'anthropic',
+            name: 'Anthropic (Claude)',
+            endpoint: 'https://api.anthropic.com/v1/messages',
+            source: 'claude',
+            secretKey: 'api_key_claude'
+        });
+        this.apiVersion = '2023-06-01';
+        this.defaultMaxTokens = 4096;
+    }
+
+    getHeaders(apiKey) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'anthropic-version': this.apiVersion,
+            // Required for requests straight from the browser
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+        if (apiKey) {
+            headers['x-api-key'] = apiKey;
+        }
+        return headers;
+    }
+
+    buildRequestBody(model, messages, params, stream = false) {
+        const systemText = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+        const chatMessages = messages.filter(message => message.role !== 'system');
+        const body = {
+            model: model,
+            max_tokens: params?.maxTokens ?? this.defaultMaxTokens,
+            messages: chatMessages[0]?.role === 'assistant'
+                ? [{ role: 'user', content: '[Chat start]' }, ...chatMessages]
+                : chatMessages
+        };
+        if (systemText) body.system = systemText;
+        if (typeof params?.temperature === 'number') body.temperature = Math.min(1, params.temperature);
+        if (typeof params?.topP === 'number') body.top_p = params.topP;
+        if (Array.isArray(params?.stop) && params.stop.length > 0) body.stop_sequences = params.stop;
+        if (stream) body.stream = true;
+        return body;
+    }
+
+    extractContent(data) {
+        if (Array.isArray(data?.content)) {
+            return data.content.filter(block => block?.type === 'text').map(block => block.text).join('');
+        }
+        return data?.text || '';
+    }
+
+    extractStreamDelta(data) {
+        return data?.type === 'content_block_delta' ? (data.delta?.text || '') : '';
+    }
+}
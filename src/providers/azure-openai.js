@@ -0,0 +1,53 @@
+/**
+ * Azure OpenAI provider adapter
+ * The API URL is the resource endpoint (https://<resource>.openai.azure.com); requests go to a deployment
+ * with an api-version query parameter and authenticate with the api-key header
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class AzureOpenAIAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'azure',
+            name: 'Azure OpenAI',
+            endpoint: null,
+            source: 'azure_openai',
+            secretKey: 'api_key_azure_openai'
+        });
+        this.defaultApiVersion = '2024-10-21';
+    }
+
+    getResourceUrl(apiUrl = '') {
+        return String(apiUrl || '').trim().replace(/\/+$/, '').replace(/\/openai$/, '');
+    }
+
+    /**
+     * The deployment defaults to the model name when not set
+     */
+    getEndpoint(model, apiUrl = '', stream = false, settings = {}) {
+        const base = this.getResourceUrl(apiUrl);
+        if (!base) {
+            throw new Error(`${this.name} needs the resource URL as API URL`);
+        }
+        const deployment = encodeURIComponent(settings?.deployment || model || '');
+        const apiVersion = encodeURIComponent(settings?.apiVersion || this.defaultApiVersion);
+        return `${base}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
+    }
+
+    getHeaders(apiKey, settings = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers['api-key'] = apiKey;
+        }
+        return headers;
+    }
+
+    getServiceFields(model, apiUrl = '', settings = {}) {
+        return {
+            azure_base_url: this.getResourceUrl(apiUrl),
+            azure_deployment_name: settings?.deployment || model,
+            azure_api_version: settings?.apiVersion || this.defaultApiVersion
+        };
+    }
+}
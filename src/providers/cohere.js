@@ -0,0 +1,42 @@
+/**
+ * Cohere provider adapter
+ * Chat API v2 (/v2/chat): OpenAI-style messages, content blocks in the reply, content-delta stream events
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class CohereAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'cohere',
+            name: 'Cohere',
+            endpoint: 'https://api.cohere.com/v2/chat',
+            source: 'cohere',
+            secretKey: 'api_key_cohere'
+        });
+    }
+
+    buildRequestBody(model, messages, params, stream = false) {
+        const body = { model: model, messages: messages };
+        if (typeof params?.temperature === 'number') body.temperature = params.temperature;
+        if (typeof params?.topP === 'number') body.p = params.topP;
+        if (typeof params?.maxTokens === 'number') body.max_tokens = params.maxTokens;
+        if (Array.isArray(params?.stop) && params.stop.length > 0) body.stop_sequences = params.stop;
+        if (typeof params?.presencePenalty === 'number') body.presence_penalty = params.presencePenalty;
+        if (typeof params?.frequencyPenalty === 'number') body.frequency_penalty = params.frequencyPenalty;
+        if (stream) body.stream = true;
+        return body;
+    }
+
+    extractContent(data) {
+        const content = data?.message?.content;
+        if (Array.isArray(content)) {
+            return content.map(block => block?.text || '').join('');
+        }
+        return data?.text || '';
+    }
+
+    extractStreamDelta(data) {
+        return data?.type === 'content-delta' ? (data.delta?.message?.content?.text || '') : '';
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * Custom OpenAI-compatible endpoint adapter (the sidecar's API URL is required)
+ * Extra headers and body fields from the sidecar's providerSettings are added to every request
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class CustomAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'custom',
+            name: 'Custom (OpenAI Compatible)',
+            endpoint: null,
+            source: 'custom',
+            secretKey: 'api_key_custom'
+        });
+    }
+
+    getHeaders(apiKey, settings = {}) {
+        return { ...super.getHeaders(apiKey), ...(settings?.extraHeaders || {}) };
+    }
+
+    buildRequestBody(model, messages, params, stream = false, settings = {}) {
+        return { ...super.buildRequestBody(model, messages, params, stream), ...(settings?.extraBody || {}) };
+    }
+
+    /**
+     * SillyTavern's custom source takes extra headers / body as YAML (JSON is valid YAML)
+     */
+    getServiceFields(model, apiUrl = '', settings = {}) {
+        const fields = {};
+        if (Object.keys(settings?.extraHeaders || {}).length > 0) {
+            fields.custom_include_headers = JSON.stringify(settings.extraHeaders);
+        }
+        if (Object.keys(settings?.extraBody || {}).length > 0) {
+            fields.custom_include_body = JSON.stringify(settings.extraBody);
+        }
+        return fields;
+    }
+}
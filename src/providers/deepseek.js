@@ -0,0 +1,17 @@
+/**
+ * Deepseek provider adapter (OpenAI-compatible)
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class DeepseekAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'deepseek',
+            name: 'Deepseek',
+            endpoint: 'https://api.deepseek.com/v1/chat/completions',
+            source: 'deepseek',
+            secretKey: 'api_key_deepseek'
+        });
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * Google (Gemini) provider adapter
+ * generateContent API: the model is part of the URL, x-goog-api-key header, contents/parts body
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class GoogleAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'google',
+            name: 'Google (Gemini)',
+            endpoint: 'https://generativelanguage.googleapis.com/v1beta',
+            source: 'makersuite',
+            secretKey: 'api_key_makersuite'
+        });
+    }
+
+    /**
+     * A custom API URL replaces the base (…/v1beta); the model path is always appended
+     */
+    getEndpoint(model, apiUrl = '', stream = false) {
+        const base = (apiUrl || this.endpoint).replace(/\/+$/, '').replace(/\/models$/, '');
+        const name = String(model || '').replace(/^models\//, '');
+        return stream
+            ? `${base}/models/${name}:streamGenerateContent?alt=sse`
+            : `${base}/models/${name}:generateContent`;
+    }
+
+    getHeaders(apiKey) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers['x-goog-api-key'] = apiKey;
+        }
+        return headers;
+    }
+
+    buildRequestBody(model, messages, params, stream = false) {
+        const systemText = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+        const generationConfig = {};
+        if (typeof params?.temperature === 'number') generationConfig.temperature = params.temperature;
+        if (typeof params?.topP === 'number') generationConfig.topP = params.topP;
+        if (typeof params?.maxTokens === 'number') generationConfig.maxOutputTokens = params.maxTokens;
+        if (Array.isArray(params?.stop) && params.stop.length > 0) generationConfig.stopSequences = params.stop;
+        if (typeof params?.presencePenalty === 'number') generationConfig.presencePenalty = params.presencePenalty;
+        if (typeof params?.frequencyPenalty === 'number') generationConfig.frequencyPenalty = params.frequencyPenalty;
+
+        const body = {
+            contents: messages
+                .filter(message => message.role !== 'system')
+                .map(message => ({
+                    role: message.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: message.content }]
+                })),
+            generationConfig: generationConfig
+        };
+        if (systemText) body.systemInstruction = { parts: [{ text: systemText }] };
+        return body;
+    }
+
+    extractContent(data) {
+        return (data?.candidates?.[0]?.content?.parts || []).map(part => part?.text || '').join('');
+    }
+
+    extractStreamDelta(data) {
+        return this.extractContent(data);
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * Groq provider adapter (OpenAI-compatible chat completions)
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class GroqAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'groq',
+            name: 'Groq',
+            endpoint: 'https://api.groq.com/openai/v1/chat/completions',
+            source: 'groq',
+            secretKey: 'api_key_groq'
+        });
+    }
+}
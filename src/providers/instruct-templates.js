@@ -0,0 +1,98 @@
+/**
+ * Instruct templates
+ * Turn a sidecar's chat messages into one prompt string for text completion backends (non-chat models),
+ * with the template's stop strings so the model ends after its own turn
+ */
+
+export class InstructTemplates {
+    constructor() {
+        // Sequence before / after each role's text; `output` is also left open at the end for the model's reply
+        this.templates = {
+            chatml: {
+                name: 'ChatML',
+                system: '<|im_start|>system\n', systemSuffix: '<|im_end|>\n',
+                input: '<|im_start|>user\n', inputSuffix: '<|im_end|>\n',
+                output: '<|im_start|>assistant\n', outputSuffix: '<|im_end|>\n',
+                stop: ['<|im_end|>', '<|im_start|>']
+            },
+            llama3: {
+                name: 'Llama 3',
+                prefix: '<|begin_of_text|>',
+                system: '<|start_header_id|>system<|end_header_id|>\n\n', systemSuffix: '<|eot_id|>',
+                input: '<|start_header_id|>user<|end_header_id|>\n\n', inputSuffix: '<|eot_id|>',
+                output: '<|start_header_id|>assistant<|end_header_id|>\n\n', outputSuffix: '<|eot_id|>',
+                stop: ['<|eot_id|>', '<|start_header_id|>']
+            },
+            mistral: {
+                name: 'Mistral',
+                system: '[INST] ', systemSuffix: ' [/INST]',
+                input: '[INST] ', inputSuffix: ' [/INST]',
+                output: '', outputSuffix: '</s>',
+                stop: ['</s>', '[INST]']
+            },
+            gemma: {
+                name: 'Gemma',
+                system: '<start_of_turn>user\n', systemSuffix: '<end_of_turn>\n', // Gemma has no system role
+                input: '<start_of_turn>user\n', inputSuffix: '<end_of_turn>\n',
+                output: '<start_of_turn>model\n', outputSuffix: '<end_of_turn>\n',
+                stop: ['<end_of_turn>', '<start_of_turn>']
+            },
+            alpaca: {
+                name: 'Alpaca',
+                system: '', systemSuffix: '\n\n',
+                input: '### Instruction:\n', inputSuffix: '\n\n',
+                output: '### Response:\n', outputSuffix: '\n\n',
+                stop: ['### Instruction:', '### Response:']
+            }
+        };
+        this.defaultId = 'chatml';
+    }
+
+    /**
+     * Template by id; 'sillytavern' uses the instruct template selected in SillyTavern (Advanced Formatting)
+     */
+    get(id, context = null) {
+        if (id === 'sillytavern') {
+            return this.fromSillyTavern(context) || this.templates[this.defaultId];
+        }
+        return this.templates[id] || this.templates[this.defaultId];
+    }
+
+    /**
+     * Convert SillyTavern's active instruct settings (power_user.instruct) to a template
+     */
+    fromSillyTavern(context) {
+        const instruct = context?.powerUserSettings?.instruct;
+        if (!instruct || (!instruct.input_sequence && !instruct.output_sequence)) {
+            return null;
+        }
+
+        const wrap = instruct.wrap ? '\n' : '';
+        const sequence = value => (value ? value + wrap : '');
+        const suffix = value => wrap + (value || '');
+        return {
+            name: instruct.preset || 'SillyTavern',
+            system: sequence(instruct.system_sequence || instruct.input_sequence),
+            systemSuffix: suffix(instruct.system_sequence ? instruct.system_suffix : instruct.input_suffix),
+            input: sequence(instruct.input_sequence),
+            inputSuffix: suffix(instruct.input_suffix),
+            output: sequence(instruct.output_sequence),
+            outputSuffix: suffix(instruct.output_suffix),
+            stop: [instruct.stop_sequence, instruct.input_sequence].map(value => String(value || '').trim()).filter(Boolean)
+        };
+    }
+
+    /**
+     * One prompt string ending with an open assistant turn
+     * @param {Array} messages - [{role, content}]
+     */
+    format(messages, template) {
+        const turns = (messages || []).map(message => {
+            const content = String(message?.content || '');
+            if (message?.role === 'system') return template.system + content + template.systemSuffix;
+            if (message?.role === 'assistant') return template.output + content + template.outputSuffix;
+            return template.input + content + template.inputSuffix;
+        });
+        return (template.prefix || '') + turns.join('') + template.output;
+    }
+}
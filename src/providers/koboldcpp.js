@@ -0,0 +1,51 @@
+/**
+ * KoboldCpp adapter
+ * KoboldAI API: /api/v1/generate (results[0].text), /api/extra/generate/stream (SSE `token` events)
+ */
+
+import { TextCompletionAdapter } from './text-completion.js';
+
+export class KoboldCppAdapter extends TextCompletionAdapter {
+    constructor() {
+        super({
+            id: 'koboldcpp',
+            name: 'KoboldCpp',
+            defaultUrl: 'http://127.0.0.1:5001',
+            apiType: 'koboldcpp',
+            secretKey: 'api_key_koboldcpp'
+        });
+    }
+
+    getEndpoint(model, apiUrl = '', stream = false) {
+        const base = this.getBaseUrl(apiUrl).replace(/\/api$/, '');
+        return stream ? `${base}/api/extra/generate/stream` : `${base}/api/v1/generate`;
+    }
+
+    getModelsEndpoint(apiUrl = '') {
+        return `${this.getBaseUrl(apiUrl).replace(/\/api$/, '')}/api/v1/model`;
+    }
+
+    /**
+     * KoboldCpp serves one model ({result: "koboldcpp/<name>"})
+     */
+    parseModels(data) {
+        return super.parseModels(data).map(model => model.replace(/^koboldcpp\//, ''));
+    }
+
+    buildRequestBody(model, prompt, params, stream = false) {
+        const body = { prompt: prompt };
+        if (typeof params?.temperature === 'number') body.temperature = params.temperature;
+        if (typeof params?.topP === 'number') body.top_p = params.topP;
+        if (typeof params?.maxTokens === 'number') body.max_length = params.maxTokens;
+        if (Array.isArray(params?.stop) && params.stop.length > 0) body.stop_sequence = params.stop;
+        return body;
+    }
+
+    extractContent(data) {
+        return data?.results?.[0]?.text ?? data?.choices?.[0]?.text ?? '';
+    }
+
+    extractStreamDelta(data) {
+        return data?.token || '';
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * llama.cpp server adapter
+ * Native /completion endpoint: n_predict for max tokens, `content` in responses and stream events
+ */
+
+import { TextCompletionAdapter } from './text-completion.js';
+
+export class LlamaCppAdapter extends TextCompletionAdapter {
+    constructor() {
+        super({
+            id: 'llamacpp',
+            name: 'llama.cpp',
+            defaultUrl: 'http://127.0.0.1:8080',
+            apiType: 'llamacpp',
+            secretKey: 'api_key_llamacpp'
+        });
+    }
+
+    getEndpoint(model, apiUrl = '', stream = false) {
+        return `${this.getBaseUrl(apiUrl)}/completion`;
+    }
+
+    buildRequestBody(model, prompt, params, stream = false) {
+        const body = {
+            prompt: prompt,
+            cache_prompt: true, // Reuse the server's KV cache for the shared prompt prefix
+            stream: !!stream
+        };
+        if (typeof params?.temperature === 'number') body.temperature = params.temperature;
+        if (typeof params?.topP === 'number') body.top_p = params.topP;
+        if (typeof params?.maxTokens === 'number') body.n_predict = params.maxTokens;
+        if (Array.isArray(params?.stop) && params.stop.length > 0) body.stop = params.stop;
+        if (typeof params?.presencePenalty === 'number') body.presence_penalty = params.presencePenalty;
+        if (typeof params?.frequencyPenalty === 'number') body.frequency_penalty = params.frequencyPenalty;
+        return body;
+    }
+
+    extractContent(data) {
+        return data?.content ?? data?.choices?.[0]?.text ?? '';
+    }
+
+    extractStreamDelta(data) {
+        return data?.content || '';
+    }
+}
@@ -0,0 +1,25 @@
+/**
+ * Mistral AI provider adapter (OpenAI-compatible chat completions)
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class MistralAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'mistral',
+            name: 'Mistral AI',
+            endpoint: 'https://api.mistral.ai/v1/chat/completions',
+            source: 'mistralai',
+            secretKey: 'api_key_mistralai'
+        });
+    }
+
+    /**
+     * Mistral rejects unknown fields such as reasoning_effort
+     */
+    buildSamplingFields(params) {
+        const { reasoning_effort: effort, ...fields } = super.buildSamplingFields(params);
+        return fields;
+    }
+}
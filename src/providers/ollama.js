@@ -0,0 +1,51 @@
+/**
+ * Ollama adapter
+ * Native /api/generate in raw mode (the prompt is already instruct-formatted), sampling under `options`,
+ * newline-delimited JSON when streaming; models from /api/tags
+ */
+
+import { TextCompletionAdapter } from './text-completion.js';
+
+export class OllamaAdapter extends TextCompletionAdapter {
+    constructor() {
+        super({
+            id: 'ollama',
+            name: 'Ollama',
+            defaultUrl: 'http://127.0.0.1:11434',
+            apiType: 'ollama'
+        });
+    }
+
+    getEndpoint(model, apiUrl = '', stream = false) {
+        return `${this.getBaseUrl(apiUrl)}/api/generate`;
+    }
+
+    getModelsEndpoint(apiUrl = '') {
+        return `${this.getBaseUrl(apiUrl)}/api/tags`;
+    }
+
+    buildRequestBody(model, prompt, params, stream = false) {
+        const options = {};
+        if (typeof params?.temperature === 'number') options.temperature = params.temperature;
+        if (typeof params?.topP === 'number') options.top_p = params.topP;
+        if (typeof params?.maxTokens === 'number') options.num_predict = params.maxTokens;
+        if (Array.isArray(params?.stop) && params.stop.length > 0) options.stop = params.stop;
+        if (typeof params?.presencePenalty === 'number') options.presence_penalty = params.presencePenalty;
+        if (typeof params?.frequencyPenalty === 'number') options.frequency_penalty = params.frequencyPenalty;
+        return {
+            model: model,
+            prompt: prompt,
+            raw: true,
+            stream: !!stream, // Ollama streams unless told otherwise
+            options: options
+        };
+    }
+
+    extractContent(data) {
+        return data?.response ?? data?.choices?.[0]?.text ?? '';
+    }
+
+    extractStreamDelta(data) {
+        return data?.response || '';
+    }
+}
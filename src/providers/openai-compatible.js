@@ -0,0 +1,111 @@
+/**
+ * OpenAI-compatible provider adapter
+ * Base for every provider adapter: endpoint, headers, request body, response / stream parsing and errors
+ * for direct API requests (used when SillyTavern's ChatCompletionService isn't available, and for Test Connection).
+ * Providers with another wire format extend this class and override what differs.
+ */
+
+export class OpenAICompatibleAdapter {
+    /**
+     * @param {Object} config
+     * @param {string} config.id - Provider id used in sidecar settings (aiProvider)
+     * @param {string} config.name - Display name
+     * @param {string|null} config.endpoint - Default chat endpoint (null = the sidecar must set an API URL)
+     * @param {string} config.source - SillyTavern chat_completion_source
+     * @param {string|null} config.secretKey - SillyTavern secret key holding the provider's API key
+     */
+    constructor({ id, name, endpoint = null, source = 'openai', secretKey = null }) {
+        this.id = id;
+        this.name = name;
+        this.endpoint = endpoint;
+        this.source = source;
+        this.secretKey = secretKey;
+        this.supportsStreaming = true;
+        this.textCompletion = false; // Takes chat messages; text completion backends take one prompt string
+        this.requiresApiKey = true;
+    }
+
+    /**
+     * URL for a chat request; a sidecar's custom API URL replaces the default endpoint
+     * @param {Object} settings - The sidecar's providerSettings (Azure deployment, extra headers / body)
+     */
+    getEndpoint(model, apiUrl = '', stream = false, settings = {}) {
+        const endpoint = apiUrl || this.endpoint;
+        if (!endpoint) {
+            throw new Error(`${this.name} needs an API URL`);
+        }
+        return endpoint;
+    }
+
+    getHeaders(apiKey, settings = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * Sampling parameters in OpenAI field names (see AIClient.getGenerationParams)
+     */
+    buildSamplingFields(params) {
+        const fields = {};
+        if (typeof params?.temperature === 'number') fields.temperature = params.temperature;
+        if (typeof params?.topP === 'number') fields.top_p = params.topP;
+        if (typeof params?.maxTokens === 'number') fields.max_tokens = params.maxTokens;
+        if (Array.isArray(params?.stop) && params.stop.length > 0) fields.stop = params.stop;
+        if (typeof params?.presencePenalty === 'number') fields.presence_penalty = params.presencePenalty;
+        if (typeof params?.frequencyPenalty === 'number') fields.frequency_penalty = params.frequencyPenalty;
+        if (params?.reasoningEffort) fields.reasoning_effort = params.reasoningEffort;
+        return fields;
+    }
+
+    /**
+     * @param {Array} messages - [{role, content}] including system messages
+     * @param {Object} params - Resolved generation parameters
+     */
+    buildRequestBody(model, messages, params, stream = false, settings = {}) {
+        const body = {
+            model: model,
+            messages: messages,
+            ...this.buildSamplingFields(params)
+        };
+        if (stream) {
+            body.stream = true;
+        }
+        return body;
+    }
+
+    /**
+     * Extra request fields SillyTavern's ChatCompletionService needs for this provider (beyond model / source / URL)
+     */
+    getServiceFields(model, apiUrl = '', settings = {}) {
+        return {};
+    }
+
+    extractContent(data) {
+        return data?.choices?.[0]?.message?.content || data?.content || '';
+    }
+
+    /**
+     * Text delta from one streamed (SSE) event
+     */
+    extractStreamDelta(data) {
+        return data?.choices?.[0]?.delta?.content || '';
+    }
+
+    /**
+     * Readable message from an error response body
+     */
+    parseError(status, text) {
+        let message = text;
+        try {
+            const data = JSON.parse(text);
+            const error = data?.error ?? data;
+            message = error?.message || data?.message || data?.detail || error?.code || (typeof error === 'string' ? error : JSON.stringify(error));
+        } catch (e) {
+            // Not JSON, use as-is
+        }
+        return `API request failed: ${status} ${message || ''}`.trim();
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * OpenAI provider adapter
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class OpenAIAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'openai',
+            name: 'OpenAI',
+            endpoint: 'https://api.openai.com/v1/chat/completions',
+            source: 'openai',
+            secretKey: 'api_key_openai'
+        });
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * OpenRouter provider adapter
+ * OpenAI format plus attribution headers; reasoning effort goes in a reasoning object
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class OpenRouterAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'openrouter',
+            name: 'OpenRouter',
+            endpoint: 'https://openrouter.ai/api/v1/chat/completions',
+            source: 'openrouter',
+            secretKey: 'api_key_openrouter'
+        });
+    }
+
+    getHeaders(apiKey) {
+        return {
+            ...super.getHeaders(apiKey),
+            'HTTP-Referer': (typeof window !== 'undefined' && window.location?.origin) || 'https://github.com/skirianov/sidecar-ai',
+            'X-Title': 'Sidecar AI'
+        };
+    }
+
+    buildSamplingFields(params) {
+        const { reasoning_effort: effort, ...fields } = super.buildSamplingFields(params);
+        if (effort) {
+            fields.reasoning = { effort };
+        }
+        return fields;
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Provider Registry
+ * Adapters by provider id (aiProvider); AIClient looks up endpoints, headers, request bodies
+ * and response parsing here. Adding a provider = one adapter module registered below.
+ * Also holds the instruct templates used to build prompts for text completion (local) backends.
+ */
+
+import { OpenAIAdapter } from './openai.js';
+import { OpenRouterAdapter } from './openrouter.js';
+import { AnthropicAdapter } from './anthropic.js';
+import { GoogleAdapter } from './google.js';
+import { DeepseekAdapter } from './deepseek.js';
+import { CohereAdapter } from './cohere.js';
+import { CustomAdapter } from './custom.js';
+import { MistralAdapter } from './mistral.js';
+import { GroqAdapter } from './groq.js';
+import { XAIAdapter } from './xai.js';
+import { AzureOpenAIAdapter } from './azure-openai.js';
+import { OllamaAdapter } from './ollama.js';
+import { KoboldCppAdapter } from './koboldcpp.js';
+import { LlamaCppAdapter } from './llamacpp.js';
+import { TextGenWebUIAdapter } from './textgen-webui.js';
+import { InstructTemplates } from './instruct-templates.js';
+
+export class ProviderRegistry {
+    constructor() {
+        this.adapters = new Map();
+        // Older / SillyTavern names
+        this.aliases = { claude: 'anthropic', makersuite: 'google', ooba: 'textgenwebui', mistralai: 'mistral', azure_openai: 'azure' };
+        this.instructTemplates = new InstructTemplates();
+        [
+            new OpenAIAdapter(),
+            new OpenRouterAdapter(),
+            new AnthropicAdapter(),
+            new GoogleAdapter(),
+            new DeepseekAdapter(),
+            new CohereAdapter(),
+            new CustomAdapter(),
+            new MistralAdapter(),
+            new GroqAdapter(),
+            new XAIAdapter(),
+            new AzureOpenAIAdapter(),
+            new OllamaAdapter(),
+            new KoboldCppAdapter(),
+            new LlamaCppAdapter(),
+            new TextGenWebUIAdapter()
+        ].forEach(adapter => this.register(adapter));
+    }
+
+    /**
+     * Add or replace an adapter (keyed by adapter.id)
+     */
+    register(adapter) {
+        if (!adapter?.id) {
+            throw new Error('Provider adapter needs an id');
+        }
+        this.adapters.set(adapter.id, adapter);
+    }
+
+    /**
+     * Adapter for a provider id or alias
+     * @returns {Object|null}
+     */
+    get(provider) {
+        const id = String(provider || '').toLowerCase();
+        return this.adapters.get(id) || this.adapters.get(this.aliases[id]) || null;
+    }
+
+    has(provider) {
+        return this.get(provider) !== null;
+    }
+
+    /**
+     * All adapters, in registration order
+     */
+    list() {
+        return [...this.adapters.values()];
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Text completion backend adapter (local servers)
+ * Base for backends that complete one prompt string instead of chat messages; AIClient formats the
+ * messages with an instruct template first. The sidecar's API URL is the server's base URL.
+ * Defaults to the OpenAI completions API (/v1/completions); backends with a native API override it.
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class TextCompletionAdapter extends OpenAICompatibleAdapter {
+    /**
+     * @param {Object} config
+     * @param {string} config.defaultUrl - Server base URL when the sidecar has no API URL
+     * @param {string} config.apiType - SillyTavern text completion api_type (routes requests through SillyTavern's server)
+     */
+    constructor({ id, name, defaultUrl, apiType, secretKey = null }) {
+        super({ id, name, endpoint: defaultUrl, source: 'textgenerationwebui', secretKey });
+        this.apiType = apiType;
+        this.textCompletion = true;
+        this.requiresApiKey = false; // Local servers usually run without one
+    }
+
+    /**
+     * Server base URL (trailing slash and /v1 removed, so either form can be entered)
+     */
+    getBaseUrl(apiUrl = '') {
+        return String(apiUrl || this.endpoint).trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+    }
+
+    getEndpoint(model, apiUrl = '', stream = false) {
+        return `${this.getBaseUrl(apiUrl)}/v1/completions`;
+    }
+
+    getModelsEndpoint(apiUrl = '') {
+        return `${this.getBaseUrl(apiUrl)}/v1/models`;
+    }
+
+    /**
+     * Model ids from a model list response (OpenAI list, Ollama tags, or a single loaded model)
+     * @returns {string[]}
+     */
+    parseModels(data) {
+        const list = Array.isArray(data) ? data : (data?.data || data?.models || data?.model_names || []);
+        const models = (Array.isArray(list) ? list : [])
+            .map(model => (typeof model === 'string' ? model : (model?.id || model?.name || model?.model)))
+            .filter(Boolean);
+        if (models.length === 0 && typeof data?.result === 'string' && data.result) {
+            return [data.result];
+        }
+        return models;
+    }
+
+    /**
+     * @param {string} prompt - Instruct-formatted prompt
+     * @param {Object} params - Resolved generation parameters (stop includes the template's stop strings)
+     */
+    buildRequestBody(model, prompt, params, stream = false) {
+        const body = {
+            model: model,
+            prompt: prompt,
+            ...this.buildSamplingFields(params)
+        };
+        delete body.reasoning_effort;
+        if (stream) {
+            body.stream = true;
+        }
+        return body;
+    }
+
+    extractContent(data) {
+        return data?.choices?.[0]?.text ?? data?.content ?? '';
+    }
+
+    extractStreamDelta(data) {
+        return data?.choices?.[0]?.text || '';
+    }
+}
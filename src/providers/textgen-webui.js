@@ -0,0 +1,17 @@
+/**
+ * text-generation-webui (oobabooga) adapter: OpenAI completions API on the local server
+ */
+
+import { TextCompletionAdapter } from './text-completion.js';
+
+export class TextGenWebUIAdapter extends TextCompletionAdapter {
+    constructor() {
+        super({
+            id: 'textgenwebui',
+            name: 'text-generation-webui',
+            defaultUrl: 'http://127.0.0.1:5000',
+            apiType: 'ooba',
+            secretKey: 'api_key_ooba'
+        });
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * xAI (Grok) provider adapter (OpenAI-compatible chat completions)
+ */
+
+import { OpenAICompatibleAdapter } from './openai-compatible.js';
+
+export class XAIAdapter extends OpenAICompatibleAdapter {
+    constructor() {
+        super({
+            id: 'xai',
+            name: 'xAI (Grok)',
+            endpoint: 'https://api.x.ai/v1/chat/completions',
+            source: 'xai',
+            secretKey: 'api_key_xai'
+        });
+    }
+}
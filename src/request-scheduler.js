@@ -0,0 +1,252 @@
+/**
+ * Request Scheduler
+ * Central queue for sidecar AI requests: per-provider concurrency caps, token-bucket rate limits,
+ * pauses from Retry-After and priorities (manual runs ahead of auto runs)
+ * Limits are kept in extension settings (addOnsExtension.requestQueue.limits), keyed by provider
+ * ('openrouter', 'profile:<id>' for Connection Manager profiles) with '*' as the default
+ */
+
+export class RequestScheduler {
+    constructor(context, addonManager) {
+        this.context = context;
+        this.addonManager = addonManager; // Owns the extension settings object
+        this.priorities = { high: 0, normal: 1 }; // Lower runs first
+        this.defaultLimits = { concurrency: 3, requestsPerMinute: 0 }; // 0 = no rate limit
+        this.buckets = new Map(); // key -> {active, queue, tokens, refilledAt, pausedUntil, timer}
+        this.listeners = new Set(); // Notified when any queue changes (settings panel status)
+    }
+
+    /**
+     * Queue settings (created on first access): {limits: {"<key>": {concurrency, requestsPerMinute}}}
+     */
+    getSettings() {
+        const root = this.addonManager.getExtensionSettings();
+        if (!root.requestQueue || typeof root.requestQueue !== 'object') {
+            root.requestQueue = {};
+        }
+        if (!root.requestQueue.limits || typeof root.requestQueue.limits !== 'object') {
+            root.requestQueue.limits = { '*': { ...this.defaultLimits } };
+        }
+        return root.requestQueue;
+    }
+
+    /**
+     * Persist queue settings
+     */
+    save() {
+        this.addonManager.saveExtensionSettings();
+    }
+
+    /**
+     * Queue key for an add-on: its Connection Manager profile, or its provider
+     */
+    getKey(addon) {
+        return addon?.connectionProfileId ? `profile:${addon.connectionProfileId}` : (addon?.aiProvider || 'openai');
+    }
+
+    /**
+     * Limits for a queue key (its own entry, else the '*' default)
+     * @returns {{concurrency: number, requestsPerMinute: number}}
+     */
+    getLimits(key) {
+        const limits = this.getSettings().limits;
+        const entry = limits[key] || limits['*'] || this.defaultLimits;
+        return {
+            concurrency: Math.max(1, parseInt(entry.concurrency) || this.defaultLimits.concurrency),
+            requestsPerMinute: Math.max(0, parseInt(entry.requestsPerMinute) || 0)
+        };
+    }
+
+    getBucket(key) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, { active: 0, queue: [], tokens: null, refilledAt: Date.now(), pausedUntil: 0, timer: null });
+        }
+        return this.buckets.get(key);
+    }
+
+    /**
+     * Wait for a free slot and a rate-limit token in a queue
+     * @param {string} key - Queue key (see getKey)
+     * @param {Object} options - {priority: 'high'|'normal', signal: AbortSignal, onQueue: (position) => void}
+     *   onQueue receives the 1-based position while waiting and 0 once the request starts
+     * @returns {Promise<Function>} Releases the slot; call it when the request settles
+     */
+    acquire(key, options = {}) {
+        const bucket = this.getBucket(key);
+        const signal = options.signal || null;
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+
+            const job = {
+                priority: this.priorities[options.priority] ?? this.priorities.normal,
+                resolve,
+                reject,
+                onQueue: typeof options.onQueue === 'function' ? options.onQueue : null,
+                position: null
+            };
+
+            // Cancelled while waiting: leave the queue without running
+            if (signal) {
+                job.onAbort = () => {
+                    const index = bucket.queue.indexOf(job);
+                    if (index >= 0) {
+                        bucket.queue.splice(index, 1);
+                        reject(this.createAbortError());
+                        this.updatePositions(key);
+                    }
+                };
+                signal.addEventListener('abort', job.onAbort, { once: true });
+                job.signal = signal;
+            }
+
+            // Stable order: priority first, then arrival
+            const index = bucket.queue.findIndex(queued => queued.priority > job.priority);
+            bucket.queue.splice(index < 0 ? bucket.queue.length : index, 0, job);
+            this.dispatch(key);
+        });
+    }
+
+    /**
+     * Start as many queued requests as the limits allow; wake up later when waiting on a token or a pause
+     */
+    dispatch(key) {
+        const bucket = this.getBucket(key);
+        const limits = this.getLimits(key);
+        if (bucket.timer) {
+            clearTimeout(bucket.timer);
+            bucket.timer = null;
+        }
+
+        while (bucket.queue.length > 0 && bucket.active < limits.concurrency) {
+            const wait = this.getWait(bucket, limits);
+            if (wait > 0) {
+                bucket.timer = setTimeout(() => {
+                    bucket.timer = null;
+                    this.dispatch(key);
+                }, wait);
+                break;
+            }
+            if (limits.requestsPerMinute > 0) {
+                bucket.tokens -= 1;
+            }
+            this.start(key, bucket, bucket.queue.shift());
+        }
+
+        this.updatePositions(key);
+    }
+
+    /**
+     * Milliseconds until the next request may start (0 = now)
+     */
+    getWait(bucket, limits) {
+        const now = Date.now();
+        if (bucket.pausedUntil > now) {
+            return bucket.pausedUntil - now;
+        }
+        if (limits.requestsPerMinute === 0) {
+            return 0;
+        }
+
+        // Token bucket: holds up to one minute of requests, refilled continuously
+        const perMs = limits.requestsPerMinute / 60000;
+        if (bucket.tokens === null) {
+            bucket.tokens = limits.requestsPerMinute;
+        }
+        bucket.tokens = Math.min(limits.requestsPerMinute, bucket.tokens + (now - bucket.refilledAt) * perMs);
+        bucket.refilledAt = now;
+        return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / perMs);
+    }
+
+    start(key, bucket, job) {
+        bucket.active++;
+        if (job.signal) {
+            job.signal.removeEventListener('abort', job.onAbort);
+        }
+        try {
+            job.onQueue?.(0);
+        } catch (error) {
+            // Position updates are best-effort
+        }
+
+        let released = false;
+        job.resolve(() => {
+            if (!released) {
+                released = true;
+                bucket.active--;
+                this.dispatch(key);
+            }
+        });
+    }
+
+    /**
+     * Tell waiting requests their new position
+     */
+    updatePositions(key) {
+        const bucket = this.getBucket(key);
+        bucket.queue.forEach((job, index) => {
+            if (job.position !== index + 1) {
+                job.position = index + 1;
+                try {
+                    job.onQueue?.(job.position);
+                } catch (error) {
+                    // Position updates are best-effort
+                }
+            }
+        });
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                // Status listeners are best-effort
+            }
+        });
+    }
+
+    /**
+     * Hold a queue after a rate-limit response (Retry-After); requests already running are not affected
+     * @param {number} ms - Pause length
+     */
+    pause(key, ms) {
+        const bucket = this.getBucket(key);
+        bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+        bucket.tokens = bucket.tokens === null ? null : 0;
+        console.log(`[Sidecar AI] Request queue ${key} paused for ${Math.round(ms / 100) / 10}s (rate limited)`);
+        this.dispatch(key);
+    }
+
+    /**
+     * Running / waiting requests per queue, for the settings panel
+     * @returns {Array<{key: string, active: number, queued: number, pausedFor: number, concurrency: number, requestsPerMinute: number}>}
+     */
+    getStatus() {
+        const now = Date.now();
+        return [...this.buckets.entries()]
+            .filter(([, bucket]) => bucket.active > 0 || bucket.queue.length > 0 || bucket.pausedUntil > now)
+            .map(([key, bucket]) => ({
+                key,
+                active: bucket.active,
+                queued: bucket.queue.length,
+                pausedFor: Math.max(0, bucket.pausedUntil - now),
+                ...this.getLimits(key)
+            }));
+    }
+
+    /**
+     * Subscribe to queue changes
+     * @returns {Function} Unsubscribe
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    createAbortError() {
+        const error = new Error('Request cancelled while queued');
+        error.name = 'AbortError';
+        return error;
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * Response Cache
+ * Opt-in local cache of sidecar responses in IndexedDB, keyed by a hash of provider, model,
+ * generation params and the final prompt. Entries expire after a TTL and the oldest are dropped past a size cap.
+ * Settings are kept in extension settings (addOnsExtension.responseCache)
+ */
+
+export class ResponseCache {
+    constructor(context, addonManager) {
+        this.context = context;
+        this.addonManager = addonManager; // Owns the extension settings object
+        this.dbName = 'sidecar-ai-cache';
+        this.storeName = 'responses';
+        this.defaults = { enabled: false, ttlHours: 24, maxEntries: 500 };
+        this._db = null; // Promise<IDBDatabase|null>, opened on first use
+    }
+
+    /**
+     * Cache settings (created on first access): {enabled, ttlHours, maxEntries}
+     */
+    getSettings() {
+        const root = this.addonManager.getExtensionSettings();
+        if (!root.responseCache || typeof root.responseCache !== 'object') {
+            root.responseCache = { ...this.defaults };
+        }
+        const settings = root.responseCache;
+        settings.enabled = settings.enabled === true;
+        settings.ttlHours = Math.max(0, Number(settings.ttlHours) || 0); // 0 = never expires
+        settings.maxEntries = Math.max(1, parseInt(settings.maxEntries) || this.defaults.maxEntries);
+        return settings;
+    }
+
+    /**
+     * Persist cache settings
+     */
+    save() {
+        this.addonManager.saveExtensionSettings();
+    }
+
+    isEnabled() {
+        return this.getSettings().enabled && typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (or create) the cache database; resolves to null where IndexedDB is unavailable
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (this._db) {
+            return this._db;
+        }
+        this._db = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                store.createIndex('createdAt', 'createdAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('[Sidecar AI] Response cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+        return this._db;
+    }
+
+    /**
+     * Run one transaction on the store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - (store) => IDBRequest|undefined; the request's result is returned
+     */
+    async run(mode, work) {
+        const db = await this.open();
+        if (!db) {
+            return null;
+        }
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = work(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Cache key for a request: SHA-256 of its parts (a 53-bit hash where crypto.subtle is unavailable, e.g. plain http)
+     * @param {Object} parts - Everything that changes the response (provider, model, params, messages...)
+     * @returns {Promise<string>}
+     */
+    async getKey(parts) {
+        const text = JSON.stringify(parts);
+        if (globalThis.crypto?.subtle) {
+            const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+            return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+
+        // cyrb53
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+    }
+
+    /**
+     * Cached entry for a key, or null when missing or expired (expired entries are removed)
+     * @returns {Promise<{key: string, result: string, source: Object, createdAt: number}|null>}
+     */
+    async get(key) {
+        try {
+            const entry = await this.run('readonly', store => store.get(key));
+            if (!entry) {
+                return null;
+            }
+            if (this.isExpired(entry)) {
+                await this.run('readwrite', store => store.delete(key));
+                return null;
+            }
+            return entry;
+        } catch (error) {
+            console.warn('[Sidecar AI] Response cache read failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a response, then drop expired entries and the oldest ones past maxEntries
+     * @param {string} key
+     * @param {{result: string, source: Object}} value
+     */
+    async set(key, value) {
+        try {
+            await this.run('readwrite', store => store.put({ ...value, key, createdAt: Date.now() }));
+            await this.prune();
+        } catch (error) {
+            console.warn('[Sidecar AI] Response cache write failed:', error);
+        }
+    }
+
+    isExpired(entry) {
+        const ttlHours = this.getSettings().ttlHours;
+        return ttlHours > 0 && Date.now() - (entry.createdAt || 0) > ttlHours * 3600000;
+    }
+
+    /**
+     * Remove expired entries and keep at most maxEntries (newest first)
+     */
+    async prune() {
+        const { maxEntries } = this.getSettings();
+        const total = await this.count();
+        let excess = total - maxEntries;
+
+        await this.run('readwrite', store => {
+            // Oldest first
+            const cursorRequest = store.index('createdAt').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) {
+                    return;
+                }
+                if (excess > 0 || this.isExpired(cursor.value)) {
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    /**
+     * Number of stored entries
+     * @returns {Promise<number>}
+     */
+    async count() {
+        try {
+            return (await this.run('readonly', store => store.count())) || 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Delete every cached response
+     */
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+        console.log('[Sidecar AI] Response cache cleared');
+    }
+}
@@ -32,6 +32,9 @@ export class ResultFormatter {
         // Performance: Restoration debouncing and processing flag
         this._restoreBlocksTimeout = null;
         this._isRestoringBlocks = false;
+
+        // Streaming: latest partial text per card, rendered at most once per frame
+        this._streamingBuffers = new Map(); // Key: `${messageId}:${addonId}`, Value: { addon, text, scheduled }
     }
 
     /**
@@ -134,6 +137,10 @@ export class ResultFormatter {
         // Link tags (specific pattern)
         this._stylesheetLink = /<link[^>]*rel\s*=\s*["']stylesheet["'][^>]*>/gi;
 
+        // Partial (streaming) content patterns
+        this._partialTagTail = /<(?:\/?[a-zA-Z]|!)[^>]*$/; // Unfinished tag or comment, not a bare "<" in prose
+        this._dangerousTagOpen = /<(iframe|embed|object|script|style)\b/gi;
+
         // Event handler patterns
         this._eventHandlerQuoted = /\son\w+\s*=\s*["'][^"']*["']/gi;
         this._eventHandlerUnquoted = /\son\w+\s*=\s*[^>\s]+/gi;
@@ -151,6 +158,12 @@ export class ResultFormatter {
      * @param {boolean} forDropdown - Whether this is for dropdown injection (no extra wrapping needed)
      */
     formatResult(addon, aiResponse, originalMessage = null, forDropdown = false) {
+        // Rewrite results are stored as the rewritten text; the card shows the diff instead
+        const rewrite = addon?.responseLocation === 'rewrite' ? this.getRewriteRecord(originalMessage, addon.id) : null;
+        if (rewrite && String(aiResponse || '').trim() === rewrite.rewritten) {
+            aiResponse = this.formatRewriteCard(rewrite);
+        }
+
         // CRITICAL: Sanitize AI response before any processing
         let sanitized = this.sanitizeContent(aiResponse);
         let formatted = sanitized;
@@ -287,6 +300,28 @@ export class ResultFormatter {
         return sanitized;
     }
 
+    /**
+     * Sanitize a partial (still streaming) response
+     * Drops a trailing half-written tag and anything after an unclosed dangerous tag,
+     * then runs the regular sanitizer (DOMPurify closes any open elements).
+     */
+    sanitizePartialContent(partial) {
+        if (typeof partial !== 'string') {
+            return '';
+        }
+
+        let safe = partial.replace(this._partialTagTail, '');
+
+        // Cut from the last dangerous opening tag if its closing tag hasn't arrived yet
+        const openings = [...safe.matchAll(this._dangerousTagOpen)];
+        const last = openings[openings.length - 1];
+        if (last && !new RegExp(`</${last[1]}\\s*>`, 'i').test(safe.slice(last.index))) {
+            safe = safe.slice(0, last.index);
+        }
+
+        return this.cleanResponseForDropdown(this.sanitizeContent(safe));
+    }
+
     /**
      * Get brightness from hex color (cached)
      */
@@ -489,6 +524,26 @@ export class ResultFormatter {
         return `\n\n<details>\n<summary><strong>${addon.name}</strong></summary>\n<div>\n${response}\n</div>\n</details>`;
     }
 
+    /**
+     * Combine per-member outputs (group chats) into one result, one headed section per character
+     * @param {Object} addon - The add-on configuration
+     * @param {Array<{name: string, output: string|null, error: string|null}>} sections - One entry per member
+     */
+    combineMemberResults(addon, sections) {
+        const useHtml = (addon.formatStyle || 'html-css') !== 'markdown';
+        // Error text can be a whole HTML error page, and names are user-set: show both as text (markdown renders raw HTML too)
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return sections.map(section => {
+            const error = section.error || 'request failed';
+            if (useHtml) {
+                const body = section.output ?? `<em class="sidecar-member-error">No output: ${escape(error)}</em>`;
+                return `<h4 class="sidecar-member-heading">${escape(section.name)}</h4>\n${body}`;
+            }
+            const body = section.output ?? `_(No output: ${escape(error)})_`;
+            return `### ${escape(section.name).replace(/\s+/g, ' ')}\n\n${body}`;
+        }).join('\n\n');
+    }
+
     /**
      * Inject result into chat history as HTML comment
      */
@@ -571,6 +626,52 @@ export class ResultFormatter {
         }
     }
 
+    /**
+     * Add a note under an add-on's loading indicator (e.g. which context sections were trimmed)
+     */
+    setLoadingNote(messageId, addon, note) {
+        try {
+            const messageElement = this.findMessageElement(messageId) || this.findAIMessageElement();
+            const loading = messageElement?.querySelector?.(`.sidecar-loading-${addon.id}`) ||
+                messageElement?.querySelector?.(`.addon_section-${addon.id} .addon_result_loading`) ||
+                null;
+            if (!loading) return;
+
+            let noteElement = loading.querySelector('.sidecar-loading-note');
+            if (!noteElement) {
+                noteElement = document.createElement('small');
+                noteElement.className = 'sidecar-loading-note';
+                loading.appendChild(noteElement);
+            }
+            noteElement.textContent = note;
+        } catch (e) {
+            // No-op: loading UI is best-effort
+        }
+    }
+
+    /**
+     * Show an add-on's place in the request queue on its loading indicator ("Queued (3rd)")
+     * @param {number} position - 1-based queue position, 0 once the request is sent
+     */
+    setLoadingQueuePosition(messageId, addon, position) {
+        try {
+            const messageElement = this.findMessageElement(messageId) || this.findAIMessageElement();
+            const label = messageElement?.querySelector?.(`.sidecar-loading-${addon.id} > span`) ||
+                messageElement?.querySelector?.(`.addon_section-${addon.id} .addon_result_loading > span`) ||
+                null;
+            if (!label) return;
+
+            if (position > 0) {
+                const suffix = [11, 12, 13].includes(position % 100) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[position % 10] || 'th');
+                label.textContent = `${addon.name}: queued (${position}${suffix})`;
+            } else {
+                label.textContent = `Processing ${addon.name}...`;
+            }
+        } catch (e) {
+            // No-op: loading UI is best-effort
+        }
+    }
+
     /**
      * Put a loading placeholder into an existing addon section content area.
      * This prevents a blank container during regen.
@@ -587,11 +688,34 @@ export class ResultFormatter {
                     <span>Processing ${addon?.name || 'Sidecar'}...</span>
                 </div>
             `;
+            const messageId = addonSection.closest?.('.mes')?.getAttribute('mesid');
+            if (addon && messageId !== null && messageId !== undefined) {
+                content.querySelector('.addon_result_loading')?.appendChild(this.createStopButton(addon, messageId));
+            }
         } catch (e) {
             // No-op: loading UI is best-effort
         }
     }
 
+    /**
+     * Stop button for a loading card (cancels the sidecar's in-flight or queued request)
+     */
+    createStopButton(addon, messageId) {
+        const stopBtn = document.createElement('button');
+        stopBtn.className = 'menu_button sidecar-loading-stop';
+        stopBtn.innerHTML = '<i class="fa-solid fa-stop"></i>';
+        stopBtn.title = `Stop ${addon.name}`;
+
+        stopBtn.onclick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (window.addOnsExtension && window.addOnsExtension.cancelAddon) {
+                window.addOnsExtension.cancelAddon(addon.id, messageId);
+            }
+        };
+        return stopBtn;
+    }
+
     /**
      * Attach loading indicator to a specific message element
      */
@@ -633,6 +757,7 @@ export class ResultFormatter {
                 <i class="fa-solid fa-spinner fa-spin"></i>
                 <span>Processing ${addon.name}...</span>
             `;
+            loadingDiv.appendChild(this.createStopButton(addon, elementId));
             sidecarContainer.appendChild(loadingDiv);
         }
 
@@ -740,6 +865,12 @@ export class ResultFormatter {
      * CRITICAL: Only attaches to AI messages, not user messages
      */
     showErrorIndicator(messageId, addon, error) {
+        // Stopped by the user or because the message went away: not an error
+        if (error?.name === 'AbortError') {
+            this.showCancelledResult(messageId, addon);
+            return;
+        }
+
         try {
             // Prefer attaching to the specific message referenced by SillyTavern (chat index / mesid)
             const messageElement = this.findMessageElement(messageId) || this.findAIMessageElement();
@@ -824,6 +955,45 @@ export class ResultFormatter {
         }
     }
 
+    /**
+     * After a cancelled run, put the sidecar's previous result for this message back
+     */
+    showCancelledResult(messageId, addon) {
+        console.log(`[Sidecar AI] ${addon.name} was stopped`);
+        this.restoreStoredResult(messageId, addon);
+    }
+
+    /**
+     * Show the sidecar's saved result for this message again when its card is empty or gone
+     * (a regenerate placeholder or an interrupted stream leaves it that way)
+     */
+    restoreStoredResult(messageId, addon) {
+        try {
+            const messageElement = this.findMessageElement(messageId);
+            const message = this.findMessageObject(messageId);
+            if (!messageElement || !message || addon.responseLocation === 'chatHistory') {
+                return;
+            }
+
+            const section = messageElement.querySelector(`.addon_section-${addon.id}`);
+            if (section?.querySelector('.addon_result_item')) {
+                return;
+            }
+            const swipeId = message.swipe_id ?? 0;
+            const stored = (message.swipe_info?.[swipeId]?.extra?.sidecarResults || message.extra?.sidecarResults)?.[addon.id];
+            if (stored?.result) {
+                const formatted = this.formatResult(addon, stored.result, message, true);
+                if (this.injectIntoDropdown(addon, formatted, messageId, messageElement)) {
+                    this.markCachedResult(messageId, addon, stored.source, messageElement);
+                }
+            } else {
+                section?.remove();
+            }
+        } catch (error) {
+            console.error(`[Sidecar AI] Error restoring saved result:`, error);
+        }
+    }
+
     /**
      * Inject result into dropdown UI (inside chat, after message)
      */
@@ -963,7 +1133,24 @@ export class ResultFormatter {
                     });
                 };
 
-                actionsDiv.appendChild(editBtn);
+                // Rewrite cards show a diff (nothing to edit) and can undo the rewrite
+                if (addon.responseLocation === 'rewrite') {
+                    const revertBtn = document.createElement('button');
+                    revertBtn.innerHTML = '<i class="fa-solid fa-rotate-left"></i>';
+                    revertBtn.className = 'menu_button';
+                    revertBtn.title = 'Revert Rewrite';
+
+                    revertBtn.onclick = (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        if (window.addOnsExtension && window.addOnsExtension.revertRewrite) {
+                            window.addOnsExtension.revertRewrite(addon.id, messageId);
+                        }
+                    };
+                    actionsDiv.appendChild(revertBtn);
+                } else {
+                    actionsDiv.appendChild(editBtn);
+                }
                 actionsDiv.appendChild(copyBtn);
                 summary.appendChild(actionsDiv);
 
@@ -1000,6 +1187,7 @@ export class ResultFormatter {
                 // Auto-expand
                 addonSection.open = true;
             }
+            addonSection.classList.remove('addon_result_streaming');
 
             console.log(`[Sidecar AI] Injected result into dropdown for: ${addon.name}`);
             return true;
@@ -1009,6 +1197,140 @@ export class ResultFormatter {
         }
     }
 
+    /**
+     * Mark a card whose result came from the response cache, with a button to fetch a fresh response
+     * @param {Object|null} source - Stored/reported source of the result ({cached: true, cachedAt} for cache hits)
+     */
+    markCachedResult(messageId, addon, source, messageElement = null) {
+        if (!source?.cached) {
+            return;
+        }
+        const addonSection = (messageElement || this.findMessageElement(messageId))?.querySelector?.(`.addon_section-${addon.id}`);
+        if (!addonSection) {
+            return;
+        }
+
+        const timestamp = addonSection.querySelector('.addon_result_timestamp');
+        if (timestamp) {
+            timestamp.classList.add('addon_result_cached');
+            timestamp.textContent = `Cached result (from ${new Date(source.cachedAt || Date.now()).toLocaleString()})`;
+        }
+
+        const actionsDiv = addonSection.querySelector('.addon_result_actions');
+        if (actionsDiv && !actionsDiv.querySelector('.addon_result_fresh')) {
+            const freshBtn = document.createElement('button');
+            freshBtn.innerHTML = '<i class="fa-solid fa-bolt"></i>';
+            freshBtn.className = 'menu_button addon_result_fresh';
+            freshBtn.title = 'Regenerate without Cache';
+
+            freshBtn.onclick = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                if (window.addOnsExtension && window.addOnsExtension.retryAddon) {
+                    this.setAddonSectionLoading(addonSection, addon);
+                    window.addOnsExtension.retryAddon(addon.id, messageId, { fresh: true });
+                }
+            };
+            actionsDiv.insertBefore(freshBtn, actionsDiv.firstChild.nextSibling);
+        }
+    }
+
+    /**
+     * Render partial streamed text into the add-on's card
+     * Updates are coalesced to one render per animation frame. Nothing is persisted here;
+     * the final text goes through injectResult/saveResultToMetadata once the stream completes.
+     * @param {Object} addon - The add-on configuration
+     * @param {string} partialText - Accumulated text received so far
+     * @param {string|number} messageId - Message (chat index) the card belongs to
+     */
+    updateStreamingResult(addon, partialText, messageId) {
+        const key = `${messageId}:${addon.id}`;
+        const entry = this._streamingBuffers.get(key) || { addon, text: '', scheduled: false };
+        entry.text = partialText;
+        this._streamingBuffers.set(key, entry);
+
+        if (entry.scheduled) {
+            return;
+        }
+        entry.scheduled = true;
+
+        const schedule = (typeof requestAnimationFrame === 'function')
+            ? requestAnimationFrame
+            : (fn) => setTimeout(fn, 50);
+
+        schedule(() => {
+            // Stream may have finished (or failed) before this frame
+            if (this._streamingBuffers.get(key) !== entry) {
+                return;
+            }
+            entry.scheduled = false;
+            this.renderStreamingResult(entry.addon, entry.text, messageId);
+        });
+    }
+
+    /**
+     * Write the current partial text into the card (creates the card on first chunk)
+     */
+    renderStreamingResult(addon, partialText, messageId) {
+        try {
+            const html = this.sanitizePartialContent(partialText);
+            if (!html) {
+                return;
+            }
+
+            const messageElement = this.findMessageElement(messageId);
+            let addonSection = messageElement?.querySelector?.(`.addon_section-${addon.id}`) || null;
+            let resultItem = addonSection?.classList.contains('addon_result_streaming')
+                ? addonSection.querySelector('.addon_result_item')
+                : null;
+
+            if (!resultItem) {
+                // First chunk: swap the spinner for a real card
+                this.hideLoadingIndicator(messageId, addon);
+                if (!this.injectIntoDropdown(addon, html, messageId, messageElement)) {
+                    return;
+                }
+                addonSection = (messageElement || this.findMessageElement(messageId))
+                    ?.querySelector?.(`.addon_section-${addon.id}`) || null;
+                addonSection?.classList.add('addon_result_streaming');
+                const timestamp = addonSection?.querySelector('.addon_result_timestamp');
+                if (timestamp) {
+                    timestamp.textContent = 'Streaming...';
+                }
+                return;
+            }
+
+            const timestamp = resultItem.querySelector('.addon_result_timestamp');
+            resultItem.innerHTML = html;
+            if (timestamp) {
+                resultItem.appendChild(timestamp);
+            }
+        } catch (error) {
+            console.error(`[Sidecar AI] Error rendering streamed result:`, error);
+        }
+    }
+
+    /**
+     * Stop rendering partial text for a card (call before injecting the final result or an error)
+     * @param {boolean} interrupted - Drop the half-filled card (it was never saved)
+     */
+    finishStreamingResult(addon, messageId, interrupted = false) {
+        const key = `${messageId}:${addon.id}`;
+        if (!this._streamingBuffers.has(key)) {
+            return;
+        }
+        this._streamingBuffers.delete(key);
+
+        if (interrupted) {
+            // Drop the half-filled card; a result saved before this run comes back in its place
+            const section = this.findMessageElement(messageId)?.querySelector?.(`.addon_section-${addon.id}.addon_result_streaming`);
+            if (section) {
+                section.remove();
+                this.restoreStoredResult(messageId, addon);
+            }
+        }
+    }
+
     /**
      * Toggle edit mode for a result in dropdown
      */
@@ -1148,7 +1470,7 @@ export class ResultFormatter {
      * Save result to message.extra metadata (SillyTavern's clean metadata field)
      * This keeps results out of message.mes, preventing context pollution
      */
-    saveResultToMetadata(message, addon, result) {
+    saveResultToMetadata(message, addon, result, usage = null, source = null) {
         if (!message || !addon || !result) {
             console.warn('[Sidecar AI] Cannot save metadata: missing required parameters');
             return false;
@@ -1189,7 +1511,9 @@ export class ResultFormatter {
                 addonName: addon.name,
                 timestamp: Date.now(),
                 formatStyle: addon.formatStyle || 'html-css',
-                inlineMode: addon.inlineMode || 'off'
+                inlineMode: addon.inlineMode || 'off',
+                usage: usage || null, // {promptTokens, completionTokens, estimated, model, cost}
+                source: source || null // {provider, model, profileId, fallbackIndex} of the model that answered
             };
 
             // Also update message.extra for backward compatibility and immediate access
@@ -1419,7 +1743,8 @@ export class ResultFormatter {
             // Collect inline-enabled results for this swipe variant.
             const inlineEntries = Object.entries(sidecarResults || {})
                 .map(([id, stored]) => ({ id, stored }))
-                .filter(({ stored }) => stored && typeof stored === 'object' && (stored.inlineMode && stored.inlineMode !== 'off') && typeof stored.result === 'string' && stored.result.length > 0);
+                // 'prompt' results reach the main AI through PromptInjector and leave message text alone
+                .filter(({ stored }) => stored && typeof stored === 'object' && ['append', 'replaceBlock'].includes(stored.inlineMode) && typeof stored.result === 'string' && stored.result.length > 0);
 
             // Build inline region (bounded and replaceable).
             let inlineRegion = '';
@@ -1465,6 +1790,283 @@ export class ResultFormatter {
         }
     }
 
+    /**
+     * Stop projecting an add-on's earlier results into the main AI's context
+     * Used by memory sidecars, whose newest result already contains the older ones.
+     * @param {Object|null} exceptMessage - Message that keeps its projection (the one being updated)
+     */
+    clearInlineProjection(chatLog, addonId, exceptMessage = null) {
+        (chatLog || []).forEach(message => {
+            if (!message || message === exceptMessage || message.is_user) {
+                return;
+            }
+            const swipeId = message.swipe_id ?? 0;
+            const stored = message.swipe_info?.[swipeId]?.extra?.sidecarResults?.[addonId];
+            if (!stored || !stored.inlineMode || stored.inlineMode === 'off') {
+                return;
+            }
+            stored.inlineMode = 'off';
+            if (message.extra?.sidecarResults?.[addonId]) {
+                message.extra.sidecarResults[addonId].inlineMode = 'off';
+            }
+            this.applyInlineSidecarResultsToMessage(message);
+        });
+    }
+
+    /**
+     * Rewrite location: replace the message text with the sidecar output, or add it as a new swipe
+     * The text before the rewrite is kept in the variant's metadata (extra.sidecarRewrites[addonId]) for revert.
+     * @returns {Object|null} Rewrite record {addonId, addonName, mode, original, rewritten, sourceSwipeId, swipeId, timestamp}
+     */
+    applyRewrite(addon, message, rewritten) {
+        const text = String(rewritten || '').trim();
+        if (!message || !text) {
+            return null;
+        }
+
+        try {
+            const sourceSwipeId = message.swipe_id ?? 0;
+            const sourceExtra = message.swipe_info?.[sourceSwipeId]?.extra;
+            const mode = addon.rewriteSettings?.mode === 'swipe' ? 'swipe' : 'replace';
+            // Re-running a replace rewrite keeps the text from before the first one, so revert still restores it
+            const previous = sourceExtra?.sidecarRewrites?.[addon.id];
+            let original;
+            if (mode === 'replace' && previous?.mode === 'replace' && typeof previous.original === 'string') {
+                original = previous.original;
+            } else {
+                // Compare against the message without an inline projection region
+                original = typeof sourceExtra?.sidecar_inline_base === 'string' && sourceExtra.sidecar_inline_base
+                    ? sourceExtra.sidecar_inline_base
+                    : String(message.mes || '');
+            }
+
+            let swipeId = sourceSwipeId;
+            if (mode === 'swipe') {
+                if (!Array.isArray(message.swipes) || message.swipes.length === 0) {
+                    message.swipes = [message.mes];
+                }
+                if (!Array.isArray(message.swipe_info)) {
+                    message.swipe_info = [];
+                }
+                swipeId = message.swipes.length;
+                message.swipes.push(text);
+
+                // New variant starts without the source variant's sidecar data (like a regular swipe)
+                const { sidecarResults, sidecarState, sidecarRewrites, sidecar_inline_base, display_text, ...baseExtra } = message.extra || {};
+                message.swipe_info[swipeId] = {
+                    send_date: message.send_date,
+                    gen_started: message.gen_started,
+                    gen_finished: message.gen_finished,
+                    extra: { ...baseExtra }
+                };
+                message.extra = { ...baseExtra };
+                message.swipe_id = swipeId;
+            } else {
+                if (!Array.isArray(message.swipe_info)) {
+                    message.swipe_info = [];
+                }
+                if (!message.swipe_info[swipeId]) {
+                    message.swipe_info[swipeId] = {
+                        send_date: message.send_date,
+                        gen_started: message.gen_started,
+                        gen_finished: message.gen_finished,
+                        extra: {}
+                    };
+                }
+                if (!message.swipe_info[swipeId].extra) {
+                    message.swipe_info[swipeId].extra = {};
+                }
+                if (Array.isArray(message.swipes) && message.swipes.length > swipeId) {
+                    message.swipes[swipeId] = text;
+                }
+                message.swipe_info[swipeId].extra.sidecar_inline_base = text;
+            }
+            message.mes = text;
+
+            const record = {
+                addonId: addon.id,
+                addonName: addon.name,
+                mode,
+                original,
+                rewritten: text,
+                sourceSwipeId,
+                swipeId,
+                timestamp: Date.now()
+            };
+            const extra = message.swipe_info[swipeId].extra;
+            extra.sidecarRewrites = { ...(extra.sidecarRewrites || {}), [addon.id]: record };
+            if (!message.extra) {
+                message.extra = {};
+            }
+            message.extra.sidecarRewrites = extra.sidecarRewrites;
+
+            this.rerenderMessage(message);
+            console.log(`[Sidecar AI] ${addon.name} rewrote message ${this.getMessageId(message)} (${mode === 'swipe' ? `new swipe ${swipeId}` : 'replaced text'})`);
+            return record;
+        } catch (error) {
+            console.error('[Sidecar AI] Error applying rewrite:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Undo a rewrite on the message's current variant: restore the original text,
+     * or for swipe rewrites remove the rewritten swipe and go back to the source variant
+     * @returns {Object|null} The reverted record
+     */
+    revertRewrite(message, addonId) {
+        const swipeId = message?.swipe_id ?? 0;
+        const record = message?.swipe_info?.[swipeId]?.extra?.sidecarRewrites?.[addonId];
+        if (!record) {
+            return null;
+        }
+
+        if (record.mode === 'swipe' && Array.isArray(message.swipes) && message.swipes.length > 1) {
+            message.swipes.splice(swipeId, 1);
+            message.swipe_info.splice(swipeId, 1);
+            const target = Math.min(record.sourceSwipeId, message.swipes.length - 1);
+            const { sidecarResults, sidecarState, sidecarRewrites, sidecar_inline_base, display_text, ...baseExtra } = message.extra || {};
+            message.swipe_id = target;
+            message.mes = message.swipes[target];
+            message.extra = { ...baseExtra, ...(message.swipe_info[target]?.extra || {}) };
+        } else {
+            const extra = message.swipe_info[swipeId].extra;
+            delete extra.sidecarRewrites[addonId];
+            extra.sidecar_inline_base = record.original;
+            if (Array.isArray(message.swipes) && message.swipes.length > swipeId) {
+                message.swipes[swipeId] = record.original;
+            }
+            message.mes = record.original;
+            if (message.extra) {
+                message.extra.sidecarRewrites = extra.sidecarRewrites;
+            }
+            // The card describes the rewrite that was just undone
+            this.deleteResultFromMetadata(message, addonId);
+        }
+
+        this.rerenderMessage(message);
+        console.log(`[Sidecar AI] Reverted ${record.addonName} rewrite on message ${this.getMessageId(message)}`);
+        return record;
+    }
+
+    /**
+     * Re-render a message's text and swipe counter after changing it
+     */
+    rerenderMessage(message) {
+        const messageId = this.getMessageId(message);
+        if (typeof this.context?.updateMessageBlock === 'function' && typeof messageId === 'number') {
+            this.context.updateMessageBlock(messageId, message, { rerenderMessage: true });
+        }
+        const counter = this.findMessageElement(messageId)?.querySelector?.('.swipes-counter');
+        if (counter && Array.isArray(message.swipes)) {
+            counter.textContent = `${(message.swipe_id ?? 0) + 1}/${message.swipes.length}`;
+        }
+    }
+
+    /**
+     * Rewrite record of an add-on on the message's current variant
+     * @returns {Object|null}
+     */
+    getRewriteRecord(message, addonId) {
+        if (!message) {
+            return null;
+        }
+        const swipeId = message.swipe_id ?? 0;
+        return (message.swipe_info?.[swipeId]?.extra?.sidecarRewrites || message.extra?.sidecarRewrites)?.[addonId] || null;
+    }
+
+    /**
+     * Card content for a rewrite: what happened and a word diff of the change
+     */
+    formatRewriteCard(record) {
+        const note = record.mode === 'swipe'
+            ? `Added as swipe ${record.swipeId + 1} (original: swipe ${record.sourceSwipeId + 1}).`
+            : 'Replaced the message text (the original is saved).';
+        return `<div class="sidecar-rewrite-note">${note} Use the revert button to undo.</div>\n<div class="sidecar-diff">${this.renderDiff(record.original, record.rewritten)}</div>`;
+    }
+
+    /**
+     * Word diff as HTML (<del> removed, <ins> added)
+     */
+    renderDiff(before, after) {
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return this.diffWords(before, after).map(part => {
+            if (part.type === 'del') {
+                return `<del class="sidecar-diff-del">${escape(part.text)}</del>`;
+            }
+            if (part.type === 'ins') {
+                return `<ins class="sidecar-diff-ins">${escape(part.text)}</ins>`;
+            }
+            return escape(part.text);
+        }).join('');
+    }
+
+    /**
+     * Word-level diff (LCS over words and whitespace runs)
+     * Common prefix/suffix are skipped first; very large changed regions are shown as one replacement.
+     * @returns {Array<{type: 'same'|'del'|'ins', text: string}>}
+     */
+    diffWords(before, after) {
+        const tokenize = text => String(text || '').match(/\s+|[^\s]+/g) || [];
+        const a = tokenize(before);
+        const b = tokenize(after);
+
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else if (text) {
+                parts.push({ type, text });
+            }
+        };
+
+        push('same', a.slice(0, start).join(''));
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        if (midA.length * midB.length <= 1000000) {
+            // table[i][j] = LCS length of midA[i..] and midB[j..]
+            const table = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+            for (let i = midA.length - 1; i >= 0; i--) {
+                for (let j = midB.length - 1; j >= 0; j--) {
+                    table[i][j] = midA[i] === midB[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+                }
+            }
+            let i = 0;
+            let j = 0;
+            while (i < midA.length && j < midB.length) {
+                if (midA[i] === midB[j]) {
+                    push('same', midA[i]);
+                    i++;
+                    j++;
+                } else if (table[i + 1][j] >= table[i][j + 1]) {
+                    push('del', midA[i++]);
+                } else {
+                    push('ins', midB[j++]);
+                }
+            }
+            midA.slice(i).forEach(token => push('del', token));
+            midB.slice(j).forEach(token => push('ins', token));
+        } else {
+            push('del', midA.join(''));
+            push('ins', midB.join(''));
+        }
+        push('same', a.slice(endA).join(''));
+
+        return parts;
+    }
+
     /**
      * Find message element by ID or other identifier
      * Specifically finds AI messages (not user messages)
@@ -1932,9 +2534,11 @@ export class ResultFormatter {
                     const stored = hasStoredResults[addon.id];
                     if (!stored) continue;
 
-                    if (addon.responseLocation === 'outsideChatlog') {
+                    if (addon.responseLocation !== 'chatHistory') {
                         const formatted = this.formatResult(addon, stored.result, message, true);
-                        this.injectIntoDropdown(addon, formatted, messageId, messageElement);
+                        if (this.injectIntoDropdown(addon, formatted, messageId, messageElement)) {
+                            this.markCachedResult(messageId, addon, stored.source, messageElement);
+                        }
                     }
                 }
 
@@ -2040,11 +2644,12 @@ export class ResultFormatter {
 
                         // Check if block already exists
                         const existingBlock = messageElement.querySelector(`.addon_section-${addon.id}`);
-                        if (!existingBlock && addon.responseLocation === 'outsideChatlog') {
+                        if (!existingBlock && addon.responseLocation !== 'chatHistory') {
                             // Restore the dropdown block
                             const formatted = this.formatResult(addon, stored.result, message, true);
                             const success = this.injectIntoDropdown(addon, formatted, messageId, messageElement);
                             if (success) {
+                                this.markCachedResult(messageId, addon, stored.source, messageElement);
                                 const container = messageElement.querySelector('.sidecar-container');
                                 if (container) {
                                     this.markContainerAsRestored(container);
@@ -2175,6 +2780,7 @@ export class ResultFormatter {
                                             // Pass the found messageElement to avoid re-lookup failure
                                             const success = this.injectIntoDropdown(addon, formatted, messageId, messageElement);
                                             if (success) {
+                                                this.markCachedResult(messageId, addon, stored.source, messageElement);
                                                 // Mark the container as restored to protect from immediate cleanup
                                                 const container = messageElement.querySelector('.sidecar-container');
                                                 if (container) {
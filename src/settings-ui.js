@@ -1,8 +1,13 @@
+import { getSillyTavernContext } from './live-context.js';
+
 export class SettingsUI {
-    constructor(context, addonManager, aiClient) {
+    constructor(context, addonManager, aiClient, usageTracker = null, contextBuilder = null, memoryManager = null) {
         this.context = context;
         this.addonManager = addonManager;
         this.aiClient = aiClient;
+        this.usageTracker = usageTracker;
+        this.contextBuilder = contextBuilder;
+        this.memoryManager = memoryManager;
         this.initialized = false;
         this.selectedAddons = new Set(); // Track selected add-ons for bulk operations
     }
@@ -13,6 +18,11 @@ export class SettingsUI {
         console.log('[Sidecar AI] Initializing Settings UI...');
         this.bindEvents();
         this.renderAddonsList();
+        this.loadUsageSettings();
+        this.renderUsagePanel();
+        this.loadQueueSettings();
+        this.aiClient?.scheduler?.onChange(() => this.renderQueueStatus());
+        this.loadCacheSettings();
         this.initDrawer();
 
         this.initialized = true;
@@ -78,6 +88,9 @@ export class SettingsUI {
 
             const isSelected = this.selectedAddons.has(addon.id);
 
+            const scopeSummary = this.getScopeSummary(addon);
+            const inScope = this.addonManager.isAddonInScope(addon);
+
             let triggerBadgeClass = 'manual';
             if (addon.triggerMode === 'auto') triggerBadgeClass = 'auto';
             if (addon.triggerMode === 'trigger') triggerBadgeClass = 'trigger'; // You'll need CSS for this
@@ -98,6 +111,11 @@ export class SettingsUI {
                             <span class="add_ons_badge">${addon.requestMode || 'standalone'}</span>
                             <span class="add_ons_badge">${addon.responseLocation || 'outsideChatlog'}</span>
                             ${addon.formatStyle && addon.formatStyle !== 'html-css' ? `<span class="add_ons_badge" title="Format Style">${addon.formatStyle}</span>` : ''}
+                            ${addon.streaming ? '<span class="add_ons_badge" title="Streams output into the card">streaming</span>' : ''}
+                            ${addon.stateFields?.length ? `<span class="add_ons_badge" title="Persistent state fields">state: ${addon.stateFields.length}</span>` : ''}
+                            ${addon.kind === 'memory' ? `<span class="add_ons_badge" title="Rolling chat summary, updated every ${addon.memorySettings?.interval || 10} messages">memory</span>` : ''}
+                            ${scopeSummary ? `<span class="add_ons_badge${inScope ? '' : ' add_ons_badge_disabled'}" title="${this.escapeHtml(scopeSummary.title + (inScope ? '' : ' (not active in this chat)')).replace(/"/g, '&quot;')}">${this.escapeHtml(scopeSummary.label)}</span>` : ''}
+                            ${addon.dependsOn?.length ? `<span class="add_ons_badge" title="Depends on: ${this.escapeHtml(addon.dependsOn.map(id => this.addonManager?.getAddon(id)?.name || id).join(', ')).replace(/"/g, '&quot;')}">depends: ${addon.dependsOn.length}</span>` : ''}
                         </span>
                     </div>
                     <div class="add_ons_item_actions">
@@ -231,8 +249,11 @@ export class SettingsUI {
             e.stopPropagation();
             const location = $(this).val();
             const hint = $('#add_ons_response_location_hint');
+            $('#add_ons_rewrite_settings').toggle(location === 'rewrite');
             if (location === 'chatHistory') {
                 hint.text('Chat History (legacy): Writes into the message content. Prefer "Outside Chatlog" + "Inline Mode" for cleaner UI.');
+            } else if (location === 'rewrite') {
+                hint.text('Rewrite: The output becomes the AI message text (or a new swipe). The card shows what changed and can revert it.');
             } else {
                 hint.text('Outside: Shows in a card below the message. Use "Inline Mode" if you want the main AI to see the sidecar output in context.');
             }
@@ -347,6 +368,16 @@ export class SettingsUI {
             self.loadModelsForProvider(provider);
             await self.checkAndPrefillAPIKey(provider);
             self.toggleServiceProviderField(provider);
+            self.toggleProviderFields(provider);
+        });
+
+        // Local servers list the models they have, so reload them when the server URL changes
+        $(document).off('change.sidecar', '#add_ons_form_api_url').on('change.sidecar', '#add_ons_form_api_url', function (e) {
+            e.stopPropagation();
+            const provider = $('#add_ons_form_ai_provider').val();
+            if (self.aiClient?.isTextCompletionProvider(provider)) {
+                self.loadModelsForProvider(provider, 0, $('#add_ons_form_ai_model').val());
+            }
         });
 
         // Connection profile change - if selected, it overrides provider/model/preset selection
@@ -405,8 +436,10 @@ export class SettingsUI {
             const mode = $(this).val();
             const triggerConfigRow = $('#add_ons_trigger_config_row');
             const regexTesterRow = $('#add_ons_regex_tester_row');
+            const conditionsRow = $('#add_ons_trigger_conditions_row');
             if (mode === 'trigger') {
                 triggerConfigRow.slideDown(200);
+                conditionsRow.slideDown(200);
                 // Show regex tester if trigger type is regex
                 const triggerType = $('#add_ons_form_trigger_type').val();
                 if (triggerType === 'regex') {
@@ -415,9 +448,239 @@ export class SettingsUI {
             } else {
                 triggerConfigRow.slideUp(200);
                 regexTesterRow.slideUp(200);
+                conditionsRow.slideUp(200);
+            }
+        });
+
+        // Usage & budget panel
+        $(document).off('toggle.sidecar', '#sidecar_usage_panel').on('toggle.sidecar', '#sidecar_usage_panel', function () {
+            if (this.open) {
+                self.renderUsagePanel();
+            }
+        });
+
+        $(document).off('click.sidecar', '#sidecar_usage_refresh').on('click.sidecar', '#sidecar_usage_refresh', function (e) {
+            e.preventDefault();
+            self.renderUsagePanel();
+        });
+
+        $(document).off('click.sidecar', '#sidecar_usage_save').on('click.sidecar', '#sidecar_usage_save', function (e) {
+            e.preventDefault();
+            self.saveUsageSettings();
+        });
+
+        // Request queue panel
+        $(document).off('toggle.sidecar', '#sidecar_queue_panel').on('toggle.sidecar', '#sidecar_queue_panel', function () {
+            if (this.open) {
+                self.renderQueueStatus();
+            }
+        });
+
+        $(document).off('click.sidecar', '#sidecar_queue_save').on('click.sidecar', '#sidecar_queue_save', function (e) {
+            e.preventDefault();
+            self.saveQueueSettings();
+        });
+
+        // Response cache panel
+        $(document).off('toggle.sidecar', '#sidecar_cache_panel').on('toggle.sidecar', '#sidecar_cache_panel', function () {
+            if (this.open) {
+                self.renderCacheStatus();
+            }
+        });
+
+        $(document).off('click.sidecar', '#sidecar_cache_save').on('click.sidecar', '#sidecar_cache_save', function (e) {
+            e.preventDefault();
+            self.saveCacheSettings();
+        });
+
+        $(document).off('click.sidecar', '#sidecar_cache_clear').on('click.sidecar', '#sidecar_cache_clear', async function (e) {
+            e.preventDefault();
+            if (!self.aiClient?.cache || !confirm('Delete all cached sidecar responses?')) {
+                return;
+            }
+            try {
+                await self.aiClient.cache.clear();
+            } catch (error) {
+                console.error('[Sidecar AI] Error clearing response cache:', error);
+                alert(`Could not clear the response cache: ${error.message}`);
+            }
+            self.renderCacheStatus();
+        });
+
+        // System contract / system message overrides
+        $(document).off('change.sidecar', '#add_ons_form_contract_mode').on('change.sidecar', '#add_ons_form_contract_mode', function () {
+            const custom = $(this).val() === 'custom';
+            $('#add_ons_contract_custom_group').toggle(custom);
+            // Start a custom contract from the default rules
+            if (custom && !String($('#add_ons_form_contract').val() || '').trim() && self.contextBuilder) {
+                $('#add_ons_form_contract').val(self.contextBuilder.defaultContract.join('\n'));
+            }
+        });
+
+        $(document).off('change.sidecar', '#add_ons_form_system_mode').on('change.sidecar', '#add_ons_form_system_mode', function () {
+            const custom = $(this).val() === 'custom';
+            $('#add_ons_system_prompt_group').toggle(custom);
+            if (custom && !String($('#add_ons_form_system_prompt').val() || '').trim() && self.aiClient) {
+                $('#add_ons_form_system_prompt').val(self.aiClient.defaultSystemPrompt);
+            }
+        });
+
+        $(document).off('change.sidecar', '#add_ons_form_contract_preset').on('change.sidecar', '#add_ons_form_contract_preset', function () {
+            const name = $(this).val();
+            if (!name) return;
+            const text = name === '__default__'
+                ? self.contextBuilder?.defaultContract.join('\n')
+                : self.addonManager?.getContractPresets().find(preset => preset.name === name)?.text;
+            if (typeof text === 'string') {
+                $('#add_ons_form_contract').val(text);
+            }
+        });
+
+        $(document).off('click.sidecar', '#add_ons_contract_save_preset').on('click.sidecar', '#add_ons_contract_save_preset', function (e) {
+            e.preventDefault();
+            const text = String($('#add_ons_form_contract').val() || '').trim();
+            if (!text) {
+                alert('Write some contract rules first.');
+                return;
+            }
+            const $selected = $('#add_ons_form_contract_preset option:selected');
+            const name = prompt('Preset name:', $selected.data('builtin') ? '' : ($selected.val() || ''));
+            if (!name || !name.trim()) return;
+            try {
+                self.addonManager.saveContractPreset(name, text);
+                self.loadContractPresets(name.trim());
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+
+        $(document).off('click.sidecar', '#add_ons_contract_delete_preset').on('click.sidecar', '#add_ons_contract_delete_preset', function (e) {
+            e.preventDefault();
+            const $option = $('#add_ons_form_contract_preset option:selected');
+            if (!$option.val() || $option.data('builtin')) {
+                alert('Select one of your saved presets to delete it. Built-in presets cannot be deleted.');
+                return;
+            }
+            if (confirm(`Delete preset "${$option.val()}"?`)) {
+                self.addonManager.deleteContractPreset($option.val());
+                self.loadContractPresets('');
             }
         });
 
+        // Prompt injection settings apply to the 'prompt' inline mode and to pre-generation sidecars
+        $(document).off('change.sidecar', '#add_ons_form_inline_mode, #add_ons_form_injection_position, #add_ons_form_phase').on('change.sidecar', '#add_ons_form_inline_mode, #add_ons_form_injection_position, #add_ons_form_phase', function () {
+            self.toggleInjectionSettings();
+        });
+
+        // Memory sidecars
+        $(document).off('change.sidecar', '#add_ons_form_kind').on('change.sidecar', '#add_ons_form_kind', function () {
+            const memory = $(this).val() === 'memory';
+            $('#add_ons_memory_settings').toggle(memory);
+            // Start a memory sidecar from the default summary instruction
+            if (memory && !String($('#add_ons_form_prompt').val() || '').trim() && self.memoryManager) {
+                $('#add_ons_form_prompt').val(self.memoryManager.defaultInstruction);
+            }
+        });
+
+        $(document).off('click.sidecar', '#add_ons_memory_reset').on('click.sidecar', '#add_ons_memory_reset', function (e) {
+            e.preventDefault();
+            const addonId = $('#add_ons_form_id').val();
+            if (!addonId || !self.memoryManager) {
+                alert('Save the sidecar first - there is no memory to reset yet.');
+                return;
+            }
+            if (confirm('Forget this sidecar\'s memory for the current chat? It will be rebuilt from the start of the chat on the next update.')) {
+                const removed = self.memoryManager.resetMemory(addonId);
+                alert(removed ? 'Memory reset for this chat.' : 'This chat has no memory for this sidecar yet.');
+            }
+        });
+
+        // Instruction macros: autocomplete after "{{" and a rendered preview
+        let promptPreviewTimeout = null;
+        $(document).off('input.sidecar', '#add_ons_form_prompt').on('input.sidecar', '#add_ons_form_prompt', function () {
+            self.updateMacroSuggestions(this);
+            clearTimeout(promptPreviewTimeout);
+            promptPreviewTimeout = setTimeout(() => self.renderPromptPreview(), 300);
+        });
+
+        $(document).off('keydown.sidecar', '#add_ons_form_prompt').on('keydown.sidecar', '#add_ons_form_prompt', function (e) {
+            const $items = $('#add_ons_macro_suggestions .add_ons_macro_item');
+            if (!$('#add_ons_macro_suggestions').is(':visible') || $items.length === 0) return;
+
+            const activeIndex = $items.index($items.filter('.active'));
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const next = (activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + $items.length) % $items.length;
+                $items.removeClass('active').eq(next).addClass('active');
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                self.insertMacro($items.eq(Math.max(0, activeIndex)).data('macro'));
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                $('#add_ons_macro_suggestions').hide().empty();
+            }
+        });
+
+        $(document).off('blur.sidecar', '#add_ons_form_prompt').on('blur.sidecar', '#add_ons_form_prompt', function () {
+            setTimeout(() => $('#add_ons_macro_suggestions').hide().empty(), 150);
+        });
+
+        // mousedown keeps focus (and the caret) in the textarea
+        $(document).off('mousedown.sidecar', '.add_ons_macro_item').on('mousedown.sidecar', '.add_ons_macro_item', function (e) {
+            e.preventDefault();
+            self.insertMacro($(this).data('macro'));
+        });
+
+        $(document).off('click.sidecar', '#add_ons_preview_messages').on('click.sidecar', '#add_ons_preview_messages', function (e) {
+            e.preventDefault();
+            self.renderMessagesPreview();
+        });
+
+        // Scope mode - show/hide the character/group/chat lists
+        $(document).off('change.sidecar', '#add_ons_form_scope_mode').on('change.sidecar', '#add_ons_form_scope_mode', function (e) {
+            e.stopPropagation();
+            if ($(this).val() === 'global') {
+                $('#add_ons_scope_lists').slideUp(200);
+            } else {
+                $('#add_ons_scope_lists').slideDown(200);
+            }
+        });
+
+        // Add the active chat to the scope's chat list
+        $(document).off('click.sidecar', '#add_ons_scope_add_chat').on('click.sidecar', '#add_ons_scope_add_chat', function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+            const chatId = self.addonManager?.getActiveChatInfo().chatId;
+            if (!chatId) {
+                alert('No chat is open.');
+                return;
+            }
+            const $chats = $('#add_ons_form_scope_chats');
+            if ($chats.find('option').filter((i, option) => option.value === chatId).length === 0) {
+                $chats.append($('<option></option>').attr('value', chatId).text(chatId));
+            }
+            $chats.val([...($chats.val() || []), chatId]);
+        });
+
+        // Trigger conditions: add, remove, and re-render inputs when the type changes
+        $(document).off('click.sidecar', '#add_ons_add_condition').on('click.sidecar', '#add_ons_add_condition', function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+            $('#add_ons_trigger_conditions_list').append(self.renderConditionRow({ type: 'aiText' }));
+        });
+
+        $(document).off('click.sidecar', '.add_ons_condition_remove').on('click.sidecar', '.add_ons_condition_remove', function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+            $(this).closest('.add_ons_condition_row').remove();
+        });
+
+        $(document).off('change.sidecar', '.add_ons_condition_type').on('change.sidecar', '.add_ons_condition_type', function (e) {
+            e.stopPropagation();
+            $(this).closest('.add_ons_condition_row').replaceWith(self.renderConditionRow({ type: $(this).val() }));
+        });
+
         // Trigger type change - show/hide regex tester
         $(document).off('change.sidecar', '#add_ons_form_trigger_type').on('change.sidecar', '#add_ons_form_trigger_type', function (e) {
             e.stopPropagation();
@@ -609,8 +872,18 @@ export class SettingsUI {
             $('#add_ons_form_save').text('Create Sidecar');
             // Populate connection profiles dropdown (if available)
             this.loadConnectionProfiles('');
-            // Hide trigger config and regex tester
+            this.loadDependencyOptions(null, []);
+            this.loadScopeOptions({ mode: 'global' });
+            this.populatePromptSettings(null);
+            this.setFallbackOn(null);
+            $('#add_ons_memory_settings').hide();
+            $('#add_ons_rewrite_settings').hide();
+            this.toggleInjectionSettings();
+            $('#add_ons_prompt_preview').hide();
+            // Hide trigger config, conditions and regex tester
             $('#add_ons_trigger_config_row').hide();
+            $('#add_ons_trigger_conditions_row').hide();
+            $('#add_ons_trigger_conditions_list').empty();
             $('#add_ons_regex_tester_row').hide();
             $('#add_ons_regex_test_result').hide().html('');
             $('#add_ons_regex_test_input').val('');
@@ -619,6 +892,7 @@ export class SettingsUI {
                 this.loadModelsForProvider('openai');
                 await this.checkAndPrefillAPIKey('openai');
                 this.toggleServiceProviderField('openai');
+                this.toggleProviderFields('openai');
             }, 100);
         }
 
@@ -643,7 +917,7 @@ export class SettingsUI {
 
         // For OpenRouter, if we got very few models, retry a few times
         // The dropdown might still be loading from SillyTavern
-        if (models.length < minModelsExpected && retryCount < maxRetries) {
+        if (models.length < minModelsExpected && retryCount < maxRetries && !this.aiClient?.isTextCompletionProvider(provider)) {
             const delay = provider === 'openrouter' ? 1000 + (retryCount * 500) : 500;
             console.log(`[Sidecar AI] ${provider} only found ${models.length} models (expected at least ${minModelsExpected}), retrying (${retryCount + 1}/${maxRetries}) after ${delay}ms...`);
             setTimeout(() => {
@@ -699,6 +973,19 @@ export class SettingsUI {
         let models = [];
         console.log('[Sidecar AI] ========== Loading models for provider:', provider, '==========');
 
+        // Local servers: ask the server at the form's API URL what it has loaded / pulled
+        if (this.aiClient?.isTextCompletionProvider(provider)) {
+            try {
+                const apiUrl = $('#add_ons_form_api_url').val()?.trim() || null;
+                const ids = await this.aiClient.getLocalModels(provider, apiUrl);
+                console.log(`[Sidecar AI] Local server returned ${ids.length} model(s) for ${provider}`);
+                return ids.map(id => ({ value: id, label: id, default: ids.length === 1 }));
+            } catch (e) {
+                console.warn(`[Sidecar AI] Could not load models from local ${provider} server:`, e);
+                return [];
+            }
+        }
+
         // Debug: Log what's available in window
         if (provider === 'openrouter') {
             console.log('[Sidecar AI] Debug - window.openRouterModels:', typeof window.openRouterModels, window.openRouterModels?.length || 'N/A');
@@ -1223,6 +1510,27 @@ export class SettingsUI {
                 'cohere': [
                     { value: 'command', label: 'Command', default: true },
                     { value: 'command-light', label: 'Command Light', default: false }
+                ],
+                'mistral': [
+                    { value: 'mistral-small-latest', label: 'Mistral Small', default: true },
+                    { value: 'mistral-medium-latest', label: 'Mistral Medium', default: false },
+                    { value: 'mistral-large-latest', label: 'Mistral Large', default: false },
+                    { value: 'open-mistral-nemo', label: 'Mistral Nemo', default: false }
+                ],
+                'groq': [
+                    { value: 'llama-3.1-8b-instant', label: 'Llama 3.1 8B Instant', default: true },
+                    { value: 'llama-3.3-70b-versatile', label: 'Llama 3.3 70B Versatile', default: false },
+                    { value: 'gemma2-9b-it', label: 'Gemma 2 9B', default: false }
+                ],
+                'xai': [
+                    { value: 'grok-3-mini', label: 'Grok 3 Mini', default: true },
+                    { value: 'grok-3', label: 'Grok 3', default: false }
+                ],
+                // Azure requests go to the deployment; the model names the deployment when none is set
+                'azure': [
+                    { value: 'gpt-4o-mini', label: 'GPT-4o mini', default: true },
+                    { value: 'gpt-4o', label: 'GPT-4o', default: false },
+                    { value: 'gpt-4.1-mini', label: 'GPT-4.1 mini', default: false }
                 ]
             };
             models = defaultModels[provider] || [];
@@ -1308,13 +1616,16 @@ export class SettingsUI {
         $('#add_ons_form_name').val(addon.name);
         $('#add_ons_form_description').val(addon.description);
         $('#add_ons_form_prompt').val(addon.prompt);
+        $('#add_ons_macro_suggestions').hide().empty();
         $('#add_ons_form_trigger_mode').val(addon.triggerMode);
 
         // Handle trigger config visibility
         if (addon.triggerMode === 'trigger') {
             $('#add_ons_trigger_config_row').show();
+            $('#add_ons_trigger_conditions_row').show();
         } else {
             $('#add_ons_trigger_config_row').hide();
+            $('#add_ons_trigger_conditions_row').hide();
             $('#add_ons_regex_tester_row').hide();
         }
 
@@ -1323,6 +1634,11 @@ export class SettingsUI {
         const triggerType = triggerConfig.triggerType || 'keyword';
         $('#add_ons_form_trigger_type').val(triggerType);
         $('#add_ons_form_triggers').val((triggerConfig.triggers || []).join('\n'));
+        $('#add_ons_form_condition_logic').val(triggerConfig.conditionLogic || 'and');
+        const $conditionsList = $('#add_ons_trigger_conditions_list').empty();
+        (triggerConfig.conditions || []).forEach(condition => {
+            $conditionsList.append(this.renderConditionRow(condition, addon.id));
+        });
 
         // Show regex tester if trigger mode is trigger and type is regex
         if (addon.triggerMode === 'trigger' && triggerType === 'regex') {
@@ -1354,6 +1670,9 @@ export class SettingsUI {
         }
 
         $('#add_ons_form_api_url').val(addon.apiUrl || '');
+        $('#add_ons_form_instruct_template').val(addon.instructTemplate || 'chatml');
+        this.setProviderSettings(addon.providerSettings);
+        this.toggleProviderFields(addon.aiProvider);
 
         // Handle service provider (OpenRouter only)
         // Must set AFTER loadServiceProviders() completes, as it clears the dropdown
@@ -1384,10 +1703,31 @@ export class SettingsUI {
             $('#add_ons_form_service_provider').val([]);
         }
 
+        $('#add_ons_form_fallbacks').val(this.formatFallbacks(addon.fallbacks));
+        this.setFallbackOn(addon.fallbackSettings?.on);
         $('#add_ons_form_result_format').val(addon.resultFormat);
         $('#add_ons_form_response_location').val(addon.responseLocation);
         $('#add_ons_form_format_style').val(addon.formatStyle || 'html-css');
         $('#add_ons_form_inline_mode').val(addon.inlineMode || 'off');
+        $('#add_ons_form_rewrite_mode').val(addon.rewriteSettings?.mode || 'replace');
+        $('#add_ons_rewrite_settings').toggle(addon.responseLocation === 'rewrite');
+        $('#add_ons_form_injection_position').val(addon.injectionSettings?.position || 'inChat');
+        $('#add_ons_form_injection_depth').val(addon.injectionSettings?.depth ?? 2);
+        $('#add_ons_form_injection_role').val(addon.injectionSettings?.role || 'system');
+        $('#add_ons_form_phase').val(addon.phase || 'after');
+        $('#add_ons_form_pre_timeout').val(addon.preGenerationSettings?.timeoutSeconds || 20);
+        this.toggleInjectionSettings();
+        $('#add_ons_form_streaming').prop('checked', addon.streaming === true);
+        $('#add_ons_form_state_fields').val(this.formatStateFields(addon.stateFields));
+        this.populateGenerationParams(addon.generationParams);
+        this.populatePromptSettings(addon.promptSettings);
+        $('#add_ons_form_prompt_layout').val(addon.promptLayout || 'single');
+        $('#add_ons_form_kind').val(addon.kind || 'standard');
+        $('#add_ons_form_memory_interval').val(addon.memorySettings?.interval || 10);
+        $('#add_ons_form_memory_max_entries').val(addon.memorySettings?.maxEntries || 5);
+        $('#add_ons_memory_settings').toggle(addon.kind === 'memory');
+        this.loadDependencyOptions(addon.id, addon.dependsOn || []);
+        this.loadScopeOptions(addon.scope || { mode: 'global' });
 
         // Load models for provider, then set selected model
         // Pass the model to set so it can be applied after dropdown is populated
@@ -1395,9 +1735,13 @@ export class SettingsUI {
 
         const ctx = addon.contextSettings || {};
         $('#add_ons_form_messages_count').val(ctx.messagesCount || 10);
+        $('#add_ons_form_token_budget').val(ctx.tokenBudget || 0);
+        $('#add_ons_form_group_cards').val(ctx.groupCards || 'speaker');
+        $('#add_ons_form_group_mode').val(addon.groupMode || 'once');
         $('#add_ons_form_include_char_card').prop('checked', ctx.includeCharCard !== false);
         $('#add_ons_form_include_user_card').prop('checked', ctx.includeUserCard !== false);
         $('#add_ons_form_include_world_card').prop('checked', ctx.includeWorldCard !== false);
+        $('#add_ons_form_include_memory').prop('checked', ctx.includeMemory === true);
 
         // Add-on History settings
         const includeHistory = ctx.includeHistory !== false;  // Default to true
@@ -1412,6 +1756,8 @@ export class SettingsUI {
         } else {
             $('#add_ons_history_depth_group').hide();
         }
+
+        this.renderPromptPreview();
     }
 
     /**
@@ -1519,6 +1865,19 @@ export class SettingsUI {
             return;
         }
 
+        if (provider === 'azure' && !apiUrl) {
+            alert('Azure OpenAI needs your resource endpoint as API URL (https://<resource>.openai.azure.com).');
+            $('#add_ons_form_api_url').focus();
+            this.highlightError('#add_ons_form_api_url');
+            return;
+        }
+
+        const providerSettingsResult = this.readProviderSettings(provider);
+        if (providerSettingsResult.errors.length > 0) {
+            alert(`Invalid provider settings:\n\n${providerSettingsResult.errors.join('\n')}`);
+            return;
+        }
+
         // Get API key - check if using ST's saved key or user-entered key
         const apiKeyField = $('#add_ons_form_api_key');
         let apiKey = apiKeyField.val();
@@ -1530,8 +1889,11 @@ export class SettingsUI {
             : [];
 
         // If using ST's saved key, we'll use ChatCompletionService which handles keys internally
-        // Otherwise, we need the actual key for testing
-        if (!isUsingSTKey) {
+        // Otherwise, we need the actual key for testing (local servers don't need one)
+        const keyOptional = this.aiClient?.isTextCompletionProvider(provider);
+        if (keyOptional) {
+            apiKey = isUsingSTKey ? null : apiKey.trim();
+        } else if (!isUsingSTKey) {
             apiKey = apiKey.trim();
             if (!apiKey || apiKey.trim() === '') {
                 alert('Please enter an API Key or configure it in SillyTavern\'s API Connection settings.');
@@ -1566,7 +1928,7 @@ export class SettingsUI {
             }
 
             // Use ChatCompletionService for testing if using ST key (avoids 403 errors)
-            const result = await this.aiClient.testConnection(provider, model, apiKey, apiUrl, serviceProvider, isUsingSTKey);
+            const result = await this.aiClient.testConnection(provider, model, apiKey, apiUrl, serviceProvider, isUsingSTKey, providerSettingsResult.settings);
 
             if (result.success) {
                 alert('✓ Connection successful!');
@@ -1630,6 +1992,769 @@ export class SettingsUI {
         }
     }
 
+    /**
+     * Provider-specific fields: instruct template (local backends, API key optional), Azure deployment,
+     * custom extra headers / body
+     */
+    toggleProviderFields(provider) {
+        const isLocal = !!this.aiClient?.isTextCompletionProvider(provider);
+        $('#add_ons_instruct_template_row').toggle(isLocal);
+        $('#add_ons_azure_settings_row').toggle(provider === 'azure');
+        $('#add_ons_custom_request_row').toggle(provider === 'custom');
+        $('#add_ons_form_api_key_label').text(isLocal ? 'API Key (optional)' : 'API Key *');
+        $('#add_ons_form_api_key').prop('required', !isLocal);
+    }
+
+    /**
+     * Render one trigger condition row (inputs carry data-key for readConditionRows)
+     */
+    renderConditionRow(condition, currentId = $('#add_ons_form_id').val()) {
+        const types = {
+            aiText: 'AI message text',
+            characterName: 'Character name is',
+            everyNMessages: 'Every N AI messages',
+            chatLength: 'Chat length',
+            sidecarResult: 'Sidecar value',
+            timeSinceRun: 'Minutes since sidecar ran'
+        };
+        const makeSelect = (key, options, value) => {
+            const $select = $('<select class="text_pole"></select>').attr('data-key', key);
+            options.forEach(([optionValue, label]) => {
+                $select.append($('<option></option>').attr('value', optionValue).text(label));
+            });
+            return $select.val(value ?? options[0][0]);
+        };
+        const makeInput = (key, type, value, placeholder) => $('<input class="text_pole">')
+            .attr({ type, 'data-key': key, placeholder })
+            .val(value ?? '');
+        const otherAddons = (this.addonManager?.getAllAddons() || [])
+            .filter(addon => addon.id !== currentId)
+            .map(addon => [addon.id, addon.name]);
+
+        const $row = $('<div class="add_ons_condition_row"></div>');
+        $row.append(makeSelect('type', Object.entries(types), condition.type).addClass('add_ons_condition_type'));
+
+        switch (condition.type) {
+            case 'aiText':
+                $row.append(makeSelect('matchType', [['keyword', 'contains'], ['regex', 'matches regex']], condition.matchType));
+                $row.append(makeInput('value', 'text', condition.value, 'e.g. blood'));
+                break;
+            case 'characterName':
+                $row.append(makeInput('value', 'text', condition.value, 'Names, comma-separated'));
+                break;
+            case 'everyNMessages':
+                $row.append(makeInput('value', 'number', condition.value, 'N').attr('min', 1));
+                break;
+            case 'chatLength':
+                $row.append(makeSelect('operator', [['>=', '≥'], ['<', '<'], ['crosses', 'crosses']], condition.operator));
+                $row.append(makeInput('value', 'number', condition.value, 'Messages').attr('min', 1));
+                break;
+            case 'sidecarResult':
+                $row.append(makeSelect('addonId', otherAddons.length ? otherAddons : [['', '(no other sidecars)']], condition.addonId));
+                $row.append(makeInput('field', 'text', condition.field, 'Field, e.g. Trust'));
+                $row.append(makeSelect('operator', [['<', '<'], ['<=', '≤'], ['>', '>'], ['>=', '≥'], ['==', '='], ['!=', '≠'], ['contains', 'contains']], condition.operator));
+                $row.append(makeInput('value', 'text', condition.value, 'Value'));
+                break;
+            case 'timeSinceRun':
+                $row.append(makeSelect('addonId', [['', 'This sidecar'], ...otherAddons], condition.addonId));
+                $row.append(makeSelect('operator', [['>=', '≥'], ['<', '<']], condition.operator));
+                $row.append(makeInput('value', 'number', condition.value, 'Minutes').attr('min', 0));
+                break;
+        }
+
+        $row.append($('<button type="button" class="menu_button add_ons_condition_remove" title="Remove condition"><i class="fa-solid fa-trash"></i></button>'));
+        return $row;
+    }
+
+    /**
+     * Read trigger conditions from the modal rows
+     */
+    readConditionRows() {
+        const conditions = [];
+        $('#add_ons_trigger_conditions_list .add_ons_condition_row').each(function () {
+            const condition = {};
+            $(this).find('[data-key]').each(function () {
+                condition[$(this).attr('data-key')] = String($(this).val() ?? '').trim();
+            });
+            conditions.push(condition);
+        });
+        return conditions;
+    }
+
+    /**
+     * Fill the generation parameter fields (blank = default)
+     */
+    populateGenerationParams(params) {
+        const value = number => (typeof number === 'number' ? number : '');
+        $('#add_ons_form_temperature').val(value(params?.temperature));
+        $('#add_ons_form_top_p').val(value(params?.topP));
+        $('#add_ons_form_max_tokens').val(value(params?.maxTokens));
+        $('#add_ons_form_presence_penalty').val(value(params?.presencePenalty));
+        $('#add_ons_form_frequency_penalty').val(value(params?.frequencyPenalty));
+        $('#add_ons_form_reasoning_effort').val(params?.reasoningEffort || '');
+        $('#add_ons_form_stop').val((params?.stop || []).map(sequence => sequence.replace(/\n/g, '\\n')).join('\n'));
+    }
+
+    /**
+     * Read the generation parameter fields (normalized and clamped by AddonManager)
+     */
+    readGenerationParams() {
+        const number = selector => {
+            const raw = String($(selector).val() ?? '').trim();
+            return raw === '' ? null : Number(raw);
+        };
+
+        return {
+            temperature: number('#add_ons_form_temperature'),
+            topP: number('#add_ons_form_top_p'),
+            maxTokens: number('#add_ons_form_max_tokens'),
+            presencePenalty: number('#add_ons_form_presence_penalty'),
+            frequencyPenalty: number('#add_ons_form_frequency_penalty'),
+            reasoningEffort: $('#add_ons_form_reasoning_effort').val() || '',
+            stop: String($('#add_ons_form_stop').val() || '').split('\n')
+                .filter(line => line.length > 0)
+                .map(line => line.replace(/\\n/g, '\n'))
+        };
+    }
+
+    /**
+     * Fallback models as text, one per line ("provider: model @ url" / "profile: name")
+     */
+    formatFallbacks(fallbacks) {
+        const profiles = this.context?.extensionSettings?.connectionManager?.profiles || [];
+        return (fallbacks || []).map(entry => {
+            if (entry.connectionProfileId) {
+                const profile = profiles.find(p => p?.id === entry.connectionProfileId);
+                return `profile: ${profile?.name || entry.connectionProfileId}`;
+            }
+            return `${entry.aiProvider}: ${entry.aiModel}${entry.apiUrl ? ` @ ${entry.apiUrl}` : ''}`;
+        }).join('\n');
+    }
+
+    /**
+     * Parse the fallback models field; profiles are matched by name or id
+     * @returns {{fallbacks: Array, errors: Array<string>}}
+     */
+    parseFallbacks(text) {
+        const providers = $('#add_ons_form_ai_provider option').map((i, el) => el.value).get();
+        const profiles = this.context?.extensionSettings?.connectionManager?.profiles || [];
+        const fallbacks = [];
+        const errors = [];
+
+        String(text || '').split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const match = line.match(/^([\w-]+)\s*:\s*(.+?)(?:\s+@\s+(\S+))?$/);
+            if (!match) {
+                errors.push(`Line ${index + 1}: "${line}"`);
+                return;
+            }
+
+            const [, provider, value, apiUrl] = match;
+            if (provider === 'profile') {
+                const profile = profiles.find(p => p?.id === value || p?.name === value);
+                if (!profile) {
+                    errors.push(`Line ${index + 1}: no Connection Manager profile "${value}"`);
+                    return;
+                }
+                fallbacks.push({ connectionProfileId: profile.id });
+            } else if (providers.includes(provider)) {
+                fallbacks.push({ aiProvider: provider, aiModel: value, apiUrl: apiUrl || '' });
+            } else {
+                errors.push(`Line ${index + 1}: unknown provider "${provider}" (${providers.join(', ')})`);
+            }
+        });
+
+        if (fallbacks.length > 5) {
+            errors.push('At most 5 fallback models');
+        }
+        return { fallbacks, errors };
+    }
+
+    /**
+     * Fill the provider settings fields (Azure deployment / API version, custom headers / body)
+     */
+    setProviderSettings(settings) {
+        $('#add_ons_form_azure_deployment').val(settings?.deployment || '');
+        $('#add_ons_form_azure_api_version').val(settings?.apiVersion || '');
+        $('#add_ons_form_extra_headers').val(Object.entries(settings?.extraHeaders || {}).map(([name, value]) => `${name}: ${value}`).join('\n'));
+        const extraBody = settings?.extraBody || {};
+        $('#add_ons_form_extra_body').val(Object.keys(extraBody).length > 0 ? JSON.stringify(extraBody, null, 2) : '');
+    }
+
+    /**
+     * Read the provider settings fields; only the selected provider's fields are kept
+     * @returns {{settings: Object, errors: Array<string>}}
+     */
+    readProviderSettings(provider) {
+        const settings = { deployment: '', apiVersion: '', extraHeaders: {}, extraBody: {} };
+        const errors = [];
+
+        if (provider === 'azure') {
+            settings.deployment = $('#add_ons_form_azure_deployment').val()?.trim() || '';
+            settings.apiVersion = $('#add_ons_form_azure_api_version').val()?.trim() || '';
+        }
+
+        if (provider === 'custom') {
+            String($('#add_ons_form_extra_headers').val() || '').split('\n').forEach((rawLine, index) => {
+                const line = rawLine.trim();
+                if (!line || line.startsWith('#')) return;
+                const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+                if (!match) {
+                    errors.push(`Header line ${index + 1}: "${line}" (use Name: value)`);
+                    return;
+                }
+                settings.extraHeaders[match[1]] = match[2];
+            });
+
+            const bodyText = String($('#add_ons_form_extra_body').val() || '').trim();
+            if (bodyText) {
+                try {
+                    const body = JSON.parse(bodyText);
+                    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                        throw new Error('not an object');
+                    }
+                    settings.extraBody = body;
+                } catch (e) {
+                    errors.push(`Extra body fields must be a JSON object (${e.message})`);
+                }
+            }
+        }
+
+        return { settings, errors };
+    }
+
+    /**
+     * Check the failure classes that move to the next fallback (null = defaults)
+     */
+    setFallbackOn(types) {
+        const selected = Array.isArray(types) ? types : ['server', 'timeout', 'contentFilter', 'contextLength'];
+        $('.add_ons_form_fallback_on').each((i, el) => {
+            el.checked = selected.includes(el.value);
+        });
+    }
+
+    /**
+     * Show the injection fields for the 'prompt' inline mode and pre-generation sidecars (depth only for in-chat injection)
+     */
+    toggleInjectionSettings() {
+        const preGeneration = $('#add_ons_form_phase').val() === 'before';
+        $('#add_ons_pre_generation_settings').toggle(preGeneration);
+        $('#add_ons_injection_settings').toggle(preGeneration || $('#add_ons_form_inline_mode').val() === 'prompt');
+        $('#add_ons_form_injection_depth').prop('disabled', $('#add_ons_form_injection_position').val() !== 'inChat');
+    }
+
+    /**
+     * Fill the system contract / system message fields
+     */
+    populatePromptSettings(settings) {
+        $('#add_ons_form_contract_mode').val(settings?.contractMode || 'default');
+        $('#add_ons_form_contract').val(settings?.contract || '');
+        $('#add_ons_form_system_mode').val(settings?.systemMode || 'default');
+        $('#add_ons_form_system_prompt').val(settings?.systemPrompt || '');
+        $('#add_ons_contract_custom_group').toggle(settings?.contractMode === 'custom');
+        $('#add_ons_system_prompt_group').toggle(settings?.systemMode === 'custom');
+        $('#add_ons_messages_preview').hide().empty();
+        this.loadContractPresets('');
+    }
+
+    /**
+     * Read the system contract / system message fields
+     */
+    readPromptSettings() {
+        return {
+            contractMode: $('#add_ons_form_contract_mode').val() || 'default',
+            contract: $('#add_ons_form_contract').val() || '',
+            systemMode: $('#add_ons_form_system_mode').val() || 'default',
+            systemPrompt: $('#add_ons_form_system_prompt').val() || ''
+        };
+    }
+
+    /**
+     * Populate the contract preset select (default rules, built-ins, then saved presets)
+     */
+    loadContractPresets(selected = '') {
+        const $select = $('#add_ons_form_contract_preset');
+        $select.empty();
+        $select.append($('<option>').val('').text('Load a preset...'));
+        if (this.contextBuilder) {
+            $select.append($('<option>').val('__default__').attr('data-builtin', 'true').text('Default (built-in)'));
+        }
+        (this.addonManager?.getContractPresets() || []).forEach(preset => {
+            const $option = $('<option>').val(preset.name).text(preset.builtin ? `${preset.name} (built-in)` : preset.name);
+            if (preset.builtin) {
+                $option.attr('data-builtin', 'true');
+            }
+            $select.append($option);
+        });
+        $select.val(selected);
+    }
+
+    /**
+     * Add-on built from the modal's current (unsaved) values, used by the previews
+     */
+    buildPreviewAddon() {
+        const existing = this.addonManager.getAddon($('#add_ons_form_id').val()) || {};
+        return this.addonManager.normalizeAddon({
+            ...existing,
+            id: existing.id || '__preview__',
+            name: $('#add_ons_form_name').val(),
+            prompt: $('#add_ons_form_prompt').val(),
+            formatStyle: $('#add_ons_form_format_style').val() || 'html-css',
+            stateFields: this.parseStateFields($('#add_ons_form_state_fields').val()).fields,
+            dependsOn: $('#add_ons_form_depends_on').val() || [],
+            promptSettings: this.readPromptSettings(),
+            promptLayout: $('#add_ons_form_prompt_layout').val() || 'single',
+            groupMode: $('#add_ons_form_group_mode').val() || 'once',
+            kind: $('#add_ons_form_kind').val() || 'standard',
+            contextSettings: {
+                messagesCount: parseInt($('#add_ons_form_messages_count').val()) || 10,
+                includeCharCard: $('#add_ons_form_include_char_card').is(':checked'),
+                includeUserCard: $('#add_ons_form_include_user_card').is(':checked'),
+                includeWorldCard: $('#add_ons_form_include_world_card').is(':checked'),
+                includeMemory: $('#add_ons_form_include_memory').is(':checked'),
+                includeHistory: $('#add_ons_form_include_history').is(':checked'),
+                historyDepth: Math.max(1, parseInt($('#add_ons_form_history_depth').val()) || 1),
+                tokenBudget: Math.max(0, parseInt($('#add_ons_form_token_budget').val()) || 0),
+                groupCards: $('#add_ons_form_group_cards').val() || 'speaker'
+            }
+        });
+    }
+
+    /**
+     * Macros offered by the instruction autocomplete: {macro, description}
+     */
+    getMacroSuggestions() {
+        const suggestions = [
+            { macro: 'char', description: 'Character name' },
+            { macro: 'user', description: 'User name' },
+            { macro: 'lastUserMessage', description: 'Latest user message' },
+            { macro: 'lastAiMessage', description: 'The AI message being processed' },
+            { macro: 'chatLength', description: 'Number of messages in the chat' },
+            { macro: 'date', description: 'Current date' },
+            { macro: 'time', description: 'Current time (SillyTavern)' }
+        ];
+
+        this.parseStateFields($('#add_ons_form_state_fields').val()).fields.forEach(field => {
+            suggestions.push({ macro: `state:${field.name}`, description: 'This sidecar\'s state' });
+        });
+
+        const currentId = $('#add_ons_form_id').val();
+        (this.addonManager?.getAllAddons() || []).filter(addon => addon.id !== currentId).forEach(addon => {
+            suggestions.push({ macro: `sidecar:${addon.id}`, description: `Latest output of "${addon.name}"` });
+            (addon.stateFields || []).forEach(field => {
+                suggestions.push({ macro: `state:${addon.id}:${field.name}`, description: `"${addon.name}" state` });
+            });
+        });
+
+        return suggestions;
+    }
+
+    /**
+     * Show macro suggestions while a {{ is being typed before the caret
+     */
+    updateMacroSuggestions(textarea) {
+        const $list = $('#add_ons_macro_suggestions');
+        const before = textarea.value.slice(0, textarea.selectionStart);
+        const partial = before.match(/\{\{([^{}\s]*)$/);
+        if (!partial) {
+            $list.hide().empty();
+            return;
+        }
+
+        const query = partial[1].toLowerCase();
+        const matches = this.getMacroSuggestions()
+            .filter(item => item.macro.toLowerCase().includes(query))
+            .slice(0, 10);
+        if (matches.length === 0) {
+            $list.hide().empty();
+            return;
+        }
+
+        $list.html(matches.map((item, index) => `
+            <div class="add_ons_macro_item${index === 0 ? ' active' : ''}" data-macro="${this.escapeHtml(item.macro).replace(/"/g, '&quot;')}">
+                <code>{{${this.escapeHtml(item.macro)}}}</code> <span>${this.escapeHtml(item.description)}</span>
+            </div>`).join('')).show();
+    }
+
+    /**
+     * Replace the partial {{macro before the caret with the chosen macro
+     */
+    insertMacro(macro) {
+        const textarea = document.getElementById('add_ons_form_prompt');
+        if (!textarea) return;
+
+        const caret = textarea.selectionStart;
+        const before = textarea.value.slice(0, caret).replace(/\{\{([^{}\s]*)$/, `{{${macro}}}`);
+        const after = textarea.value.slice(caret).replace(/^[^{}\s]*\}\}/, '');
+        textarea.value = before + after;
+        textarea.focus();
+        textarea.setSelectionRange(before.length, before.length);
+        $('#add_ons_macro_suggestions').hide().empty();
+        this.renderPromptPreview();
+    }
+
+    /**
+     * Show the instruction with macros expanded against the active chat
+     */
+    renderPromptPreview() {
+        const $preview = $('#add_ons_prompt_preview');
+        const text = String($('#add_ons_form_prompt').val() || '');
+        if (!this.contextBuilder || !this.addonManager || !text.includes('{{')) {
+            $preview.hide();
+            return;
+        }
+
+        try {
+            const chatLog = this.contextBuilder.getChatLog();
+            const expanded = this.contextBuilder.expandMacros(text, this.buildPreviewAddon(), chatLog, chatLog.length - 1);
+            $preview.find('pre').text(expanded);
+            $preview.show();
+        } catch (error) {
+            console.error('[Sidecar AI] Error rendering instruction preview:', error);
+            $preview.hide();
+        }
+    }
+
+    /**
+     * Show the exact messages a standalone request would send for the form's current settings,
+     * built from the active chat's latest message
+     */
+    async renderMessagesPreview() {
+        const $preview = $('#add_ons_messages_preview');
+        if (!this.contextBuilder || !this.aiClient || !this.addonManager) {
+            $preview.show().text('Preview is not available.');
+            return;
+        }
+
+        try {
+            const addon = this.buildPreviewAddon();
+            const chatLog = this.contextBuilder.getChatLog();
+            if (addon.contextSettings.includeWorldCard) {
+                await this.contextBuilder.prepareWorldInfo(chatLog, chatLog.length - 1);
+            }
+            const context = this.contextBuilder.buildContext(
+                addon,
+                chatLog,
+                this.contextBuilder.getCharData(),
+                this.contextBuilder.getUserData(),
+                this.contextBuilder.getWorldData(),
+                chatLog.length - 1
+            );
+            const messages = this.aiClient.buildMessages(addon, this.contextBuilder.buildRequestPrompt(addon, context));
+
+            $preview.show().html(messages.map(message => `
+                <div class="add_ons_messages_preview_item">
+                    <div class="add_ons_messages_preview_role">${this.escapeHtml(message.role)}</div>
+                    <pre>${this.escapeHtml(message.content)}</pre>
+                </div>`).join(''));
+        } catch (error) {
+            console.error('[Sidecar AI] Error building messages preview:', error);
+            $preview.show().text(`Preview failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fill the budget and price table fields from usage settings
+     */
+    loadUsageSettings() {
+        if (!this.usageTracker) return;
+
+        const settings = this.usageTracker.getSettings();
+        $('#sidecar_usage_budget').val(settings.monthlyBudget || '');
+        $('#sidecar_usage_pricing').val(Object.entries(settings.pricing)
+            .map(([model, price]) => `${model} = ${price.input} / ${price.output}`)
+            .join('\n'));
+    }
+
+    /**
+     * Save budget and price table ("model = input / output" per line, USD per 1M tokens)
+     */
+    saveUsageSettings() {
+        if (!this.usageTracker) return;
+
+        const pricing = {};
+        const invalid = [];
+        String($('#sidecar_usage_pricing').val() || '').split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const match = line.match(/^(.+?)\s*=\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+            if (!match) {
+                invalid.push(`Line ${index + 1}: "${line}"`);
+                return;
+            }
+            pricing[match[1].trim()] = { input: Number(match[2]), output: Number(match[3]) };
+        });
+
+        if (invalid.length > 0) {
+            alert(`Invalid price line(s):\n\n${invalid.join('\n')}\n\nUse: model = input / output (USD per 1M tokens)`);
+            this.highlightError('#sidecar_usage_pricing');
+            return;
+        }
+
+        const settings = this.usageTracker.getSettings();
+        settings.pricing = pricing;
+        settings.monthlyBudget = Math.max(0, Number($('#sidecar_usage_budget').val()) || 0);
+        this.usageTracker.save();
+        this.renderUsagePanel();
+    }
+
+    /**
+     * Render spend per sidecar (this month), per day and for the current chat
+     */
+    renderUsagePanel() {
+        const container = document.getElementById('sidecar_usage_summary');
+        if (!container || !this.usageTracker) return;
+
+        const formatCost = cost => `$${(cost || 0).toFixed(4)}`;
+        const formatTokens = tokens => Math.round(tokens || 0).toLocaleString();
+        const settings = this.usageTracker.getSettings();
+        const summary = this.usageTracker.getSummary(7);
+        const chatUsage = this.usageTracker.getChatUsage();
+
+        const budgetText = settings.monthlyBudget > 0
+            ? ` / ${formatCost(settings.monthlyBudget)}${this.usageTracker.isOverBudget() ? ' <span class="add_ons_badge add_ons_badge_disabled">auto sidecars paused</span>' : ''}`
+            : '';
+
+        const addonRows = summary.perAddon.map(entry => `
+            <tr>
+                <td>${this.escapeHtml(entry.name || entry.id)}</td>
+                <td>${entry.requests}</td>
+                <td>${formatTokens(entry.promptTokens + entry.completionTokens)}</td>
+                <td>${formatCost(entry.cost)}</td>
+            </tr>`).join('');
+
+        const dayRows = summary.perDay.map(entry => `
+            <tr>
+                <td>${entry.day}</td>
+                <td colspan="2">${formatTokens(entry.tokens)}</td>
+                <td>${formatCost(entry.cost)}</td>
+            </tr>`).join('');
+
+        container.innerHTML = `
+            <p><b>This month:</b> ${formatCost(summary.month)}${budgetText} &middot; <b>Today:</b> ${formatCost(summary.today)}</p>
+            <p><b>This chat:</b> ${formatCost(chatUsage.cost)} (${formatTokens(chatUsage.promptTokens + chatUsage.completionTokens)} tokens, ${chatUsage.requests} request(s))</p>
+            <table class="add_ons_usage_table">
+                <thead><tr><th>Sidecar (this month)</th><th>Runs</th><th>Tokens</th><th>Cost</th></tr></thead>
+                <tbody>${addonRows || '<tr><td colspan="4">No usage yet</td></tr>'}</tbody>
+            </table>
+            <table class="add_ons_usage_table">
+                <thead><tr><th>Day</th><th colspan="2">Tokens</th><th>Cost</th></tr></thead>
+                <tbody>${dayRows || '<tr><td colspan="4">No usage yet</td></tr>'}</tbody>
+            </table>
+            <small class="add_ons_form_hint">Token counts come from the provider when it reports them, otherwise from a local tokenizer estimate.</small>
+        `;
+    }
+
+    /**
+     * Fill the request queue limits ("provider = concurrent / per minute" per line)
+     */
+    loadQueueSettings() {
+        const scheduler = this.aiClient?.scheduler;
+        if (!scheduler) return;
+
+        $('#sidecar_queue_limits').val(Object.entries(scheduler.getSettings().limits)
+            .map(([key, limits]) => `${key} = ${limits.concurrency} / ${limits.requestsPerMinute}`)
+            .join('\n'));
+        this.renderQueueStatus();
+    }
+
+    /**
+     * Save request queue limits
+     */
+    saveQueueSettings() {
+        const scheduler = this.aiClient?.scheduler;
+        if (!scheduler) return;
+
+        const limits = {};
+        const invalid = [];
+        String($('#sidecar_queue_limits').val() || '').split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const match = line.match(/^(.+?)\s*=\s*(\d+)\s*\/\s*(\d+)$/);
+            if (!match || Number(match[2]) < 1) {
+                invalid.push(`Line ${index + 1}: "${line}"`);
+                return;
+            }
+            limits[match[1].trim()] = { concurrency: Number(match[2]), requestsPerMinute: Number(match[3]) };
+        });
+
+        if (invalid.length > 0) {
+            alert(`Invalid limit line(s):\n\n${invalid.join('\n')}\n\nUse: provider = concurrent requests / requests per minute (at least 1 concurrent request)`);
+            this.highlightError('#sidecar_queue_limits');
+            return;
+        }
+
+        if (!limits['*']) {
+            limits['*'] = { ...scheduler.defaultLimits };
+        }
+        scheduler.getSettings().limits = limits;
+        scheduler.save();
+        this.loadQueueSettings();
+    }
+
+    /**
+     * Show running and waiting requests per provider queue
+     */
+    renderQueueStatus() {
+        const container = document.getElementById('sidecar_queue_status');
+        const scheduler = this.aiClient?.scheduler;
+        if (!container || !scheduler) return;
+
+        const rows = scheduler.getStatus().map(entry => `
+            <tr>
+                <td>${this.escapeHtml(entry.key)}</td>
+                <td>${entry.active} / ${entry.concurrency}</td>
+                <td>${entry.queued}</td>
+                <td>${entry.pausedFor > 0 ? `paused ${Math.ceil(entry.pausedFor / 1000)}s` : (entry.requestsPerMinute > 0 ? `${entry.requestsPerMinute}/min` : '-')}</td>
+            </tr>`).join('');
+
+        container.innerHTML = `
+            <table class="add_ons_usage_table">
+                <thead><tr><th>Queue</th><th>Running</th><th>Waiting</th><th>Rate</th></tr></thead>
+                <tbody>${rows || '<tr><td colspan="4">No requests in flight</td></tr>'}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Fill the response cache settings
+     */
+    loadCacheSettings() {
+        const cache = this.aiClient?.cache;
+        if (!cache) return;
+
+        const settings = cache.getSettings();
+        $('#sidecar_cache_enabled').prop('checked', settings.enabled);
+        $('#sidecar_cache_ttl').val(settings.ttlHours);
+        $('#sidecar_cache_max').val(settings.maxEntries);
+        this.renderCacheStatus();
+    }
+
+    /**
+     * Save response cache settings
+     */
+    saveCacheSettings() {
+        const cache = this.aiClient?.cache;
+        if (!cache) return;
+
+        const ttlHours = Number($('#sidecar_cache_ttl').val());
+        if (!Number.isFinite(ttlHours) || ttlHours < 0) {
+            alert('Keep Responses must be 0 or more hours (0 = never expire)');
+            this.highlightError('#sidecar_cache_ttl');
+            return;
+        }
+        const maxEntries = parseInt($('#sidecar_cache_max').val());
+        if (!Number.isFinite(maxEntries) || maxEntries < 1) {
+            alert('Max Cached Responses must be at least 1');
+            this.highlightError('#sidecar_cache_max');
+            return;
+        }
+
+        Object.assign(cache.getSettings(), {
+            enabled: $('#sidecar_cache_enabled').prop('checked'),
+            ttlHours,
+            maxEntries
+        });
+        cache.save();
+        // Apply the new limits to what is already stored
+        cache.prune().catch(error => console.warn('[Sidecar AI] Response cache prune failed:', error))
+            .finally(() => this.loadCacheSettings());
+    }
+
+    /**
+     * Show whether the cache is on and how many responses it holds
+     */
+    async renderCacheStatus() {
+        const container = document.getElementById('sidecar_cache_status');
+        const cache = this.aiClient?.cache;
+        if (!container || !cache) return;
+
+        if (typeof indexedDB === 'undefined') {
+            container.textContent = 'IndexedDB is not available in this browser; responses are not cached.';
+            return;
+        }
+        const count = await cache.count();
+        container.textContent = `${cache.getSettings().enabled ? 'On' : 'Off'} · ${count} cached response${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Populate the scope selects from SillyTavern's characters and groups
+     * Saved entries that no longer exist stay selectable so they aren't silently dropped
+     */
+    loadScopeOptions(scope) {
+        const ctx = getSillyTavernContext(this.context);
+        const active = this.addonManager?.getActiveChatInfo() || {};
+
+        const fill = (selector, options, selected) => {
+            const $select = $(selector).empty();
+            const values = new Set();
+            options.forEach(([value, label]) => {
+                if (value && !values.has(value)) {
+                    values.add(value);
+                    $select.append($('<option></option>').attr('value', value).text(label));
+                }
+            });
+            (selected || []).filter(value => !values.has(value)).forEach(value => {
+                $select.append($('<option></option>').attr('value', value).text(`${value} (not found)`));
+            });
+            $select.val(selected || []);
+        };
+
+        fill('#add_ons_form_scope_characters',
+            (ctx?.characters || []).map(char => [char?.avatar, char?.name || char?.avatar]),
+            scope.characters);
+        fill('#add_ons_form_scope_groups',
+            (ctx?.groups || []).map(group => [String(group?.id ?? ''), group?.name || group?.id]),
+            scope.groups);
+        fill('#add_ons_form_scope_chats',
+            (scope.chats || []).map(chatId => [chatId, chatId === active.chatId ? `${chatId} (current)` : chatId]),
+            scope.chats);
+
+        $('#add_ons_form_scope_mode').val(scope.mode || 'global');
+        $('#add_ons_scope_lists').toggle((scope.mode || 'global') !== 'global');
+    }
+
+    /**
+     * Short label for where a sidecar runs, used in the sidecar list
+     */
+    getScopeSummary(addon) {
+        const scope = addon.scope || {};
+        if (!scope.mode || scope.mode === 'global') {
+            return null;
+        }
+
+        const ctx = getSillyTavernContext(this.context);
+        const names = [
+            ...(scope.characters || []).map(avatar => (ctx?.characters || []).find(char => char?.avatar === avatar)?.name || avatar),
+            ...(scope.groups || []).map(id => (ctx?.groups || []).find(group => String(group?.id) === id)?.name || id),
+            ...(scope.chats || []).map(chatId => `chat ${chatId}`)
+        ];
+
+        return {
+            label: `${scope.mode === 'allow' ? 'only' : 'except'}: ${names.length === 1 ? names[0] : names.length}`,
+            title: `${scope.mode === 'allow' ? 'Runs only in' : 'Runs everywhere except'}: ${names.join(', ') || '(nothing selected)'}`
+        };
+    }
+
+    /**
+     * Populate the "Depends On" multi-select with the other sidecars
+     */
+    loadDependencyOptions(currentId = null, selectedIds = []) {
+        const $select = $('#add_ons_form_depends_on');
+        if ($select.length === 0) return;
+
+        $select.empty();
+        const others = (this.addonManager?.getAllAddons() || []).filter(addon => addon.id !== currentId);
+        others.forEach(addon => {
+            $select.append($('<option></option>').attr('value', addon.id).text(addon.name));
+        });
+        $select.val(selectedIds.filter(id => others.some(addon => addon.id === id)));
+    }
+
     /**
      * Populate Connection Manager profiles dropdown (if available).
      * Uses ST's extensionSettings.connectionManager.profiles + CONNECT_API_MAP to filter supported profiles.
@@ -1720,6 +2845,84 @@ export class SettingsUI {
         }
     }
 
+    /**
+     * Parse state field declarations, one per line: "name: type [min..max] = default"
+     * Lines starting with # are ignored
+     * @returns {{fields: Array, errors: Array<string>}}
+     */
+    parseStateFields(text) {
+        const fields = [];
+        const errors = [];
+        const linePattern = /^([A-Za-z_]\w*)\s*:\s*(number|string|boolean|list)\s*(?:\[\s*(-?\d+(?:\.\d+)?)?\s*\.\.\s*(-?\d+(?:\.\d+)?)?\s*\])?\s*(?:=\s*(.*))?$/i;
+
+        String(text || '').split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) {
+                return;
+            }
+
+            const match = line.match(linePattern);
+            if (!match) {
+                errors.push(`Line ${index + 1}: "${line}"`);
+                return;
+            }
+
+            const [, name, rawType, min, max, rawDefault] = match;
+            const type = rawType.toLowerCase();
+            const defaultValue = rawDefault !== undefined ? rawDefault.trim() : undefined;
+
+            if (fields.some(field => field.name === name)) {
+                errors.push(`Line ${index + 1}: duplicate field "${name}"`);
+                return;
+            }
+            if ((min !== undefined || max !== undefined) && type !== 'number') {
+                errors.push(`Line ${index + 1}: a range is only allowed for number fields`);
+                return;
+            }
+            if (type === 'number' && defaultValue && !Number.isFinite(Number(defaultValue))) {
+                errors.push(`Line ${index + 1}: default for "${name}" must be a number`);
+                return;
+            }
+
+            const field = { name, type };
+            if (type === 'number') {
+                field.min = min !== undefined ? Number(min) : null;
+                field.max = max !== undefined ? Number(max) : null;
+                field.default = defaultValue ? Number(defaultValue) : undefined;
+            } else if (type === 'list') {
+                field.default = defaultValue ? defaultValue.split(',').map(item => item.trim()).filter(item => item.length > 0) : [];
+            } else if (type === 'boolean') {
+                field.default = defaultValue?.toLowerCase() === 'true';
+            } else {
+                field.default = defaultValue || '';
+            }
+            fields.push(field);
+        });
+
+        return { fields, errors };
+    }
+
+    /**
+     * Format state fields back into the textarea syntax
+     */
+    formatStateFields(fields) {
+        if (!Array.isArray(fields)) {
+            return '';
+        }
+
+        return fields.map(field => {
+            let line = `${field.name}: ${field.type}`;
+            if (field.type === 'number' && (field.min !== null && field.min !== undefined || field.max !== null && field.max !== undefined)) {
+                line += ` [${field.min ?? ''}..${field.max ?? ''}]`;
+            }
+            const defaultValue = Array.isArray(field.default) ? field.default.join(', ') : field.default;
+            if (defaultValue !== undefined && defaultValue !== '') {
+                line += ` = ${defaultValue}`;
+            }
+            return line;
+        }).join('\n');
+    }
+
     async saveAddon() {
         const form = $('#add_ons_form')[0];
         if (!form.checkValidity()) {
@@ -1727,11 +2930,105 @@ export class SettingsUI {
             return;
         }
 
+        // Validate state field declarations before the connection test
+        const stateFieldsResult = this.parseStateFields($('#add_ons_form_state_fields').val());
+        if (stateFieldsResult.errors.length > 0) {
+            alert(`Invalid state field(s):\n\n${stateFieldsResult.errors.join('\n')}\n\nUse one field per line: name: type [min..max] = default`);
+            $('#add_ons_form_state_fields').focus();
+            this.highlightError('#add_ons_form_state_fields');
+            return;
+        }
+
+        const fallbacksResult = this.parseFallbacks($('#add_ons_form_fallbacks').val());
+        if (fallbacksResult.errors.length > 0) {
+            alert(`Invalid fallback line(s):\n\n${fallbacksResult.errors.join('\n')}\n\nUse: provider: model (optionally "@ url") or profile: <profile name>`);
+            this.highlightError('#add_ons_form_fallbacks');
+            return;
+        }
+
+        const providerSettingsResult = this.readProviderSettings($('#add_ons_form_ai_provider').val());
+        if (providerSettingsResult.errors.length > 0) {
+            alert(`Invalid provider settings:\n\n${providerSettingsResult.errors.join('\n')}`);
+            this.highlightError('#add_ons_form_extra_headers');
+            this.highlightError('#add_ons_form_extra_body');
+            return;
+        }
+
+        // Per-member runs would each return their own state delta for one shared state
+        if ($('#add_ons_form_group_mode').val() === 'perMember' && stateFieldsResult.fields.length > 0) {
+            alert('Sidecars with state fields cannot run once per group member. Remove the state fields or run once per message.');
+            this.highlightError('#add_ons_form_group_mode');
+            return;
+        }
+
+        // Memory sidecars keep their own summary; state and per-member runs don't apply
+        if ($('#add_ons_form_kind').val() === 'memory' && (stateFieldsResult.fields.length > 0 || $('#add_ons_form_group_mode').val() === 'perMember')) {
+            alert('Memory sidecars cannot have state fields or run once per group member.');
+            this.highlightError('#add_ons_form_kind');
+            return;
+        }
+
+        // A rewrite replaces the one message with one output
+        if ($('#add_ons_form_response_location').val() === 'rewrite' && ($('#add_ons_form_kind').val() === 'memory' || $('#add_ons_form_group_mode').val() === 'perMember')) {
+            alert('The Rewrite location cannot be used by memory sidecars or sidecars that run once per group member.');
+            this.highlightError('#add_ons_form_response_location');
+            return;
+        }
+
+        // Pre-generation sidecars run once on the user's message and inject one output
+        if ($('#add_ons_form_phase').val() === 'before') {
+            let reason = '';
+            if ($('#add_ons_form_trigger_mode').val() === 'manual') {
+                reason = 'use the Auto or Trigger mode';
+            } else if ($('#add_ons_form_kind').val() === 'memory' || $('#add_ons_form_group_mode').val() === 'perMember') {
+                reason = 'not be memory sidecars or run once per group member';
+            } else if ($('#add_ons_form_response_location').val() === 'rewrite') {
+                reason = 'not use the Rewrite location';
+            }
+            if (reason) {
+                alert(`Sidecars that run before the AI reply must ${reason}.`);
+                this.highlightError('#add_ons_form_phase');
+                return;
+            }
+        }
+
+        // Every trigger condition needs a value (and a sidecar where one is referenced)
+        if ($('#add_ons_form_trigger_mode').val() === 'trigger') {
+            const incomplete = this.readConditionRows().filter(condition =>
+                condition.value === '' || (condition.type === 'sidecarResult' && !condition.addonId));
+            if (incomplete.length > 0) {
+                alert(`${incomplete.length} trigger condition(s) are incomplete. Fill in a value or remove them.`);
+                this.highlightError('#add_ons_trigger_conditions_list');
+                return;
+            }
+        }
+
+        // Reject dependency cycles before the connection test
+        if (this.addonManager) {
+            const cycle = this.addonManager.findDependencyCycle({
+                id: $('#add_ons_form_id').val() || '__new__',
+                name: $('#add_ons_form_name').val(),
+                dependsOn: $('#add_ons_form_depends_on').val() || []
+            });
+            if (cycle) {
+                alert(`Dependency cycle: ${cycle.map(a => a.name).join(' → ')}\n\nRemove one of the dependencies to save.`);
+                this.highlightError('#add_ons_form_depends_on');
+                return;
+            }
+        }
+
         // Get form values first
         const provider = $('#add_ons_form_ai_provider').val();
         const model = $('#add_ons_form_ai_model').val();
         const apiUrl = $('#add_ons_form_api_url').val()?.trim() || null;
 
+        if (provider === 'azure' && !apiUrl) {
+            alert('Azure OpenAI needs your resource endpoint as API URL (https://<resource>.openai.azure.com).');
+            $('#add_ons_form_api_url').focus();
+            this.highlightError('#add_ons_form_api_url');
+            return;
+        }
+
         // Get API key - check if using ST's saved key or user-entered key
         const apiKeyField = $('#add_ons_form_api_key');
         let apiKey = apiKeyField.val();
@@ -1744,8 +3041,10 @@ export class SettingsUI {
             : [];
 
         // If using ST's saved key, we don't need to fetch it - testConnection will use ChatCompletionService
-        // Only validate that a key exists (for UI prefilling check)
-        if (!isUsingSTKey) {
+        // Only validate that a key exists (for UI prefilling check); local servers don't need one
+        if (this.aiClient?.isTextCompletionProvider(provider)) {
+            apiKey = isUsingSTKey ? '' : apiKey.trim();
+        } else if (!isUsingSTKey) {
             apiKey = apiKey.trim();
             // Validate API key is available
             if (!apiKey || apiKey.trim() === '') {
@@ -1785,7 +3084,8 @@ export class SettingsUI {
                     apiKey,
                     apiUrl,
                     serviceProvider,
-                    isUsingSTKey
+                    isUsingSTKey,
+                    providerSettingsResult.settings
                 );
 
                 if (!testResult.success) {
@@ -1824,7 +3124,9 @@ export class SettingsUI {
                     triggerType: $('#add_ons_form_trigger_type').val(),
                     triggers: $('#add_ons_form_triggers').val().split('\n')
                         .map(t => t.trim())
-                        .filter(t => t.length > 0)
+                        .filter(t => t.length > 0),
+                    conditions: this.readConditionRows(),
+                    conditionLogic: $('#add_ons_form_condition_logic').val() || 'and'
                 },
                 requestMode: $('#add_ons_form_request_mode').val(),
                 aiProvider: provider,
@@ -1832,18 +3134,57 @@ export class SettingsUI {
                 apiKey: savedApiKey, // Save empty if using ST key, otherwise save the entered key
                 apiUrl: apiUrl || '', // Optional
                 serviceProvider: serviceProvider, // Array of service providers for OpenRouter
+                instructTemplate: $('#add_ons_form_instruct_template').val() || 'chatml',
+                providerSettings: providerSettingsResult.settings,
                 connectionProfileId: $('#add_ons_form_connection_profile').val() || '',
+                fallbacks: fallbacksResult.fallbacks,
+                fallbackSettings: {
+                    on: $('.add_ons_form_fallback_on:checked').map((i, el) => el.value).get()
+                },
                 resultFormat: $('#add_ons_form_result_format').val(),
                 responseLocation: $('#add_ons_form_response_location').val(),
                 formatStyle: $('#add_ons_form_format_style').val() || 'html-css',
                 inlineMode: $('#add_ons_form_inline_mode').val() || 'off',
+                rewriteSettings: {
+                    mode: $('#add_ons_form_rewrite_mode').val() || 'replace'
+                },
+                injectionSettings: {
+                    position: $('#add_ons_form_injection_position').val() || 'inChat',
+                    depth: parseInt($('#add_ons_form_injection_depth').val()),
+                    role: $('#add_ons_form_injection_role').val() || 'system'
+                },
+                phase: $('#add_ons_form_phase').val() || 'after',
+                preGenerationSettings: {
+                    timeoutSeconds: parseInt($('#add_ons_form_pre_timeout').val()) || 20
+                },
+                streaming: $('#add_ons_form_streaming').is(':checked'),
+                generationParams: this.readGenerationParams(),
+                promptSettings: this.readPromptSettings(),
+                promptLayout: $('#add_ons_form_prompt_layout').val() || 'single',
+                groupMode: $('#add_ons_form_group_mode').val() || 'once',
+                kind: $('#add_ons_form_kind').val() || 'standard',
+                memorySettings: {
+                    interval: parseInt($('#add_ons_form_memory_interval').val()) || 10,
+                    maxEntries: parseInt($('#add_ons_form_memory_max_entries').val()) || 5
+                },
+                stateFields: stateFieldsResult.fields,
+                dependsOn: $('#add_ons_form_depends_on').val() || [],
+                scope: {
+                    mode: $('#add_ons_form_scope_mode').val() || 'global',
+                    characters: $('#add_ons_form_scope_characters').val() || [],
+                    groups: $('#add_ons_form_scope_groups').val() || [],
+                    chats: $('#add_ons_form_scope_chats').val() || []
+                },
                 contextSettings: {
                     messagesCount: parseInt($('#add_ons_form_messages_count').val()) || 10,
                     includeCharCard: $('#add_ons_form_include_char_card').is(':checked'),
                     includeUserCard: $('#add_ons_form_include_user_card').is(':checked'),
                     includeWorldCard: $('#add_ons_form_include_world_card').is(':checked'),
+                    includeMemory: $('#add_ons_form_include_memory').is(':checked'),
                     includeHistory: $('#add_ons_form_include_history').is(':checked'),
-                    historyDepth: Math.max(1, parseInt($('#add_ons_form_history_depth').val()) || 1)  // Minimum 1 always
+                    historyDepth: Math.max(1, parseInt($('#add_ons_form_history_depth').val()) || 1),  // Minimum 1 always
+                    tokenBudget: Math.max(0, parseInt($('#add_ons_form_token_budget').val()) || 0),
+                    groupCards: $('#add_ons_form_group_cards').val() || 'speaker'
                 },
                 enabled: true
             };
@@ -2908,21 +4249,8 @@ Return ONLY the JSON object, properly formatted.`;
                 model = defaultModels[provider?.toLowerCase()] || 'gpt-4o-mini';
             }
 
-            // Map provider to chat_completion_source (same logic as ai-client.js)
-            const getChatCompletionSource = (provider) => {
-                const sourceMap = {
-                    'openai': 'openai',
-                    'openrouter': 'openrouter',
-                    'anthropic': 'anthropic',
-                    'google': 'makersuite',
-                    'deepseek': 'deepseek',
-                    'cohere': 'cohere',
-                    'custom': 'custom',
-                };
-                return sourceMap[provider?.toLowerCase()] || 'openai';
-            };
-
-            const chatCompletionSource = getChatCompletionSource(provider);
+            // Map provider to chat_completion_source
+            const chatCompletionSource = this.aiClient.getChatCompletionSource(provider);
             const presetName = $('#ai_maker_preset').val() || undefined;
 
             console.log('[Sidecar AI] Generating template with:', {
@@ -3111,20 +4439,7 @@ Return ONLY the JSON object, properly formatted.`;
             const presetName = $('#ai_maker_preset').val() || undefined;
 
             // Map provider to chat_completion_source
-            const getChatCompletionSource = (provider) => {
-                const sourceMap = {
-                    'openai': 'openai',
-                    'openrouter': 'openrouter',
-                    'anthropic': 'anthropic',
-                    'google': 'makersuite',
-                    'deepseek': 'deepseek',
-                    'cohere': 'cohere',
-                    'custom': 'custom',
-                };
-                return sourceMap[provider?.toLowerCase()] || 'openai';
-            };
-
-            const chatCompletionSource = getChatCompletionSource(provider);
+            const chatCompletionSource = this.aiClient.getChatCompletionSource(provider);
 
             // Build context for the test
             const contextMessages = testScenario.messages.map(msg => ({
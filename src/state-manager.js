@@ -0,0 +1,280 @@
+/**
+ * State Manager
+ * Persistent, typed state for sidecars (numbers, strings, lists, booleans)
+ * The model returns a delta in a <sidecar_state> block; snapshots are stored per swipe variant
+ * next to sidecarResults (message.swipe_info[swipeId].extra.sidecarState)
+ */
+
+export class StateManager {
+    constructor(context) {
+        this.context = context;
+        this._stateBlock = /<sidecar_state>([\s\S]*?)<\/sidecar_state>/gi;
+        this._partialStateBlock = /<sidecar_state>[\s\S]*$/i;
+        this._relativeNumber = /^\s*([+-])\s*(\d+(?:\.\d+)?)\s*$/;
+    }
+
+    /**
+     * Check whether an add-on declares state fields
+     */
+    hasState(addon) {
+        return Array.isArray(addon?.stateFields) && addon.stateFields.length > 0;
+    }
+
+    /**
+     * Default values for the declared fields
+     */
+    getDefaults(fields) {
+        const values = {};
+        (fields || []).forEach(field => {
+            values[field.name] = Array.isArray(field.default) ? [...field.default] : field.default;
+        });
+        return values;
+    }
+
+    /**
+     * Split a response into display output and state delta
+     * @returns {{output: string, delta: Object|null}}
+     */
+    extractDelta(response) {
+        const text = String(response || '');
+        let delta = null;
+
+        for (const match of text.matchAll(this._stateBlock)) {
+            const parsed = this.parseStateJson(match[1]);
+            if (parsed) {
+                delta = { ...(delta || {}), ...parsed };
+            }
+        }
+
+        return {
+            output: this.stripStateBlock(text).trim(),
+            delta
+        };
+    }
+
+    /**
+     * Remove state blocks (including a trailing, still-streaming one) from text
+     */
+    stripStateBlock(text) {
+        return String(text || '')
+            .replace(this._stateBlock, '')
+            .replace(this._partialStateBlock, '');
+    }
+
+    /**
+     * Parse the JSON body of a state block (tolerates code fences)
+     */
+    parseStateJson(body) {
+        let jsonStr = String(body || '').trim();
+        const codeFenceMatch = jsonStr.match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/);
+        if (codeFenceMatch) {
+            jsonStr = codeFenceMatch[1].trim();
+        }
+
+        try {
+            const parsed = JSON.parse(jsonStr);
+            return (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : null;
+        } catch (e) {
+            console.warn('[Sidecar AI] Ignoring malformed state block:', jsonStr.substring(0, 100));
+            return null;
+        }
+    }
+
+    /**
+     * Apply a delta to the current values
+     * Numbers accept absolute values or relative strings ("+2", "-1") and are clamped to min/max.
+     * Lists accept a full array or {"add": [...], "remove": [...]}. Unknown keys are ignored.
+     * @returns {Object} New values (current is not mutated)
+     */
+    applyDelta(fields, current, delta) {
+        const values = { ...this.getDefaults(fields), ...(current || {}) };
+        if (!delta || typeof delta !== 'object') {
+            return values;
+        }
+
+        (fields || []).forEach(field => {
+            if (!Object.prototype.hasOwnProperty.call(delta, field.name)) {
+                return;
+            }
+            const change = delta[field.name];
+
+            switch (field.type) {
+                case 'number': {
+                    let next = Number(values[field.name]) || 0;
+                    const relative = typeof change === 'string' ? change.match(this._relativeNumber) : null;
+                    if (relative) {
+                        next += (relative[1] === '-' ? -1 : 1) * Number(relative[2]);
+                    } else if (!Number.isNaN(Number(change)) && change !== null && change !== '') {
+                        next = Number(change);
+                    } else {
+                        return;
+                    }
+                    if (typeof field.min === 'number') next = Math.max(field.min, next);
+                    if (typeof field.max === 'number') next = Math.min(field.max, next);
+                    values[field.name] = next;
+                    break;
+                }
+
+                case 'boolean':
+                    values[field.name] = change === true || String(change).toLowerCase() === 'true';
+                    break;
+
+                case 'list': {
+                    let list = Array.isArray(values[field.name]) ? [...values[field.name]] : [];
+                    if (Array.isArray(change)) {
+                        list = change.map(item => String(item));
+                    } else if (change && typeof change === 'object') {
+                        const toRemove = (Array.isArray(change.remove) ? change.remove : []).map(item => String(item));
+                        list = list.filter(item => !toRemove.includes(item));
+                        (Array.isArray(change.add) ? change.add : []).forEach(item => {
+                            if (!list.includes(String(item))) {
+                                list.push(String(item));
+                            }
+                        });
+                    } else if (change !== null && change !== undefined && change !== '') {
+                        list.push(String(change));
+                    }
+                    values[field.name] = list;
+                    break;
+                }
+
+                default: // string
+                    values[field.name] = change === null || change === undefined ? '' : String(change);
+                    break;
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Read the stored snapshot for an add-on from a message's active swipe variant
+     */
+    getStoredSnapshot(message, addonId) {
+        if (!message || message.is_user) {
+            return null;
+        }
+
+        const swipeId = message.swipe_id ?? 0;
+        const swipeInfo = Array.isArray(message.swipe_info) ? message.swipe_info[swipeId] : null;
+        // Only fall back to message.extra when the variant has no swipe_info (legacy/single-swipe messages);
+        // otherwise the mirror may belong to a different variant.
+        const stateStore = swipeInfo ? swipeInfo.extra?.sidecarState : message.extra?.sidecarState;
+        return stateStore?.[addonId] || null;
+    }
+
+    /**
+     * Get the current state for an add-on: the latest snapshot before a message, or the defaults
+     * @param {Array} chatLog - Chat messages
+     * @param {Object} addon - Add-on with stateFields
+     * @param {number|null} beforeIndex - Only look at messages before this chat index (the message being processed)
+     */
+    getState(chatLog, addon, beforeIndex = null) {
+        const fields = addon?.stateFields || [];
+        const defaults = this.getDefaults(fields);
+        if (!Array.isArray(chatLog) || chatLog.length === 0) {
+            return defaults;
+        }
+
+        const start = (typeof beforeIndex === 'number' && beforeIndex >= 0 && beforeIndex <= chatLog.length)
+            ? beforeIndex - 1
+            : chatLog.length - 1;
+
+        for (let i = start; i >= 0; i--) {
+            const snapshot = this.getStoredSnapshot(chatLog[i], addon.id);
+            if (snapshot?.values) {
+                // Only keep declared fields (fields may have changed since the snapshot)
+                const values = { ...defaults };
+                fields.forEach(field => {
+                    if (Object.prototype.hasOwnProperty.call(snapshot.values, field.name)) {
+                        values[field.name] = snapshot.values[field.name];
+                    }
+                });
+                return values;
+            }
+        }
+
+        return defaults;
+    }
+
+    /**
+     * Save a state snapshot (and the delta that produced it) to the message's current swipe variant
+     */
+    saveState(message, addon, delta, values) {
+        if (!message || !addon) {
+            return false;
+        }
+
+        try {
+            const swipeId = message.swipe_id ?? 0;
+
+            if (!Array.isArray(message.swipe_info)) {
+                message.swipe_info = [];
+            }
+            if (!message.swipe_info[swipeId]) {
+                message.swipe_info[swipeId] = {
+                    send_date: message.send_date,
+                    gen_started: message.gen_started,
+                    gen_finished: message.gen_finished,
+                    extra: {}
+                };
+            }
+            if (!message.swipe_info[swipeId].extra) {
+                message.swipe_info[swipeId].extra = {};
+            }
+            if (!message.swipe_info[swipeId].extra.sidecarState) {
+                message.swipe_info[swipeId].extra.sidecarState = {};
+            }
+
+            message.swipe_info[swipeId].extra.sidecarState[addon.id] = {
+                values: values,
+                delta: delta || {},
+                timestamp: Date.now()
+            };
+
+            // Mirror to message.extra like sidecarResults
+            if (!message.extra) {
+                message.extra = {};
+            }
+            if (!message.extra.sidecarState) {
+                message.extra.sidecarState = {};
+            }
+            message.extra.sidecarState[addon.id] = message.swipe_info[swipeId].extra.sidecarState[addon.id];
+
+            console.log(`[Sidecar AI] Saved state for ${addon.name} in swipe variant ${swipeId}`);
+            return true;
+        } catch (error) {
+            console.error('[Sidecar AI] Error saving sidecar state:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Point message.extra.sidecarState at the active variant's snapshots (called on swipe)
+     */
+    restoreSnapshotForSwipe(message) {
+        if (!message || !Array.isArray(message.swipe_info)) {
+            return;
+        }
+
+        const swipeId = message.swipe_id ?? 0;
+        const stored = message.swipe_info[swipeId]?.extra?.sidecarState;
+        if (!message.extra) {
+            message.extra = {};
+        }
+        message.extra.sidecarState = stored ? { ...stored } : {};
+    }
+
+    /**
+     * Format current values for the prompt, one field per line
+     */
+    formatState(fields, values) {
+        return (fields || []).map(field => {
+            let spec = field.type;
+            if (field.type === 'number' && (typeof field.min === 'number' || typeof field.max === 'number')) {
+                spec += `, ${field.min ?? '-∞'}..${field.max ?? '∞'}`;
+            }
+            return `- ${field.name} (${spec}): ${JSON.stringify(values?.[field.name])}`;
+        }).join('\n');
+    }
+}
@@ -0,0 +1,309 @@
+/**
+ * Usage Tracker
+ * Token usage, cost (from a per-model price table) and the optional monthly budget
+ * Totals are kept in a per-day ledger in extension settings, and per chat in the chat's metadata (chatMetadata.sidecarUsage)
+ */
+
+import { getSillyTavernContext } from './live-context.js';
+
+export class UsageTracker {
+    constructor(context, addonManager) {
+        this.context = context;
+        this.addonManager = addonManager; // Owns the extension settings object
+        this.ledgerRetentionDays = 400; // Enough for per-day and monthly views
+        this.chatMetadataKey = 'sidecarUsage';
+    }
+
+    /**
+     * Usage settings (created on first access): {pricing, monthlyBudget, ledger}
+     * pricing: {"<model>": {input, output}} in USD per 1M tokens
+     * ledger: {"YYYY-MM-DD": {"<addonId>": {name, promptTokens, completionTokens, cost, requests}}}
+     */
+    getSettings() {
+        const root = this.addonManager.getExtensionSettings();
+        if (!root.usage || typeof root.usage !== 'object') {
+            root.usage = {};
+        }
+        if (!root.usage.pricing || typeof root.usage.pricing !== 'object') {
+            root.usage.pricing = {};
+        }
+        if (!root.usage.ledger || typeof root.usage.ledger !== 'object') {
+            root.usage.ledger = {};
+        }
+        root.usage.monthlyBudget = Math.max(0, Number(root.usage.monthlyBudget) || 0);
+
+        return root.usage;
+    }
+
+    /**
+     * Persist usage settings
+     */
+    save() {
+        this.addonManager.saveExtensionSettings();
+    }
+
+    /**
+     * Look up the price for a model: exact name first, then without the vendor prefix ("openai/gpt-4o" -> "gpt-4o")
+     * @returns {{input: number, output: number}|null}
+     */
+    getPrice(model) {
+        if (!model) {
+            return null;
+        }
+        const pricing = this.getSettings().pricing;
+        const key = String(model);
+        return pricing[key] || pricing[key.split('/').pop()] || null;
+    }
+
+    /**
+     * Cost in USD for a usage record (0 when the model has no price)
+     */
+    calculateCost(usage) {
+        const price = this.getPrice(usage?.model);
+        if (!price) {
+            return 0;
+        }
+        return ((usage.promptTokens || 0) * (price.input || 0) + (usage.completionTokens || 0) * (price.output || 0)) / 1000000;
+    }
+
+    /**
+     * Price a request's usage: {promptTokens, completionTokens, estimated, model, cost}
+     * @param {Object|null} usage - {promptTokens, completionTokens, estimated, model} from AIClient
+     * @returns {Object|null}
+     */
+    priceUsage(usage) {
+        if (!usage) {
+            return null;
+        }
+
+        const record = {
+            promptTokens: Math.round(usage.promptTokens || 0),
+            completionTokens: Math.round(usage.completionTokens || 0),
+            estimated: usage.estimated === true,
+            model: usage.model || '',
+        };
+        record.cost = this.calculateCost(record);
+        return record;
+    }
+
+    /**
+     * Price the usage of one billed request, add it to today's ledger and the chat's total
+     * Called as soon as the provider reports usage, whether or not the result is shown afterwards.
+     * @param {Object} addon - Add-on the usage belongs to
+     * @param {Object|null} usage - {promptTokens, completionTokens, estimated, model} from AIClient
+     * @returns {Object|null} Usage record with cost to store with the result, or null when there is no usage
+     */
+    recordUsage(addon, usage) {
+        const record = this.priceUsage(usage);
+        if (!record) {
+            return null;
+        }
+
+        try {
+            const settings = this.getSettings();
+            const day = this.getDayKey();
+            if (!settings.ledger[day]) {
+                settings.ledger[day] = {};
+            }
+            const entry = settings.ledger[day][addon.id] || { name: addon.name, promptTokens: 0, completionTokens: 0, cost: 0, requests: 0 };
+            entry.name = addon.name;
+            entry.promptTokens += record.promptTokens;
+            entry.completionTokens += record.completionTokens;
+            entry.cost += record.cost;
+            entry.requests += 1;
+            settings.ledger[day][addon.id] = entry;
+
+            this.pruneLedger(settings.ledger);
+            this.save();
+            this.recordChatUsage(record);
+        } catch (error) {
+            console.error('[Sidecar AI] Error recording usage:', error);
+        }
+
+        return record;
+    }
+
+    /**
+     * Live SillyTavern context (the chat and its metadata change with the open chat)
+     */
+    getLiveContext() {
+        return getSillyTavernContext(this.context);
+    }
+
+    /**
+     * Add a usage record to the open chat's running total
+     * Every billed request counts, including the ones whose result was later regenerated.
+     */
+    recordChatUsage(record) {
+        const ctx = this.getLiveContext();
+        const metadata = ctx?.chatMetadata;
+        if (!metadata) {
+            return;
+        }
+
+        // Chats from before the per-chat ledger start from the usage stored with their results
+        const total = metadata[this.chatMetadataKey] || this.sumStoredUsage(ctx.chat);
+        total.promptTokens += record.promptTokens;
+        total.completionTokens += record.completionTokens;
+        total.cost += record.cost;
+        total.requests += 1;
+        metadata[this.chatMetadataKey] = total;
+
+        if (typeof ctx.saveMetadataDebounced === 'function') {
+            ctx.saveMetadataDebounced();
+        } else if (typeof ctx.saveMetadata === 'function') {
+            ctx.saveMetadata();
+        }
+    }
+
+    /**
+     * Sum several usage records (memory chunks, group members) into one to store with the result
+     * @returns {Object|null}
+     */
+    combineRecords(records) {
+        const list = (records || []).filter(Boolean);
+        if (list.length === 0) {
+            return null;
+        }
+        return {
+            promptTokens: list.reduce((sum, item) => sum + (item.promptTokens || 0), 0),
+            completionTokens: list.reduce((sum, item) => sum + (item.completionTokens || 0), 0),
+            estimated: list.some(item => item.estimated),
+            model: list[0].model,
+            cost: list.reduce((sum, item) => sum + (item.cost || 0), 0),
+        };
+    }
+
+    /**
+     * Split one batch request's usage across its add-ons
+     * Prompt tokens are shared evenly, completion tokens by output length
+     * @returns {Array<Object|null>} Usage aligned with responses
+     */
+    splitBatchUsage(usage, responses) {
+        if (!usage || !Array.isArray(responses) || responses.length === 0) {
+            return responses.map(() => null);
+        }
+
+        const lengths = responses.map(response => (response ? String(response).length : 0));
+        const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+
+        return responses.map((response, index) => ({
+            ...usage,
+            promptTokens: (usage.promptTokens || 0) / responses.length,
+            completionTokens: totalLength > 0 ? (usage.completionTokens || 0) * lengths[index] / totalLength : 0,
+        }));
+    }
+
+    /**
+     * Drop ledger days older than the retention window
+     */
+    pruneLedger(ledger) {
+        const cutoff = this.getDayKey(new Date(Date.now() - this.ledgerRetentionDays * 86400000));
+        Object.keys(ledger).forEach(day => {
+            if (day < cutoff) {
+                delete ledger[day];
+            }
+        });
+    }
+
+    /**
+     * Local date key (YYYY-MM-DD)
+     */
+    getDayKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Total spend for the current calendar month
+     */
+    getMonthSpend() {
+        const monthPrefix = this.getDayKey().slice(0, 8);
+        const ledger = this.getSettings().ledger;
+        return Object.keys(ledger)
+            .filter(day => day.startsWith(monthPrefix))
+            .reduce((sum, day) => sum + Object.values(ledger[day]).reduce((daySum, entry) => daySum + (entry.cost || 0), 0), 0);
+    }
+
+    /**
+     * True once the monthly budget (if set) has been reached
+     */
+    isOverBudget() {
+        const budget = this.getSettings().monthlyBudget;
+        return budget > 0 && this.getMonthSpend() >= budget;
+    }
+
+    /**
+     * Aggregate the ledger
+     * @param {number} days - Number of most recent days for the per-day list
+     * @returns {{month: number, today: number, perDay: Array, perAddon: Array}}
+     */
+    getSummary(days = 7) {
+        const ledger = this.getSettings().ledger;
+        const monthPrefix = this.getDayKey().slice(0, 8);
+        const perAddon = {};
+
+        Object.keys(ledger).filter(day => day.startsWith(monthPrefix)).forEach(day => {
+            Object.entries(ledger[day]).forEach(([addonId, entry]) => {
+                const total = perAddon[addonId] || { id: addonId, name: entry.name, promptTokens: 0, completionTokens: 0, cost: 0, requests: 0 };
+                total.name = entry.name || total.name;
+                total.promptTokens += entry.promptTokens || 0;
+                total.completionTokens += entry.completionTokens || 0;
+                total.cost += entry.cost || 0;
+                total.requests += entry.requests || 0;
+                perAddon[addonId] = total;
+            });
+        });
+
+        const perDay = Object.keys(ledger).sort().reverse().slice(0, days).map(day => {
+            const entries = Object.values(ledger[day]);
+            return {
+                day,
+                tokens: entries.reduce((sum, entry) => sum + (entry.promptTokens || 0) + (entry.completionTokens || 0), 0),
+                cost: entries.reduce((sum, entry) => sum + (entry.cost || 0), 0),
+            };
+        });
+
+        return {
+            month: this.getMonthSpend(),
+            today: perDay.find(entry => entry.day === this.getDayKey())?.cost || 0,
+            perDay,
+            perAddon: Object.values(perAddon).sort((a, b) => b.cost - a.cost),
+        };
+    }
+
+    /**
+     * Total usage of the open chat: its ledger, or the usage stored with its results for older chats
+     * @returns {{promptTokens: number, completionTokens: number, cost: number, requests: number}}
+     */
+    getChatUsage() {
+        const ctx = this.getLiveContext();
+        const total = ctx?.chatMetadata?.[this.chatMetadataKey];
+        return total ? { ...total } : this.sumStoredUsage(ctx?.chat);
+    }
+
+    /**
+     * Sum the usage stored with sidecar results in a chat (all swipe variants)
+     * Only the latest result per sidecar and variant is stored, so regenerated requests are missing.
+     */
+    sumStoredUsage(chatLog) {
+        const total = { promptTokens: 0, completionTokens: 0, cost: 0, requests: 0 };
+        (chatLog || []).forEach(message => {
+            const variants = Array.isArray(message?.swipe_info) && message.swipe_info.length > 0
+                ? message.swipe_info.map(info => info?.extra?.sidecarResults)
+                : [message?.extra?.sidecarResults];
+            variants.forEach(results => {
+                Object.values(results || {}).forEach(stored => {
+                    if (stored?.usage) {
+                        total.promptTokens += stored.usage.promptTokens || 0;
+                        total.completionTokens += stored.usage.completionTokens || 0;
+                        total.cost += stored.usage.cost || 0;
+                        total.requests += 1;
+                    }
+                });
+            });
+        });
+        return total;
+    }
+}